@@ -1,716 +1,565 @@
-import React, {
-  useCallback,
-  useEffect,
-  useMemo,
-  useRef,
-  useState,
-} from "react";
+import React, { useCallback, useMemo, useState } from "react";
+import useDevice from "./hooks/useDevice.js";
+import useStartSettings from "./hooks/useStartSettings.js";
+import useShotSession from "./hooks/useShotSession.js";
+import useDrills from "./hooks/useDrills.js";
+import useSquad from "./hooks/useSquad.js";
+import useBays from "./hooks/useBays.js";
+import useVoiceFeedback from "./hooks/useVoiceFeedback.js";
+import useAppUpdate from "./hooks/useAppUpdate.js";
+import useI18n from "./i18n/useI18n.js";
+import { msFmt } from "./lib/format.js";
+import { evaluatePar } from "./lib/presets.js";
+import { stateLabel as deviceStateLabel } from "./lib/session.js";
+import { scoreSummary } from "./lib/scoring.js";
+import { bayName } from "./lib/bays.js";
+import { segmentTypesBySeq, tagSegment } from "./lib/segments.js";
+import { updateSession } from "./lib/sessionsDb.js";
 import {
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  XAxis,
-  YAxis,
-  CartesianGrid,
-  Tooltip,
-} from "recharts";
-
-/* ===== utils ===== */
-
-const msFmt = (ms) =>
-  Number.isFinite(ms) ? (ms / 1000).toFixed(2) + " s" : "—";
-
-const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
-
-/* ===== BLE constants ===== */
-
-const FFE0_SERVICE = "0000ffe0-0000-1000-8000-00805f9b34fb";
-const FFE1_CHAR = "0000ffe1-0000-1000-8000-00805f9b34fb";
-
-/* ===== BLE hook (HM-10 UART) ===== */
-
-function useBleHm10() {
-  const [supported] = useState(!!navigator.bluetooth);
-  const [connected, setConnected] = useState(false);
-  const [deviceName, setDeviceName] = useState("");
-  const [log, setLog] = useState([]);
-
-  const deviceRef = useRef(null);
-  const serverRef = useRef(null);
-  const txrxRef = useRef(null);
-  const writeQ = useRef(Promise.resolve());
+  applyShotEdits,
+  countedShots,
+  editShot,
+  rawShotsOf,
+  recomputeSession,
+} from "./lib/shotEdits.js";
+import {
+  loadSessionOptions,
+  phaseLabel,
+  saveSessionOptions,
+} from "./lib/sessionMachine.js";
+import StatCard from "./components/StatCard.jsx";
+import ShotsTable from "./components/ShotsTable.jsx";
+import TempoChart from "./components/TempoChart.jsx";
+import StringTimeline from "./components/StringTimeline.jsx";
+import SegmentSummary from "./components/SegmentSummary.jsx";
+import History from "./components/History.jsx";
+import StatsDashboard from "./components/StatsDashboard.jsx";
+import SimulatorPanel from "./components/SimulatorPanel.jsx";
+import MicPanel from "./components/MicPanel.jsx";
+import StartSettings from "./components/StartSettings.jsx";
+import ParResult from "./components/ParResult.jsx";
+import SessionOptions from "./components/SessionOptions.jsx";
+import VoiceSettings from "./components/VoiceSettings.jsx";
+import DrillLibrary from "./components/DrillLibrary.jsx";
+import DrillRunCard from "./components/DrillRunCard.jsx";
+import SquadPanel from "./components/SquadPanel.jsx";
+import SquadRunCard from "./components/SquadRunCard.jsx";
+import BaysScreen from "./components/BaysScreen.jsx";
+import ScoreEntry from "./components/ScoreEntry.jsx";
+import ShotEditTools from "./components/ShotEditTools.jsx";
+import DevicePanel from "./components/DevicePanel.jsx";
+import ProtocolLog from "./components/ProtocolLog.jsx";
+import UpdatePrompt from "./components/UpdatePrompt.jsx";
 
-  const rxBuf = useRef("");
-  const pendingRef = useRef(null); // ожидаем ответ на команду
+/* ===== App ===== */
 
-  const pushLog = useCallback((s) => {
-    setLog((a) => [s, ...a].slice(0, 400));
+export default function App() {
+  const { t, lang, setLang, languages } = useI18n();
+  const dev = useDevice();
+  const start = useStartSettings();
+
+  const [screen, setScreen] = useState("timer"); // timer | bays | drills | squad | history | stats | device
+  const [historyKey, setHistoryKey] = useState(0);
+  const [sessionOptions, setSessionOptions] = useState(loadSessionOptions);
+
+  const updateSessionOptions = useCallback((patch) => {
+    setSessionOptions((cur) => {
+      const next = { ...cur, ...patch };
+      saveSessionOptions(next);
+      return next;
+    });
   }, []);
 
-  const writeLine = useCallback(
-    async (text) => {
-      const withTerm = text.endsWith("\r") ? text : text + "\r";
-
-      writeQ.current = writeQ.current
-        .then(async () => {
-          const ch = txrxRef.current;
-          if (!ch) {
-            pushLog("TX ERROR: TX not ready");
-            throw new Error("TX not ready");
+  const drills = useDrills();
+  const { run: drillRun, current: drillString, recordString } = drills;
+  const squad = useSquad();
+  const { run: squadRun, recordString: recordSquadString } = squad;
+  const bays = useBays();
+  // Имя рубежа пишем в сессию, только когда таймеров несколько
+  const mainBay = bays.bays.length > 1 ? bayName(bays.bays[0], 0) : null;
+
+  // В упражнении пар-тайм задаёт серия, задержка старта — из настроек
+  const startSettings = useMemo(
+    () =>
+      drillString
+        ? {
+            ...start.settings,
+            parTimes: drillString.parMs ? [drillString.parMs] : [],
           }
-          pushLog("TX " + withTerm.replace(/\r/g, ""));
-          await ch.writeValue(new TextEncoder().encode(withTerm));
-        })
-        .catch((e) => {
-          pushLog("TX ERROR: " + (e?.message || e));
-        });
-
-      return writeQ.current;
-    },
-    [pushLog]
+        : start.settings,
+    [drillString, start.settings]
   );
 
-  const resolvePending = useCallback(
-    (payload) => {
-      const p = pendingRef.current;
-      if (!p) return;
-      pendingRef.current = null;
-      clearTimeout(p.to);
-      try {
-        p.resolve(payload);
-      } catch (e) {
-        pushLog("Pending resolve error: " + (e?.message || e));
-      }
-    },
-    [pushLog]
-  );
-
-  const onRxLine = useCallback(
-    (raw) => {
-      const line = raw.trim();
-      if (!line) return;
-      pushLog("RX: " + line);
-
-      const pend = pendingRef.current;
-      if (!pend) return;
-
-      const { expectKey } = pend;
-
-      // Ошибка
-      if (line.startsWith("#ERR=")) {
-        const codeHex = line.slice(6);
-        resolvePending({
-          ok: false,
-          raw: line,
-          errCode: codeHex,
-        });
-        return;
-      }
-
-      // Совпадение по ключу
-      if (!expectKey || line.startsWith(`#${expectKey}`)) {
-        resolvePending({ ok: true, raw: line });
-      }
+  const onSessionSaved = useCallback(() => setHistoryKey((k) => k + 1), []);
+
+  // Серия отстреляна: очередь отделения переходит дальше; серия
+  // упражнения записывается, и говорим, будут ли ещё
+  const onStringFinished = useCallback(
+    ({ session: rec }) => {
+      if (squadRun && rec) recordSquadString(rec.shots.length);
+      if (!drillRun || !drillString || !rec) return;
+      recordString({
+        sessionId: rec.id,
+        shotCount: rec.shots.length,
+        firstShotMs: rec.firstShotMs,
+        totalTimeMs: rec.totalTimeMs,
+      });
+      return drillRun.drill.strings.some(
+        (_, i) => i !== drillRun.index && !drillRun.results[i]
+      );
     },
-    [pushLog, resolvePending]
+    [drillRun, drillString, recordSquadString, recordString, squadRun]
   );
 
-  const onRxChunk = useCallback(
-    (dv) => {
-      const chunk = new TextDecoder().decode(dv);
-      rxBuf.current += chunk;
-
-      for (;;) {
-        const iR = rxBuf.current.indexOf("\r");
-        const iN = rxBuf.current.indexOf("\n");
-        if (iR < 0 && iN < 0) break;
-        const sep =
-          iR >= 0 && iN >= 0 ? Math.min(iR, iN) : Math.max(iR, iN);
-        const line = rxBuf.current.slice(0, sep);
-        rxBuf.current = rxBuf.current.slice(sep + 1);
-        if (line.trim()) onRxLine(line);
-      }
+  const session = useShotSession({
+    dev,
+    settings: startSettings,
+    options: sessionOptions,
+    drill: drills.sessionTag,
+    shooter: squad.sessionTag,
+    bay: mainBay,
+    onSaved: onSessionSaved,
+    onFinished: onStringFinished,
+  });
+  const { shots, deviceState, running, lastSession, setLastSession } = session;
+
+  const onScoreSaved = useCallback(
+    (rec) => {
+      setLastSession(rec);
+      onSessionSaved();
     },
-    [onRxLine]
+    [onSessionSaved, setLastSession]
   );
 
-  const connectClick = useCallback(
-    async (ev) => {
-      ev?.preventDefault?.();
-      ev?.stopPropagation?.();
-
+  // Правки выстрелов отстрелянной серии: сразу на экран, затем в историю
+  const { pushLog } = dev;
+  const saveLastEdit = useCallback(
+    async (next) => {
+      setLastSession(next);
       try {
-        const device = await navigator.bluetooth.requestDevice({
-          acceptAllDevices: true,
-          optionalServices: [FFE0_SERVICE, "generic_access", "generic_attribute"],
-        });
-        deviceRef.current = device;
-        setDeviceName(device.name || device.id || "BLE device");
-        pushLog("Chooser: device selected");
-
-        const server = await device.gatt.connect();
-        serverRef.current = server;
-        pushLog("GATT: connected");
-
-        const svc = await server.getPrimaryService(FFE0_SERVICE);
-        const ch = await svc.getCharacteristic(FFE1_CHAR);
-        txrxRef.current = ch;
-
-        if (ch.properties.notify) {
-          await ch.startNotifications();
-          ch.addEventListener("characteristicvaluechanged", (e) =>
-            onRxChunk(e.target.value)
-          );
-          pushLog("FFE1: notifications started");
-        } else {
-          pushLog("FFE1: notify not supported");
-        }
-
-        setConnected(true);
-        pushLog("HM-10 UART ready (FFE1)");
+        await updateSession(next.id, next);
+        onSessionSaved();
       } catch (e) {
-        pushLog("CONNECT ERROR: " + (e?.message || e));
+        pushLog("History error: " + (e?.message || e));
       }
     },
-    [onRxChunk, pushLog]
+    [onSessionSaved, pushLog, setLastSession]
   );
 
-  const disconnect = useCallback(() => {
-    try {
-      deviceRef.current?.gatt?.disconnect?.();
-    } catch {}
-    serverRef.current = null;
-    txrxRef.current = null;
-    setConnected(false);
-    pushLog("BLE: disconnected");
-  }, [pushLog]);
-
-  // Универсальная команда: отправили → ждём один ответ
-  const sendAndWait = useCallback(
-    (cmd, expectKey, timeoutMs = 600) => {
-      return new Promise((resolve) => {
-        if (!txrxRef.current) {
-          pushLog("TX ERROR: no TX characteristic");
-          resolve({ ok: false, noTx: true });
-          return;
-        }
-
-        if (pendingRef.current) {
-          // теоретически не должно происходить, но на всякий случай
-          pushLog("WARN: previous command still pending, overwriting");
-          clearTimeout(pendingRef.current.to);
-          pendingRef.current = null;
-        }
-
-        const token = {
-          expectKey,
-          resolve,
-          to: setTimeout(() => {
-            if (pendingRef.current === token) {
-              pendingRef.current = null;
-              pushLog("Poll error: timeout on " + cmd);
-              resolve({ ok: false, timeout: true });
-            }
-          }, timeoutMs),
-        };
-
-        pendingRef.current = token;
-        // Протокол: на провод уходит строка "#CMD\r"
-        writeLine("#" + cmd).catch(() => {});
-      });
-    },
-    [writeLine, pushLog]
-  );
-
-  useEffect(() => {
-    return () => {
-      try {
-        deviceRef.current?.gatt?.disconnect?.();
-      } catch {}
-      pendingRef.current && clearTimeout(pendingRef.current.to);
-    };
-  }, []);
-
-  return {
-    supported,
-    connected,
-    deviceName,
-    log,
-    connectClick,
-    disconnect,
-    sendAndWait,
-    pushLog,
-  };
-}
+  const voice = useVoiceFeedback({ dev, lastSession, phase: session.phase });
+  const appUpdate = useAppUpdate();
 
-/* ===== App ===== */
-
-export default function App() {
-  const ble = useBleHm10();
-
-  const [mode, setMode] = useState("fixed"); // fixed | random
-
-  const [running, setRunning] = useState(false);
-  const [shots, setShots] = useState([]); // {seq, ms, split}
-  const [deviceState, setDeviceState] = useState(0); // 0/1/2 из G_STATE
-
-  const pollRunningRef = useRef(false);
-  const nextShotIdRef = useRef(0); // сколько уже запросили STIME
+  const editable = !!lastSession && !running;
 
   // ===== метрики =====
 
+  // Пока серия идёт — сырые выстрелы через фильтр эха, после сохранения —
+  // запись с правками
+  const shotView = useMemo(
+    () =>
+      editable
+        ? applyShotEdits(rawShotsOf(lastSession), lastSession)
+        : applyShotEdits(shots, { minSplitMs: sessionOptions.minSplitMs }),
+    [editable, lastSession, shots, sessionOptions.minSplitMs]
+  );
+  const counted = useMemo(() => countedShots(shotView), [shotView]);
+
   const firstShotMs = useMemo(
-    () => (shots[0] ? shots[0].ms : null),
-    [shots]
+    () => (counted[0] ? counted[0].ms : null),
+    [counted]
   );
   const totalTimeMs = useMemo(
-    () => (shots.length ? shots[shots.length - 1].ms : null),
-    [shots]
+    () => (counted.length ? counted[counted.length - 1].ms : null),
+    [counted]
   );
-  const splits = useMemo(
-    () => shots.map((s) => s.split ?? 0),
-    [shots]
+  const par = useMemo(
+    () => evaluatePar(counted, session.sessionPar),
+    [counted, session.sessionPar]
+  );
+  // Типы сегментов: у идущей серии — по шаблону упражнения
+  const segments = useMemo(
+    () =>
+      segmentTypesBySeq(
+        editable ? lastSession : { shots: counted, drill: drills.sessionTag }
+      ),
+    [counted, drills.sessionTag, editable, lastSession]
   );
 
-// Для графика: точка #1 = First Shot (абсолютное время от beep),
-// остальные точки = Split между выстрелами
-const chartData = useMemo(() => {
-  if (!shots.length) return [];
-  return shots.map((s, idx) => ({
-    seq: s.seq,
-    value: idx === 0 ? s.ms : s.split, // 1-й выстрел — ms, дальше — split
-  }));
-}, [shots]);
-
-
-  // ===== опрос =====
-
-  const pollLoop = useCallback(async () => {
-    ble.pushLog("Poll: started");
-    while (pollRunningRef.current && ble.connected) {
-      try {
-        // 1) узнаём состояние
-        const st = await ble.sendAndWait("G_STATE", "G_STATE", 600);
-        if (!pollRunningRef.current) break;
-
-        if (st.ok && st.raw?.startsWith("#G_STATE=")) {
-          const val = parseInt(st.raw.split("=")[1], 10);
-          if (Number.isFinite(val)) setDeviceState(val);
-        }
-
-        // Пока не STARTED — просто ждём
-        if (!st.ok || !st.raw?.startsWith("#G_STATE=2")) {
-          await new Promise((r) => setTimeout(r, 150));
-          continue;
-        }
-
-        // 2) узнаём количество выстрелов
-        const sn = await ble.sendAndWait("G_SNUM", "G_SNUM", 600);
-        if (!pollRunningRef.current) break;
-
-        if (!sn.ok || !sn.raw?.startsWith("#G_SNUM=")) {
-          await new Promise((r) => setTimeout(r, 150));
-          continue;
-        }
-
-        const devSnum = parseInt(sn.raw.split("=")[1], 10);
-        if (!Number.isFinite(devSnum) || devSnum <= 0) {
-          await new Promise((r) => setTimeout(r, 150));
-          continue;
-        }
-
-        // 3) для новых выстрелов запрашиваем STIME по одному
-        while (
-          pollRunningRef.current &&
-          nextShotIdRef.current < devSnum
-        ) {
-          const devId = nextShotIdRef.current; // 0..N-1
-          const uiSeq = devId + 1;
-
-          const stimeRes = await ble.sendAndWait(
-            `G_STIME=${devId}`,
-            "G_STIME",
-            800
-          );
-          if (!stimeRes.ok || !stimeRes.raw?.startsWith("#G_STIME=")) {
-            // ошибка — лог не ломаем, просто выходим из внутреннего цикла
-            break;
-          }
+  // ===== helpers =====
 
-          const ms = parseInt(stimeRes.raw.split("=")[1], 10);
-          if (!Number.isFinite(ms)) {
-            break;
-          }
+  const stateLabel = deviceStateLabel(deviceState);
 
-          setShots((prev) => {
-            // защита от дубля
-            if (prev.some((p) => p.seq === uiSeq)) return prev;
-
-            const prevShot = prev[prev.length - 1];
-            const split =
-              prevShot && Number.isFinite(prevShot.ms)
-                ? ms - prevShot.ms
-                : null;
-
-            return [
-              ...prev,
-              {
-                seq: uiSeq,
-                ms,
-                split,
-              },
-            ];
-          });
-
-          nextShotIdRef.current += 1;
-        }
-
-        await new Promise((r) => setTimeout(r, 150));
-      } catch (e) {
-        ble.pushLog("Poll error: " + (e?.message || e));
-        await new Promise((r) => setTimeout(r, 300));
-      }
-    }
-    ble.pushLog("Poll: stopped");
-  }, [ble]);
-
-  // ===== управление =====
-
-  const startSession = useCallback(async () => {
-    if (!ble.connected) {
-      ble.pushLog("Start skipped: BLE not connected");
-      return;
-    }
-    if (running) return;
-
-    setRunning(true);
-    setShots([]);
-    nextShotIdRef.current = 0;
-    setDeviceState(0);
-
-    try {
-      // Настройка таймера на устройстве
-      const tMin = 5000;
-      const tMax = mode === "fixed" ? 5000 : 10000;
-
-      await ble.sendAndWait(`S_TMIN=${tMin}`, "S_TMIN", 600);
-      await ble.sendAndWait(`S_TMAX=${tMax}`, "S_TMAX", 600);
-
-      const startRes = await ble.sendAndWait(
-        "E_STARTT",
-        "E_STARTT",
-        800
-      );
-      if (!startRes.ok) {
-        ble.pushLog("Start error: no E_STARTT ack");
-      } else {
-        ble.pushLog("BEEP sent (#E_STARTT)");
-      }
+  const startLabel = {
+    arming: t("timer.arming"),
+    countdown: t("timer.counting"),
+    shooting: t("timer.shooting"),
+  }[session.phase] || t("timer.start");
+  const canStart = dev.connected && !running;
+  const canStop = running || session.rearmAt != null;
 
-      // запускаем опрос
-      pollRunningRef.current = true;
-      pollLoop();
-    } catch (e) {
-      ble.pushLog("Start error: " + (e?.message || e));
-      setRunning(false);
-      pollRunningRef.current = false;
-    }
-  }, [ble, mode, pollLoop, running]);
-
-  const stopSession = useCallback(() => {
-    pollRunningRef.current = false;
-    setRunning(false);
-    ble.pushLog("Stop");
-  }, [ble]);
-
-  // ===== unmount cleanup =====
-  useEffect(
-    () => () => {
-      pollRunningRef.current = false;
+  const linkStatus = {
+    connected: {
+      label: t("link.connected", { name: dev.deviceName || "STE" }),
+      className: "text-emerald-400",
     },
-    []
-  );
-
-  // ===== helpers =====
-
-  const stateLabel = useMemo(() => {
-    switch (deviceState) {
-      case 0:
-        return "Готов";
-      case 1:
-        return "Отсчёт";
-      case 2:
-        return "Упражнение";
-      default:
-        return "—";
-    }
-  }, [deviceState]);
+    connecting: { label: t("link.connecting"), className: "text-amber-300" },
+    reconnecting: {
+      label: t("link.reconnecting", { attempt: dev.reconnectAttempt }),
+      className: "text-amber-300 animate-pulse",
+    },
+    disconnected: { label: t("link.disconnected"), className: "text-rose-400" },
+  }[dev.link];
 
   return (
-    <div className="min-h-screen w-full overflow-x-hidden bg-slate-950 text-slate-100 px-4 py-6">
+    <div className="min-h-screen w-full overflow-x-hidden bg-slate-950 text-slate-100 px-4 py-6 print:bg-white print:p-0">
       <div className="max-w-6xl mx-auto space-y-4">
-        <header className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mb-2">
+        <header className="print:hidden flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mb-2">
           <h1 className="text-2xl md:text-3xl font-semibold tracking-tight">
-            DzenGun STE
+            {t("app.title")}
           </h1>
-          <div className="text-sm text-slate-400">
-            BLE:{" "}
-            <span
-              className={
-                ble.connected ? "text-emerald-400" : "text-rose-400"
-              }
-            >
-              {ble.connected
-                ? `Подключено • ${ble.deviceName || "HM-10"}`
-                : "Не подключено"}
+          <nav className="flex flex-wrap gap-2">
+            {["timer", "bays", "drills", "squad", "history", "stats", "device"].map((key) => (
+              <button
+                key={key}
+                type="button"
+                onClick={() => setScreen(key)}
+                className={`px-3 py-1.5 rounded-xl border text-sm font-semibold ${
+                  screen === key
+                    ? "bg-slate-100 text-black border-slate-300"
+                    : "bg-transparent text-white border-slate-600 hover:border-slate-400"
+                }`}
+              >
+                {t(`nav.${key}`)}
+              </button>
+            ))}
+          </nav>
+          <div className="flex items-center gap-3 text-sm text-slate-400">
+            <span>
+              {dev.transportLabel}:{" "}
+              <span className={linkStatus.className}>
+                {linkStatus.label}
+              </span>
             </span>
+            <select
+              value={lang}
+              onChange={(e) => setLang(e.target.value)}
+              aria-label={t("app.language")}
+              className="bg-slate-950/80 border border-slate-700 rounded-lg px-2 py-1 text-slate-100"
+            >
+              {languages.map((l) => (
+                <option key={l.id} value={l.id}>
+                  {l.label}
+                </option>
+              ))}
+            </select>
           </div>
         </header>
 
-        {/* верхняя панель */}
-        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
-          {/* Настройки */}
-          <div className="bg-slate-900/70 border border-slate-700 rounded-2xl p-4 space-y-4">
-            <h2 className="text-lg font-semibold mb-1">Настройки</h2>
+        <UpdatePrompt update={appUpdate} busy={running} />
+
+        {screen === "history" && <History refreshKey={historyKey} />}
+        {screen === "stats" && <StatsDashboard refreshKey={historyKey} />}
+        {screen === "device" && <DevicePanel dev={dev} busy={running} />}
+        {screen === "drills" && (
+          <DrillLibrary
+            drills={drills}
+            canRun={!running}
+            onRun={(id) => {
+              drills.startRun(id);
+              setScreen("timer");
+            }}
+          />
+        )}
+
+        <div className={screen === "bays" ? "" : "hidden"}>
+          <BaysScreen
+            bays={bays}
+            main={{ dev, session }}
+            settings={start.settings}
+            options={sessionOptions}
+            onSaved={onSessionSaved}
+          />
+        </div>
 
-            <div>
-              <div className="text-sm text-slate-400 mb-2">Режим</div>
-              <div className="flex gap-2">
+        {screen === "squad" && (
+          <SquadPanel
+            squad={squad}
+            refreshKey={historyKey}
+            canRun={!running}
+            onRun={() => setScreen("timer")}
+          />
+        )}
+
+        <div className={screen === "timer" ? "space-y-4" : "hidden"}>
+          <SquadRunCard
+            squad={squad}
+            running={running}
+            onLeaderboard={() => setScreen("squad")}
+          />
+          <DrillRunCard drills={drills} running={running} />
+
+          {/* верхняя панель */}
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+            {/* Настройки */}
+            <div className="bg-slate-900/70 border border-slate-700 rounded-2xl p-4 space-y-4">
+              <h2 className="text-lg font-semibold mb-1">{t("timer.settings")}</h2>
+
+              <StartSettings start={start} disabled={running} />
+              <SessionOptions
+                options={sessionOptions}
+                onChange={updateSessionOptions}
+                disabled={running}
+              />
+              <VoiceSettings voice={voice} />
+
+              <div className="flex flex-wrap gap-3 pt-2">
                 <button
-                  onClick={() => setMode("fixed")}
-                  className={`px-3 py-2 rounded-xl border font-semibold ${
-                    mode === "fixed"
-                      ? "bg-slate-100 text-black border-slate-300"
-                      : "bg-transparent text-white border-slate-600 hover:border-slate-400"
+                  onClick={session.start}
+                  disabled={!canStart}
+                  className={`px-5 py-2.5 rounded-2xl font-semibold shadow-lg transition ${
+                    !canStart
+                      ? "bg-slate-700 text-slate-500 cursor-not-allowed"
+                      : "bg-emerald-500 text-black hover:bg-emerald-400 active:bg-emerald-600"
                   }`}
                 >
-                  Fixed 5 s
+                  {startLabel}
                 </button>
                 <button
-                  onClick={() => setMode("random")}
-                  className={`px-3 py-2 rounded-xl border font-semibold ${
-                    mode === "random"
-                      ? "bg-slate-100 text-black border-slate-300"
-                      : "bg-transparent text-white border-slate-600 hover:border-slate-400"
-                  }`}
+                  onClick={session.stop}
+                  disabled={!canStop}
+                  className="px-5 py-2.5 rounded-2xl font-semibold border border-slate-500 text-black bg-slate-100 hover:bg-slate-200 transition disabled:opacity-50"
                 >
-                  Random 5–10 s
+                  {t("timer.stop")}
                 </button>
               </div>
             </div>
 
-            <div className="flex flex-wrap gap-3 pt-2">
-              <button
-                onClick={startSession}
-                disabled={!ble.connected || running}
-                className={`px-5 py-2.5 rounded-2xl font-semibold shadow-lg transition ${
-                  !ble.connected || running
-                    ? "bg-slate-700 text-slate-500 cursor-not-allowed"
-                    : "bg-emerald-500 text-black hover:bg-emerald-400 active:bg-emerald-600"
-                }`}
-              >
-                START
-              </button>
-              <button
-                onClick={stopSession}
-                className="px-5 py-2.5 rounded-2xl font-semibold border border-slate-500 text-black bg-slate-100 hover:bg-slate-200 transition"
-              >
-                Stop
-              </button>
+            {/* Статус */}
+            <div className="bg-slate-900/70 border border-slate-700 rounded-2xl p-4 space-y-3">
+              <h2 className="text-lg font-semibold mb-1">{t("timer.status")}</h2>
+              <div className="flex justify-between text-sm">
+                <span className="text-slate-400">{t("timer.string")}</span>
+                <span
+                  className={`font-medium ${
+                    session.phase === "error" ? "text-rose-400" : ""
+                  }`}
+                >
+                  {phaseLabel(session.phase)}
+                </span>
+              </div>
+              {session.error && (
+                <p className="text-xs text-rose-300">{session.error}</p>
+              )}
+              {session.rearmAt != null && (
+                <p className="text-xs text-amber-300 animate-pulse">
+                  {t("timer.rearm")}
+                </p>
+              )}
+              <div className="flex justify-between text-sm">
+                <span className="text-slate-400">{t("timer.device")}</span>
+                <span className="font-medium">
+                  {stateLabel}
+                </span>
+              </div>
+              <ParResult par={par} />
+              {lastSession?.score && (
+                <div className="flex justify-between text-sm">
+                  <span className="text-slate-400">{t("timer.score")}</span>
+                  <span className="font-medium tabular-nums">
+                    {scoreSummary(lastSession)}
+                  </span>
+                </div>
+              )}
+
+              <div className="grid grid-cols-3 gap-3 mt-2">
+                <StatCard
+                  label={t("stat.firstShot")}
+                  value={
+                    firstShotMs != null ? msFmt(firstShotMs) : "—"
+                  }
+                />
+                <StatCard
+                  label={t("stat.shots")}
+                  value={String(counted.length)}
+                />
+                <StatCard
+                  label={t("stat.totalTime")}
+                  value={
+                    totalTimeMs != null ? msFmt(totalTimeMs) : "—"
+                  }
+                />
+              </div>
             </div>
-          </div>
 
-          {/* Статус */}
-          <div className="bg-slate-900/70 border border-slate-700 rounded-2xl p-4 space-y-3">
-            <h2 className="text-lg font-semibold mb-1">Статус</h2>
-            <div className="flex justify-between text-sm">
-              <span className="text-slate-400">Состояние:</span>
-              <span className="font-medium">
-                {stateLabel}
-              </span>
-            </div>
+            {/* Связь */}
+            <div className="bg-slate-900/70 border border-slate-700 rounded-2xl p-4 space-y-3">
+              <h2 className="text-lg font-semibold mb-1">{t("timer.connection")}</h2>
+
+              <div className="flex flex-wrap gap-2">
+                {dev.transports.map((tr) => (
+                  <button
+                    key={tr.id}
+                    type="button"
+                    onClick={() => dev.setTransportId(tr.id)}
+                    disabled={dev.link !== "disconnected"}
+                    className={`px-3 py-1.5 rounded-xl border text-sm font-semibold ${
+                      dev.transportId === tr.id
+                        ? "bg-slate-100 text-black border-slate-300"
+                        : "bg-transparent text-white border-slate-600 hover:border-slate-400"
+                    } ${!tr.supported ? "opacity-50" : ""}`}
+                  >
+                    {tr.label}
+                  </button>
+                ))}
+              </div>
 
-            <div className="grid grid-cols-3 gap-3 mt-2">
-              <StatCard
-                label="First Shot"
-                value={
-                  firstShotMs != null ? msFmt(firstShotMs) : "—"
-                }
-              />
-              <StatCard
-                label="# Shots"
-                value={String(shots.length)}
-              />
-              <StatCard
-                label="Total Time"
-                value={
-                  totalTimeMs != null ? msFmt(totalTimeMs) : "—"
-                }
+              {!dev.supported && (
+                <p className="text-xs text-rose-300 mb-2">
+                  {t("timer.unsupported", { name: dev.transportLabel })}
+                </p>
+              )}
+
+              <div className="flex flex-wrap gap-2 mb-2">
+                <button
+                  type="button"
+                  onClick={dev.connectClick}
+                  disabled={!dev.supported || dev.link !== "disconnected"}
+                  className={`px-4 py-2 rounded-2xl font-semibold shadow ${
+                    dev.link !== "disconnected"
+                      ? "bg-slate-700 text-slate-400"
+                      : "bg-emerald-500 text-black hover:bg-emerald-400"
+                  }`}
+                >
+                  {t("timer.connect")}
+                </button>
+                <button
+                  onClick={dev.disconnect}
+                  disabled={dev.link === "disconnected"}
+                  className="px-4 py-2 rounded-2xl font-semibold border border-slate-500 text-black bg-slate-100 hover:bg-slate-200"
+                >
+                  {t("timer.disconnect")}
+                </button>
+              </div>
+
+              {dev.metrics && (
+                <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-xs text-slate-400 tabular-nums">
+                  <span>{t("metrics.sent", { n: dev.metrics.sent })}</span>
+                  <span>{t("metrics.retries", { n: dev.metrics.retries })}</span>
+                  <span
+                    className={dev.metrics.timeouts ? "text-amber-300" : ""}
+                  >
+                    {t("metrics.timeouts", { n: dev.metrics.timeouts })}
+                  </span>
+                  <span>{t("metrics.stale", { n: dev.metrics.stale })}</span>
+                  <span>{t("metrics.queued", { n: dev.metrics.queued })}</span>
+                  <button
+                    type="button"
+                    onClick={dev.resetMetrics}
+                    className="underline hover:text-slate-200"
+                  >
+                    {t("metrics.reset")}
+                  </button>
+                </div>
+              )}
+
+              {dev.transportId === "sim" && (
+                <SimulatorPanel
+                  transport={dev.transport}
+                  connected={dev.connected}
+                />
+              )}
+              {dev.transportId === "mic" && (
+                <MicPanel transport={dev.transport} connected={dev.connected} />
+              )}
+
+              <ProtocolLog
+                entries={dev.log}
+                onClear={dev.clearLog}
+                meta={{
+                  transport: dev.transportId,
+                  deviceName: dev.deviceName,
+                  metrics: dev.metrics,
+                }}
               />
             </div>
           </div>
 
-          {/* BLE */}
-          <div className="bg-slate-900/70 border border-slate-700 rounded-2xl p-4 space-y-3">
-            <h2 className="text-lg font-semibold mb-1">BLE</h2>
-
-            {!ble.supported && (
-              <p className="text-xs text-rose-300 mb-2">
-                Подключичите устройство
-              </p>
-            )}
-
-            <div className="flex flex-wrap gap-2 mb-2">
-              <button
-                type="button"
-                onClick={ble.connectClick}
-                disabled={!ble.supported || ble.connected}
-                className={`px-4 py-2 rounded-2xl font-semibold shadow ${
-                  ble.connected
-                    ? "bg-slate-700 text-slate-400"
-                    : "bg-emerald-500 text-black hover:bg-emerald-400"
-                }`}
-              >
-                Подключить
-              </button>
-              <button
-                onClick={ble.disconnect}
-                disabled={!ble.connected}
-                className="px-4 py-2 rounded-2xl font-semibold border border-slate-500 text-black bg-slate-100 hover:bg-slate-200"
-              >
-                Отключить
-              </button>
+          {/* Счёт отстрелянной серии */}
+          {lastSession && !running && (
+            <div className="bg-slate-900/70 border border-slate-700 rounded-2xl p-4">
+              <h2 className="text-lg font-semibold mb-3">{t("timer.scoreTitle")}</h2>
+              <ScoreEntry
+                key={lastSession.id}
+                session={lastSession}
+                onSaved={onScoreSaved}
+              />
             </div>
-
-            <div className="text-xs text-slate-400">
-              <div className="mb-1">Лог обмена:</div>
-              <div className="h-40 overflow-auto bg-slate-950/80 border border-slate-700 rounded-lg p-2 whitespace-pre-wrap">
-                {ble.log.map((l, i) => (
-                  <div key={i}>{l}</div>
-                ))}
-              </div>
+          )}
+
+          {/* Выстрелы + график */}
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+            <div className="lg:col-span-2 bg-slate-900/70 border border-slate-700 rounded-2xl p-4">
+              <h2 className="text-lg font-semibold mb-3">{t("timer.shots")}</h2>
+              {editable && (
+                <div className="mb-3">
+                  <ShotEditTools
+                    session={lastSession}
+                    onChange={(patch) =>
+                      saveLastEdit(recomputeSession(lastSession, patch))
+                    }
+                  />
+                </div>
+              )}
+              <ShotsTable
+                shots={shotView}
+                lateSeqs={par?.lateSeqs}
+                onEdit={
+                  editable
+                    ? (seq, action) =>
+                        saveLastEdit(editShot(lastSession, seq, action))
+                    : undefined
+                }
+                segments={segments}
+                onSegment={
+                  editable
+                    ? (seq, type) =>
+                        saveLastEdit(tagSegment(lastSession, seq, type))
+                    : undefined
+                }
+              />
+              {editable && (
+                <div className="mt-4">
+                  <SegmentSummary session={lastSession} />
+                </div>
+              )}
             </div>
-          </div>
-        </div>
 
-        {/* Выстрелы + график */}
-        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
-          <div className="lg:col-span-2 bg-slate-900/70 border border-slate-700 rounded-2xl p-4">
-            <h2 className="text-lg font-semibold mb-3">Выстрелы</h2>
-            <div className="overflow-x-auto">
-              <table className="w-full text-sm">
-                <thead className="text-slate-300/80">
-                  <tr>
-                    <th className="text-left font-medium py-2">#</th>
-                    <th className="text-left font-medium py-2">
-                      t выстрела
-                    </th>
-                    <th className="text-left font-medium py-2">
-                      Split
-                    </th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {shots.map((s) => (
-                    <tr
-                      key={s.seq}
-                      className="border-t border-slate-800"
-                    >
-                      <td className="py-1.5 tabular-nums">
-                        {s.seq}
-                      </td>
-                      <td className="py-1.5 tabular-nums">
-                        {msFmt(s.ms)}
-                      </td>
-                      <td className="py-1.5 tabular-nums">
-                        {s.split != null ? msFmt(s.split) : "—"}
-                      </td>
-                    </tr>
-                  ))}
-                  {shots.length === 0 && (
-                    <tr>
-                      <td
-                        colSpan={3}
-                        className="py-6 text-center text-slate-400"
-                      >
-                       Здесь появятся ваши выстрелы после старта упражнения.
-                      </td>
-                    </tr>
-                  )}
-                </tbody>
-              </table>
+            <div className="bg-slate-900/70 border border-slate-700 rounded-2xl p-4">
+              <h2 className="text-lg font-semibold mb-3">
+                {t("timer.tempo")}
+              </h2>
+              <TempoChart shots={counted} />
+              <div className="mt-2 text-xs text-slate-400">
+                {t("timer.tempoHint")}
+              </div>
             </div>
           </div>
 
+          {/* Таймлайн и сравнение с личным рекордом */}
           <div className="bg-slate-900/70 border border-slate-700 rounded-2xl p-4">
-            <h2 className="text-lg font-semibold mb-3">
-              График темпа
-            </h2>
-            <div className="h-64">
-              <ResponsiveContainer width="100%" height="100%">
-                <LineChart
-                  data={chartData}
-                  margin={{ top: 10, right: 20, left: 0, bottom: 10 }}
-                >
-                  <CartesianGrid
-                    strokeDasharray="3 3"
-                    stroke="#1f2933"
-                  />
-                  <XAxis
-                    dataKey="seq"
-                    stroke="#94a3b8"
-                    tick={{ fill: "#94a3b8" }}
-                  />
-                  <YAxis
-                    stroke="#94a3b8"
-                    tick={{ fill: "#94a3b8" }}
-                    tickFormatter={(v) =>
-                      `${(v / 1000).toFixed(2)}s`
-                    }
-                  />
-              <Tooltip
-  formatter={(v) => msFmt(Number(v))}
-  labelFormatter={(l) => `#${l}`}
-  contentStyle={{
-    background: "#020617",
-    border: "1px solid #1e293b",
-    color: "#e2e8f0",
-  }}
-/>
-
-                 <Line
-  type="monotone"
-  dataKey="value"
-  name="Tempo"
-  dot
-  stroke="#22c55e"
-/>
-
-                </LineChart>
-              </ResponsiveContainer>
-            </div>
-            <div className="mt-2 text-xs text-slate-400">
-              Первый выстрел — отправная точка, далее сплиты между
-              соседними выстрелами.
-            </div>
+            <StringTimeline
+              shots={counted}
+              session={editable ? lastSession : null}
+              parTimes={session.sessionPar}
+              refreshKey={historyKey}
+            />
           </div>
         </div>
 
-        <div className="mt-4 text-xs text-slate-500">
-                   Build v0.9913 - APK native ready
+        <div className="mt-4 text-xs text-slate-500 print:hidden">
+                   {t("app.build")}
         </div>
       </div>
     </div>
   );
 }
-
-function StatCard({ label, value }) {
-  return (
-    <div className="bg-slate-950/70 border border-slate-800 rounded-xl p-3">
-      <div className="text-xs text-slate-400">{label}</div>
-      <div className="text-lg font-semibold tabular-nums">
-        {value}
-      </div>
-    </div>
-  );
-}
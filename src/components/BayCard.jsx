@@ -0,0 +1,184 @@
+import React, { useMemo } from "react";
+import { msFmt } from "../lib/format.js";
+import { stateLabel } from "../lib/session.js";
+import { phaseLabel } from "../lib/sessionMachine.js";
+import { applyShotEdits, countedShots } from "../lib/shotEdits.js";
+import StatCard from "./StatCard.jsx";
+import ShotsTable from "./ShotsTable.jsx";
+import ProtocolLog from "./ProtocolLog.jsx";
+import SimulatorPanel from "./SimulatorPanel.jsx";
+import useI18n from "../i18n/useI18n.js";
+
+const LINK_STYLE = {
+  connected: "text-emerald-400",
+  connecting: "text-amber-300",
+  reconnecting: "text-amber-300 animate-pulse",
+  disconnected: "text-rose-400",
+};
+
+// Один рубеж в общем виде: связь, серия, выстрелы и журнал своего таймера.
+// dev — useDevice(), session — useShotSession() этого рубежа.
+export default function BayCard({
+  name,
+  placeholder,
+  dev,
+  session,
+  minSplitMs,
+  onRename,
+  onRemove,
+}) {
+  const { t } = useI18n();
+  const { running } = session;
+
+  const shots = useMemo(
+    () => applyShotEdits(session.shots, { minSplitMs }),
+    [session.shots, minSplitMs]
+  );
+  const counted = useMemo(() => countedShots(shots), [shots]);
+
+  const linkLabel = {
+    connected: t("link.connected", { name: dev.deviceName || "STE" }),
+    connecting: t("link.connecting"),
+    reconnecting: t("link.reconnecting", { attempt: dev.reconnectAttempt }),
+    disconnected: t("link.disconnected"),
+  }[dev.link];
+
+  const btn =
+    "px-3 py-1.5 rounded-xl border text-xs font-semibold border-slate-600 hover:border-slate-400 disabled:opacity-50";
+  const idle = dev.link === "disconnected";
+
+  return (
+    <div
+      className={`bg-slate-900/70 border rounded-2xl p-4 space-y-3 ${
+        running ? "border-emerald-600" : "border-slate-700"
+      }`}
+    >
+      <div className="flex items-center gap-2">
+        <input
+          defaultValue={name}
+          placeholder={placeholder}
+          onBlur={(e) => onRename(e.target.value)}
+          aria-label={t("bays.name")}
+          maxLength={30}
+          className="flex-1 min-w-0 bg-transparent text-lg font-semibold text-slate-100 placeholder:text-slate-100"
+        />
+        {onRemove && (
+          <button
+            type="button"
+            onClick={onRemove}
+            disabled={!idle}
+            className={`${btn} text-rose-300`}
+          >
+            {t("bays.remove")}
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <select
+          value={dev.transportId}
+          onChange={(e) => dev.setTransportId(e.target.value)}
+          disabled={!idle}
+          aria-label={t("timer.connection")}
+          className="bg-slate-950/80 border border-slate-700 rounded-lg px-2 py-1 text-slate-100"
+        >
+          {dev.transports.map((tr) => (
+            <option key={tr.id} value={tr.id} disabled={!tr.supported}>
+              {tr.label}
+            </option>
+          ))}
+        </select>
+        {idle ? (
+          <button
+            type="button"
+            onClick={dev.connectClick}
+            disabled={!dev.supported}
+            className={btn}
+          >
+            {t("timer.connect")}
+          </button>
+        ) : (
+          <button type="button" onClick={dev.disconnect} className={btn}>
+            {t("timer.disconnect")}
+          </button>
+        )}
+        <span className={`text-xs ${LINK_STYLE[dev.link]}`}>{linkLabel}</span>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+        <span>
+          <span className={session.phase === "error" ? "text-rose-400" : ""}>
+            {phaseLabel(session.phase)}
+          </span>
+          <span className="text-slate-400">
+            {" "}
+            • {stateLabel(session.deviceState)}
+          </span>
+        </span>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={session.start}
+            disabled={!dev.connected || running}
+            className="px-3 py-1.5 rounded-xl text-xs font-semibold bg-emerald-500 text-black hover:bg-emerald-400 disabled:bg-slate-700 disabled:text-slate-500"
+          >
+            {t("timer.start")}
+          </button>
+          <button
+            type="button"
+            onClick={session.stop}
+            disabled={!running && session.rearmAt == null}
+            className={btn}
+          >
+            {t("timer.stop")}
+          </button>
+        </div>
+      </div>
+      {session.error && (
+        <p className="text-xs text-rose-300">{session.error}</p>
+      )}
+
+      <div className="grid grid-cols-3 gap-2">
+        <StatCard
+          label={t("stat.firstShot")}
+          value={counted.length ? msFmt(counted[0].ms) : "—"}
+        />
+        <StatCard label={t("stat.shots")} value={String(counted.length)} />
+        <StatCard
+          label={t("stat.totalTime")}
+          value={
+            counted.length ? msFmt(counted[counted.length - 1].ms) : "—"
+          }
+        />
+      </div>
+
+      {shots.length > 0 && (
+        <div className="max-h-48 overflow-y-auto">
+          <ShotsTable shots={shots} />
+        </div>
+      )}
+
+      {dev.transportId === "sim" && (
+        <SimulatorPanel transport={dev.transport} connected={dev.connected} />
+      )}
+
+      <details>
+        <summary className="cursor-pointer text-xs text-slate-400">
+          {t("bays.log")}
+        </summary>
+        <div className="mt-2">
+          <ProtocolLog
+            entries={dev.log}
+            onClear={dev.clearLog}
+            meta={{
+              bay: name || placeholder,
+              transport: dev.transportId,
+              deviceName: dev.deviceName,
+              metrics: dev.metrics,
+            }}
+          />
+        </div>
+      </details>
+    </div>
+  );
+}
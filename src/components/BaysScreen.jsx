@@ -0,0 +1,152 @@
+import React, { useCallback, useEffect, useState } from "react";
+import useDevice from "../hooks/useDevice.js";
+import useShotSession from "../hooks/useShotSession.js";
+import { bayName, bayTransportKey, MAIN_BAY, MAX_BAYS } from "../lib/bays.js";
+import BayCard from "./BayCard.jsx";
+import useI18n from "../i18n/useI18n.js";
+
+// Дополнительный рубеж: свои useDevice/useShotSession, наружу — пульт
+// { start, stop, connected, running } для «Старт всех»
+function ExtraBay({ bay, index, settings, options, onSaved, bays, register }) {
+  const dev = useDevice({ storageKey: bayTransportKey(bay.id) });
+  const name = bayName(bay, index);
+  const session = useShotSession({
+    dev,
+    settings,
+    options,
+    bay: name,
+    onSaved,
+  });
+
+  const { start, stop, running } = session;
+  const { connected } = dev;
+  useEffect(() => {
+    register(bay.id, { start, stop, connected, running });
+  }, [bay.id, connected, register, running, start, stop]);
+  useEffect(() => () => register(bay.id, null), [bay.id, register]);
+
+  return (
+    <BayCard
+      name={bay.name}
+      placeholder={name}
+      dev={dev}
+      session={session}
+      minSplitMs={options.minSplitMs}
+      onRename={(n) => bays.renameBay(bay.id, n)}
+      onRemove={() => bays.removeBay(bay.id)}
+    />
+  );
+}
+
+// Все рубежи разом. Главный — тот же таймер, что на экране «Таймер»;
+// main = { dev, session } оттуда. Компонент всегда смонтирован, иначе
+// связь дополнительных таймеров рвалась бы при смене экрана.
+export default function BaysScreen({
+  bays,
+  main,
+  settings,
+  options,
+  onSaved,
+}) {
+  const { t } = useI18n();
+  const [controls, setControls] = useState({}); // id → пульт рубежа
+
+  const register = useCallback(
+    (id, c) =>
+      setControls((cur) => {
+        const next = { ...cur };
+        if (c) next[id] = c;
+        else delete next[id];
+        return next;
+      }),
+    []
+  );
+
+  const all = [
+    {
+      start: main.session.start,
+      stop: main.session.stop,
+      connected: main.dev.connected,
+      running: main.session.running,
+    },
+    ...bays.bays
+      .filter((b) => b.id !== MAIN_BAY)
+      .map((b) => controls[b.id])
+      .filter(Boolean),
+  ];
+  const canStartAll = all.some((c) => c.connected && !c.running);
+  const canStopAll = all.some((c) => c.running);
+
+  // Старт синхронно из одного клика: звук разблокируется для всех
+  const startAll = () =>
+    all.forEach((c) => c.connected && !c.running && c.start());
+  const stopAll = () => all.forEach((c) => c.running && c.stop());
+
+  const btn =
+    "px-3 py-1.5 rounded-xl border text-xs font-semibold border-slate-600 hover:border-slate-400 disabled:opacity-50";
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-lg font-semibold">{t("bays.title")}</h2>
+        <div className="flex flex-wrap gap-2">
+          <button
+            type="button"
+            onClick={startAll}
+            disabled={!canStartAll}
+            className="px-4 py-2 rounded-2xl font-semibold bg-emerald-500 text-black hover:bg-emerald-400 disabled:bg-slate-700 disabled:text-slate-500"
+          >
+            {t("bays.startAll")}
+          </button>
+          <button
+            type="button"
+            onClick={stopAll}
+            disabled={!canStopAll}
+            className="px-4 py-2 rounded-2xl font-semibold border border-slate-500 text-black bg-slate-100 hover:bg-slate-200 disabled:opacity-50"
+          >
+            {t("bays.stopAll")}
+          </button>
+          <button
+            type="button"
+            onClick={bays.addBay}
+            disabled={bays.bays.length >= MAX_BAYS}
+            className={btn}
+          >
+            {t("bays.add")}
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+        {bays.bays.map((bay, i) =>
+          bay.id === MAIN_BAY ? (
+            <BayCard
+              key={bay.id}
+              name={bay.name}
+              placeholder={bayName(bay, i)}
+              dev={main.dev}
+              session={main.session}
+              minSplitMs={options.minSplitMs}
+              onRename={(n) => bays.renameBay(bay.id, n)}
+            />
+          ) : (
+            <ExtraBay
+              key={bay.id}
+              bay={bay}
+              index={i}
+              settings={settings}
+              options={options}
+              onSaved={onSaved}
+              bays={bays}
+              register={register}
+            />
+          )
+        )}
+      </div>
+
+      {bays.bays.length === 1 && (
+        <p className="text-sm text-slate-400">{t("bays.hint")}</p>
+      )}
+    </div>
+  );
+}
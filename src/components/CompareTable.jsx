@@ -0,0 +1,91 @@
+import React, { useMemo } from "react";
+import { msFmt } from "../lib/format.js";
+import { compareShots, deltaFmt } from "../lib/compare.js";
+import useI18n from "../i18n/useI18n.js";
+
+// Быстрее базы — зелёным, медленнее — красным
+const deltaClass = (ms) =>
+  !Number.isFinite(ms) || ms === 0
+    ? "text-slate-400"
+    : ms < 0
+      ? "text-emerald-400"
+      : "text-rose-400";
+
+// Выстрел за выстрелом: время и сплит каждой серии, дельты к первой (базе)
+export default function CompareTable({ series }) {
+  const { t } = useI18n();
+  const rows = useMemo(() => compareShots(series), [series]);
+  const totals = series.map((s) =>
+    s.shots.length ? s.shots[s.shots.length - 1].ms : null
+  );
+  const totalDelta = (ms) =>
+    ms != null && totals[0] != null ? ms - totals[0] : null;
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm tabular-nums">
+        <thead className="text-slate-300/80">
+          <tr>
+            <th className="text-left font-medium py-2">#</th>
+            {series.map((s, j) => (
+              <th
+                key={s.key}
+                colSpan={j === 0 ? 1 : 2}
+                className="text-left font-medium py-2 px-2"
+                style={{ color: s.color }}
+              >
+                {s.label}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={r.n} className="border-t border-slate-800 align-top">
+              <td className="py-1">{r.n}</td>
+              {r.cells.map((c, j) => (
+                <React.Fragment key={series[j].key}>
+                  <td className="py-1 px-2">
+                    {c ? msFmt(c.ms) : "—"}
+                    {c && Number.isFinite(c.split) && (
+                      <div className="text-xs text-slate-400">
+                        {t("compare.split", { t: msFmt(c.split) })}
+                      </div>
+                    )}
+                  </td>
+                  {j > 0 && (
+                    <td className="py-1 pr-2">
+                      <span className={deltaClass(r.deltas[j]?.ms)}>
+                        {deltaFmt(r.deltas[j]?.ms)}
+                      </span>
+                      {Number.isFinite(r.deltas[j]?.split) && (
+                        <div
+                          className={`text-xs ${deltaClass(r.deltas[j].split)}`}
+                        >
+                          {deltaFmt(r.deltas[j].split)}
+                        </div>
+                      )}
+                    </td>
+                  )}
+                </React.Fragment>
+              ))}
+            </tr>
+          ))}
+          <tr className="border-t-2 border-slate-700 font-semibold">
+            <td className="py-1">{t("compare.total")}</td>
+            {totals.map((ms, j) => (
+              <React.Fragment key={series[j].key}>
+                <td className="py-1 px-2">{msFmt(ms)}</td>
+                {j > 0 && (
+                  <td className={`py-1 pr-2 ${deltaClass(totalDelta(ms))}`}>
+                    {deltaFmt(totalDelta(ms))}
+                  </td>
+                )}
+              </React.Fragment>
+            ))}
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+}
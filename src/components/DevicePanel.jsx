@@ -0,0 +1,313 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import useI18n from "../i18n/useI18n.js";
+import { describeDeviceError } from "../lib/deviceErrors.js";
+import {
+  DEVICE_SETTINGS,
+  readDeviceInfo,
+  readDeviceSettings,
+  runLinkDiagnostics,
+  validateSetting,
+  writeDeviceSetting,
+} from "../lib/deviceSettings.js";
+
+const PING_COUNTS = [10, 20, 50];
+// p90 выше — предупреждаем: опрос серии будет заметно отставать
+const SLOW_RTT_MS = 250;
+
+/* ===== устройство: настройки, версия, диагностика связи ===== */
+
+// dev — useDevice(); busy — идёт серия, команды не шлём
+export default function DevicePanel({ dev, busy }) {
+  const { t } = useI18n();
+  const [info, setInfo] = useState(null);
+  const [settings, setSettings] = useState(null); // key → { value } | ...
+  const [drafts, setDrafts] = useState({}); // key → строка из поля
+  const [status, setStatus] = useState({}); // key → { ok, text }
+  const [reading, setReading] = useState(false);
+  const [pings, setPings] = useState(PING_COUNTS[1]);
+  const [progress, setProgress] = useState(null);
+  const [diag, setDiag] = useState(null);
+  const aliveRef = useRef(true);
+  const busyRef = useRef(busy);
+  busyRef.current = busy;
+
+  const canTalk = dev.connected && !busy;
+  const { sendAndWait, getMetrics, readRssi, connected } = dev;
+
+  useEffect(() => {
+    aliveRef.current = true;
+    return () => {
+      aliveRef.current = false;
+    };
+  }, []);
+
+  const readAll = useCallback(async () => {
+    setReading(true);
+    setStatus({});
+    const nextInfo = await readDeviceInfo({ sendAndWait });
+    const next = await readDeviceSettings({ sendAndWait });
+    if (!aliveRef.current) return;
+    setInfo(nextInfo);
+    setSettings(next);
+    setDrafts(
+      Object.fromEntries(
+        Object.entries(next).map(([k, v]) => [
+          k,
+          v.value != null ? String(v.value) : "",
+        ])
+      )
+    );
+    setReading(false);
+  }, [sendAndWait]);
+
+  // Подключились — сразу читаем; отключились — старое не показываем
+  useEffect(() => {
+    if (!connected) {
+      setInfo(null);
+      setSettings(null);
+      setDiag(null);
+      return;
+    }
+    // Подключились посреди серии — читаем по кнопке, когда она закончится
+    if (!busyRef.current) readAll();
+  }, [connected, readAll]);
+
+  const write = async (key) => {
+    const value = Number(drafts[key]);
+    const bad = validateSetting(key, value);
+    if (bad) {
+      setStatus((s) => ({
+        ...s,
+        [key]: { ok: false, text: t("device.range", bad) },
+      }));
+      return;
+    }
+    const res = await writeDeviceSetting({ sendAndWait }, key, value);
+    if (!aliveRef.current) return;
+    if (res.ok) {
+      setSettings((cur) => ({ ...cur, [key]: { value: res.value } }));
+      setDrafts((d) => ({ ...d, [key]: String(res.value) }));
+    }
+    setStatus((s) => ({
+      ...s,
+      [key]: {
+        ok: res.ok,
+        text: res.ok
+          ? t("device.saved")
+          : res.error
+            ? t("device.rejected", { reason: describeDeviceError(res.error) })
+            : t("device.noReply"),
+      },
+    }));
+  };
+
+  const testLink = async () => {
+    setDiag(null);
+    setProgress({ n: 0, count: pings });
+    const res = await runLinkDiagnostics({
+      sendAndWait,
+      getMetrics,
+      readRssi,
+      count: pings,
+      onProgress: (n, count) => aliveRef.current && setProgress({ n, count }),
+      isCancelled: () => !aliveRef.current,
+    });
+    if (!aliveRef.current) return;
+    setProgress(null);
+    setDiag(res);
+  };
+
+  const field =
+    "w-28 bg-slate-950/80 border border-slate-700 rounded-lg px-2 py-1 tabular-nums";
+  const btn =
+    "px-3 py-1.5 rounded-xl border border-slate-600 text-sm font-semibold hover:border-slate-400 disabled:opacity-40";
+  const msText = (v) => (v != null ? `${Math.round(v)} ${t("units.ms")}` : "—");
+  const infoText = (v) =>
+    v?.value ?? (v?.unsupported ? t("device.notReported") : "—");
+
+  const shown = DEVICE_SETTINGS.filter((s) => !settings?.[s.key]?.unsupported);
+  const unsupported = DEVICE_SETTINGS.filter(
+    (s) => settings?.[s.key]?.unsupported
+  );
+  const testing = progress != null;
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+      {/* Устройство и настройки */}
+      <div className="bg-slate-900/70 border border-slate-700 rounded-2xl p-4 space-y-3">
+        <div className="flex items-center justify-between gap-2">
+          <h2 className="text-lg font-semibold">{t("device.title")}</h2>
+          <button
+            type="button"
+            onClick={readAll}
+            disabled={!canTalk || reading || testing}
+            className={btn}
+          >
+            {reading ? t("device.reading") : t("device.read")}
+          </button>
+        </div>
+
+        {!dev.connected && (
+          <p className="text-sm text-slate-400">{t("device.notConnected")}</p>
+        )}
+        {dev.connected && busy && (
+          <p className="text-sm text-amber-300">{t("device.busy")}</p>
+        )}
+
+        <dl className="grid grid-cols-2 gap-x-3 gap-y-1 text-sm">
+          <dt className="text-slate-400">{t("device.transport")}</dt>
+          <dd>{dev.transportLabel}</dd>
+          <dt className="text-slate-400">{t("device.name")}</dt>
+          <dd>{dev.connected ? dev.deviceName || "—" : "—"}</dd>
+          <dt className="text-slate-400">{t("device.firmware")}</dt>
+          <dd className="tabular-nums">{infoText(info?.VER)}</dd>
+          <dt className="text-slate-400">{t("device.hardware")}</dt>
+          <dd>{infoText(info?.HW)}</dd>
+        </dl>
+
+        {settings && (
+          <div className="space-y-2">
+            <div className="text-sm font-medium text-slate-300">
+              {t("device.settings")}
+            </div>
+            {shown.map((s) => {
+              const st = status[s.key];
+              return (
+                <div
+                  key={s.key}
+                  className="flex flex-wrap items-center gap-2 text-sm"
+                >
+                  <label className="flex-1 min-w-[10rem] text-slate-400">
+                    {t(`device.keys.${s.key}`)}
+                    {s.unit && `, ${s.unit === "ms" ? t("units.ms") : s.unit}`}
+                  </label>
+                  <input
+                    type="number"
+                    min={s.min}
+                    max={s.max}
+                    value={drafts[s.key] ?? ""}
+                    placeholder={settings[s.key]?.failed ? "?" : ""}
+                    onChange={(e) =>
+                      setDrafts((d) => ({ ...d, [s.key]: e.target.value }))
+                    }
+                    disabled={!canTalk}
+                    className={field}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => write(s.key)}
+                    disabled={!canTalk || drafts[s.key] === ""}
+                    className={btn}
+                  >
+                    {t("device.write")}
+                  </button>
+                  {st && (
+                    <span
+                      className={`basis-full text-xs ${
+                        st.ok ? "text-emerald-400" : "text-rose-300"
+                      }`}
+                    >
+                      {st.text}
+                    </span>
+                  )}
+                </div>
+              );
+            })}
+            <p className="text-xs text-slate-500">{t("device.startHint")}</p>
+            {unsupported.length > 0 && (
+              <p className="text-xs text-slate-500">
+                {t("device.unsupported", {
+                  list: unsupported
+                    .map((s) => t(`device.keys.${s.key}`))
+                    .join(", "),
+                })}
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Диагностика */}
+      <div className="bg-slate-900/70 border border-slate-700 rounded-2xl p-4 space-y-3">
+        <h2 className="text-lg font-semibold">{t("device.diagnostics")}</h2>
+        <p className="text-xs text-slate-400">{t("device.diagHint")}</p>
+
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <label className="text-slate-400">
+            {t("device.pings")}{" "}
+            <select
+              value={pings}
+              onChange={(e) => setPings(Number(e.target.value))}
+              disabled={testing}
+              className="bg-slate-950/80 border border-slate-700 rounded-lg px-2 py-1 text-slate-100"
+            >
+              {PING_COUNTS.map((n) => (
+                <option key={n} value={n}>
+                  {n}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button
+            type="button"
+            onClick={testLink}
+            disabled={!canTalk || testing || reading}
+            className="px-4 py-2 rounded-2xl font-semibold bg-emerald-500 text-black hover:bg-emerald-400 disabled:bg-slate-700 disabled:text-slate-400"
+          >
+            {testing
+              ? t("device.testing", { n: progress.n, count: progress.count })
+              : t("device.test")}
+          </button>
+        </div>
+
+        {diag && (
+          <div className="space-y-2 text-sm">
+            <p
+              className={
+                diag.ok === diag.sent && (diag.rtt?.p90 ?? 0) <= SLOW_RTT_MS
+                  ? "text-emerald-400"
+                  : "text-amber-300"
+              }
+            >
+              {diag.ok !== diag.sent
+                ? t("device.verdictLoss")
+                : diag.rtt.p90 > SLOW_RTT_MS
+                  ? t("device.verdictSlow")
+                  : t("device.verdictOk")}
+            </p>
+            <dl className="grid grid-cols-2 gap-x-3 gap-y-1 tabular-nums">
+              <dt className="text-slate-400">{t("device.answered")}</dt>
+              <dd>
+                {diag.ok} / {diag.sent}
+              </dd>
+              <dt className="text-slate-400">{t("device.rttMin")}</dt>
+              <dd>{msText(diag.rtt?.min)}</dd>
+              <dt className="text-slate-400">{t("device.rttMedian")}</dt>
+              <dd>{msText(diag.rtt?.median)}</dd>
+              <dt className="text-slate-400">{t("device.rttMean")}</dt>
+              <dd>{msText(diag.rtt?.mean)}</dd>
+              <dt className="text-slate-400">{t("device.rttP90")}</dt>
+              <dd>{msText(diag.rtt?.p90)}</dd>
+              <dt className="text-slate-400">{t("device.rttMax")}</dt>
+              <dd>{msText(diag.rtt?.max)}</dd>
+              <dt className="text-slate-400">{t("device.lost")}</dt>
+              <dd className={diag.lost ? "text-amber-300" : ""}>{diag.lost}</dd>
+              <dt className="text-slate-400">{t("device.errors")}</dt>
+              <dd>{diag.errors}</dd>
+              <dt className="text-slate-400">{t("device.retries")}</dt>
+              <dd>{diag.retries ?? "—"}</dd>
+              <dt className="text-slate-400">{t("device.timeouts")}</dt>
+              <dd>{diag.timeouts ?? "—"}</dd>
+              <dt className="text-slate-400">RSSI</dt>
+              <dd>
+                {diag.rssi != null
+                  ? `${diag.rssi} dBm`
+                  : t("device.rssiNone")}
+              </dd>
+            </dl>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,259 @@
+import React, { useState } from "react";
+import { msFmt } from "../lib/format.js";
+import { drillDescription, isBuiltinDrill } from "../lib/drills.js";
+import { SEGMENT_TYPES, segmentLabel } from "../lib/segments.js";
+import useI18n from "../i18n/useI18n.js";
+
+const emptyDrill = () => ({
+  id: null,
+  name: "",
+  description: "",
+  strings: [{ name: "", shots: 6, parMs: null }],
+});
+
+// Шаблон сегментов правим по выстрелу; больше — смысла размечать нет
+const MAX_TEMPLATE_SHOTS = 30;
+
+const templateOf = (s) =>
+  Array.from({ length: Math.min(s.shots, MAX_TEMPLATE_SHOTS) }, (_, k) =>
+    s.segments?.[k] || (k === 0 ? "draw" : "split")
+  );
+
+const stringsSummary = (d, t) =>
+  t("drills.summary", {
+    strings: d.strings.length,
+    shots: d.strings.reduce((a, s) => a + s.shots, 0),
+  });
+
+// Каталог упражнений и редактор своих
+export default function DrillLibrary({ drills, onRun, canRun }) {
+  const { t } = useI18n();
+  const [editing, setEditing] = useState(null);
+
+  const field =
+    "w-full bg-slate-950/80 border border-slate-700 rounded-lg px-2 py-1 tabular-nums text-slate-100";
+  const btn =
+    "px-3 py-1.5 rounded-xl border text-xs font-semibold border-slate-600 hover:border-slate-400 disabled:opacity-50";
+
+  const updateString = (i, patch) =>
+    setEditing((d) => ({
+      ...d,
+      strings: d.strings.map((s, j) => (j === i ? { ...s, ...patch } : s)),
+    }));
+
+  const save = () => {
+    drills.saveDrill(editing);
+    setEditing(null);
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+      <div className="lg:col-span-2 bg-slate-900/70 border border-slate-700 rounded-2xl p-4">
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="text-lg font-semibold">{t("drills.title")}</h2>
+          <button
+            type="button"
+            onClick={() => setEditing(emptyDrill())}
+            className={btn}
+          >
+            {t("drills.custom")}
+          </button>
+        </div>
+
+        <ul className="space-y-2">
+          {drills.drills.map((d) => (
+            <li
+              key={d.id}
+              className="rounded-xl border border-slate-700 bg-slate-950/40 px-3 py-2 text-sm"
+            >
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <div>
+                  <div className="font-medium">{d.name}</div>
+                  <div className="text-xs text-slate-400">
+                    {stringsSummary(d, t)}
+                    {d.strings[0]?.parMs
+                      ? t("drills.par", { t: msFmt(d.strings[0].parMs) })
+                      : ""}
+                  </div>
+                  {drillDescription(d) && (
+                    <div className="text-xs text-slate-500">
+                      {drillDescription(d)}
+                    </div>
+                  )}
+                </div>
+                <div className="flex gap-2">
+                  {!isBuiltinDrill(d.id) && (
+                    <>
+                      <button
+                        type="button"
+                        onClick={() => setEditing(d)}
+                        className={btn}
+                      >
+                        {t("drills.edit")}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() =>
+                          window.confirm(t("drills.confirmDelete")) &&
+                          drills.deleteDrill(d.id)
+                        }
+                        className={`${btn} text-rose-300`}
+                      >
+                        {t("drills.delete")}
+                      </button>
+                    </>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => onRun(d.id)}
+                    disabled={!canRun}
+                    className="px-3 py-1.5 rounded-xl text-xs font-semibold bg-emerald-500 text-black hover:bg-emerald-400 disabled:opacity-50"
+                  >
+                    {t("drills.run")}
+                  </button>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {editing && (
+        <div className="bg-slate-900/70 border border-slate-700 rounded-2xl p-4 space-y-3 text-xs text-slate-400">
+          <h2 className="text-lg font-semibold text-slate-100">
+            {editing.id ? t("drills.editTitle") : t("drills.newTitle")}
+          </h2>
+          <label className="block">
+            {t("drills.name")}
+            <input
+              type="text"
+              value={editing.name}
+              onChange={(e) =>
+                setEditing((d) => ({ ...d, name: e.target.value }))
+              }
+              className={field}
+            />
+          </label>
+          <label className="block">
+            {t("drills.description")}
+            <input
+              type="text"
+              value={editing.description}
+              onChange={(e) =>
+                setEditing((d) => ({ ...d, description: e.target.value }))
+              }
+              className={field}
+            />
+          </label>
+
+          {editing.strings.map((s, i) => (
+            <div key={i} className="space-y-1">
+              <div className="grid grid-cols-[1fr_4rem_4rem_auto] gap-2 items-end">
+                <label>
+                  {t("drills.string")}
+                  <input
+                    type="text"
+                    value={s.name}
+                    placeholder={t("drills.stringN", { n: i + 1 })}
+                    onChange={(e) => updateString(i, { name: e.target.value })}
+                    className={field}
+                  />
+                </label>
+                <label>
+                  {t("drills.shots")}
+                  <input
+                    type="number"
+                    min={1}
+                    value={s.shots}
+                    onChange={(e) =>
+                      updateString(i, { shots: Number(e.target.value) })
+                    }
+                    className={field}
+                  />
+                </label>
+                <label>
+                  {t("drills.parSec")}
+                  <input
+                    type="number"
+                    min={0}
+                    step={0.1}
+                    value={s.parMs ? s.parMs / 1000 : ""}
+                    onChange={(e) =>
+                      updateString(i, {
+                        parMs: Number(e.target.value) * 1000 || null,
+                      })
+                    }
+                    className={field}
+                  />
+                </label>
+                <button
+                  type="button"
+                  onClick={() =>
+                    setEditing((d) => ({
+                      ...d,
+                      strings: d.strings.filter((_, j) => j !== i),
+                    }))
+                  }
+                  disabled={editing.strings.length < 2}
+                  className={`${btn} text-rose-300`}
+                >
+                  ×
+                </button>
+              </div>
+              <div className="flex flex-wrap items-center gap-1">
+                <span>{t("drills.segments")}</span>
+                {templateOf(s).map((type, k) => (
+                  <select
+                    key={k}
+                    value={type}
+                    onChange={(e) => {
+                      const next = templateOf(s);
+                      next[k] = e.target.value;
+                      updateString(i, { segments: next });
+                    }}
+                    aria-label={t("drills.segmentN", { n: k + 1 })}
+                    className="bg-slate-950/80 border border-slate-700 rounded px-1 py-0.5 text-slate-100"
+                  >
+                    {SEGMENT_TYPES.map((x) => (
+                      <option key={x} value={x}>
+                        {k + 1}. {segmentLabel(x)}
+                      </option>
+                    ))}
+                  </select>
+                ))}
+              </div>
+            </div>
+          ))}
+
+          <div className="flex flex-wrap gap-2">
+            <button
+              type="button"
+              onClick={() =>
+                setEditing((d) => ({
+                  ...d,
+                  strings: [
+                    ...d.strings,
+                    { ...d.strings[d.strings.length - 1], name: "" },
+                  ],
+                }))
+              }
+              className={btn}
+            >
+              {t("drills.addString")}
+            </button>
+            <button
+              type="button"
+              onClick={save}
+              className="px-3 py-1.5 rounded-xl text-xs font-semibold bg-emerald-500 text-black hover:bg-emerald-400"
+            >
+              {t("drills.save")}
+            </button>
+            <button type="button" onClick={() => setEditing(null)} className={btn}>
+              {t("drills.cancel")}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,148 @@
+import React from "react";
+import { msFmt } from "../lib/format.js";
+import { drillAggregates, stringName } from "../lib/drills.js";
+import useI18n from "../i18n/useI18n.js";
+
+// Прохождение упражнения: серии, их результаты и итог
+export default function DrillRunCard({ drills, running }) {
+  const { t } = useI18n();
+  const { run } = drills;
+  if (!run) return null;
+
+  const { drill, results, index } = run;
+  const agg = drillAggregates(drill, results);
+
+  return (
+    <div className="bg-slate-900/70 border border-emerald-700/60 rounded-2xl p-4 space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-lg font-semibold">{drill.name}</h2>
+        <button
+          type="button"
+          onClick={drills.abortRun}
+          disabled={running}
+          className="px-3 py-1.5 rounded-xl border text-xs font-semibold border-slate-600 hover:border-slate-400 disabled:opacity-50"
+        >
+          {agg.complete ? t("drills.close") : t("drills.abort")}
+        </button>
+      </div>
+
+      {drills.current && (
+        <p className="text-sm text-emerald-300">
+          {t("drills.current", {
+            n: index + 1,
+            count: drill.strings.length,
+            shots: drills.current.shots,
+          })}
+          {drills.current.parMs
+            ? t("drills.par", { t: msFmt(drills.current.parMs) })
+            : ""}
+        </p>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="text-slate-300/80">
+            <tr>
+              <th className="text-left font-medium py-1">
+                {t("drills.colString")}
+              </th>
+              <th className="text-left font-medium py-1">
+                {t("drills.colShots")}
+              </th>
+              <th className="text-left font-medium py-1">
+                {t("drills.colFirst")}
+              </th>
+              <th className="text-left font-medium py-1">
+                {t("drills.colTotal")}
+              </th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {drill.strings.map((s, i) => {
+              const r = results[i];
+              const tag =
+                agg.best?.index === i && agg.stringsDone > 1
+                  ? "text-emerald-400"
+                  : agg.worst?.index === i && agg.stringsDone > 1
+                    ? "text-rose-400"
+                    : "";
+              return (
+                <tr
+                  key={i}
+                  className={`border-t border-slate-800 tabular-nums ${
+                    i === index ? "bg-slate-800/60" : ""
+                  }`}
+                >
+                  <td className="py-1">{stringName(s, i)}</td>
+                  <td
+                    className={`py-1 ${
+                      r && r.shotCount !== s.shots ? "text-amber-300" : ""
+                    }`}
+                  >
+                    {r ? `${r.shotCount}/${s.shots}` : s.shots}
+                  </td>
+                  <td className="py-1">{r ? msFmt(r.firstShotMs) : "—"}</td>
+                  <td className={`py-1 ${tag}`}>
+                    {r ? msFmt(r.totalTimeMs) : "—"}
+                  </td>
+                  <td className="py-1 text-right">
+                    {r && (
+                      <button
+                        type="button"
+                        onClick={() => drills.goToString(i)}
+                        disabled={running}
+                        className="text-xs text-slate-400 underline hover:text-slate-200 disabled:opacity-50"
+                      >
+                        {t("drills.repeat")}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {agg.stringsDone > 0 && (
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-xs text-slate-400 tabular-nums">
+          <div>
+            {t("drills.sum")}{" "}
+            <span className="text-slate-100">{msFmt(agg.totalTimeMs)}</span>
+          </div>
+          <div>
+            {t("drills.best")}{" "}
+            <span className="text-emerald-400">
+              {msFmt(agg.best.totalTimeMs)}
+            </span>
+          </div>
+          <div>
+            {t("drills.worst")}{" "}
+            <span className="text-rose-400">
+              {msFmt(agg.worst.totalTimeMs)}
+            </span>
+          </div>
+          <div>
+            {t("drills.shotCount")}{" "}
+            <span
+              className={
+                agg.complete && agg.shotCount !== agg.expectedShots
+                  ? "text-amber-300"
+                  : "text-slate-100"
+              }
+            >
+              {agg.shotCount}/{agg.expectedShots}
+            </span>
+          </div>
+        </div>
+      )}
+
+      {agg.complete && (
+        <p className="text-sm font-semibold text-emerald-400">
+          {t("drills.complete")}
+        </p>
+      )}
+    </div>
+  );
+}
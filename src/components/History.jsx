@@ -0,0 +1,396 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import {
+  deleteSession,
+  importSessions,
+  listSessions,
+  updateSession,
+} from "../lib/sessionsDb.js";
+import {
+  downloadText,
+  exportFileName,
+  parseSessionsJson,
+  sameSession,
+  sessionsToCsv,
+  sessionsToJson,
+} from "../lib/exportSessions.js";
+import { dateTimeFmt, msFmt } from "../lib/format.js";
+import { evaluatePar } from "../lib/presets.js";
+import { scoreSummary } from "../lib/scoring.js";
+import { COMPARE_COLORS } from "../lib/compare.js";
+import { segmentTypesBySeq, tagSegment } from "../lib/segments.js";
+import {
+  applyShotEdits,
+  editShot,
+  rawShotsOf,
+  recomputeSession,
+} from "../lib/shotEdits.js";
+import StatCard from "./StatCard.jsx";
+import ShotsTable from "./ShotsTable.jsx";
+import TempoChart from "./TempoChart.jsx";
+import ShotTimeline from "./ShotTimeline.jsx";
+import SessionCompare from "./SessionCompare.jsx";
+import SegmentSummary from "./SegmentSummary.jsx";
+import ParResult from "./ParResult.jsx";
+import Report from "./Report.jsx";
+import ScoreEntry from "./ScoreEntry.jsx";
+import ShotEditTools from "./ShotEditTools.jsx";
+import useI18n from "../i18n/useI18n.js";
+
+const modeLabel = (s, t) =>
+  s.tMin === s.tMax
+    ? t("start.fixed", { t: msFmt(s.tMin) })
+    : t("start.random", { from: msFmt(s.tMin), to: msFmt(s.tMax) });
+
+// "сухой, 15м , сухой" → ["сухой", "15м"]
+const parseTags = (text) => [
+  ...new Set(
+    text
+      .split(",")
+      .map((t) => t.trim())
+      .filter(Boolean)
+  ),
+];
+
+// Метки сессии для фильтров статистики; сохраняются по уходу из поля
+function TagsField({ tags, onSave }) {
+  const { t } = useI18n();
+  const [text, setText] = useState(() => (tags || []).join(", "));
+  return (
+    <label className="block text-xs text-slate-400">
+      {t("history.tags")}
+      <input
+        type="text"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onBlur={() => onSave(parseTags(text))}
+        className="w-full bg-slate-950/80 border border-slate-700 rounded-lg px-2 py-1 text-slate-100"
+      />
+    </label>
+  );
+}
+
+export default function History({ refreshKey }) {
+  const { t } = useI18n();
+  const [sessions, setSessions] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [checked, setChecked] = useState(() => new Set());
+  const [report, setReport] = useState(null); // сессии для печати
+  const [compare, setCompare] = useState(null); // сессии для сравнения
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const fileRef = useRef(null);
+
+  const reload = useCallback(async () => {
+    try {
+      setSessions(await listSessions());
+      setError("");
+    } catch (e) {
+      setError(e?.message || String(e));
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload, refreshKey]);
+
+  const remove = useCallback(
+    async (id) => {
+      if (!window.confirm(t("history.confirmDelete"))) return;
+      try {
+        await deleteSession(id);
+      } catch (e) {
+        setError(e?.message || String(e));
+      }
+      setSelectedId((cur) => (cur === id ? null : cur));
+      setChecked((cur) => {
+        const next = new Set(cur);
+        next.delete(id);
+        return next;
+      });
+      reload();
+    },
+    [reload, t]
+  );
+
+  // Правка выстрелов и меток: список обновляем сразу, запись — следом
+  const saveEdit = useCallback(async (next) => {
+    setSessions((cur) => cur.map((s) => (s.id === next.id ? next : s)));
+    try {
+      await updateSession(next.id, next);
+    } catch (e) {
+      setError(e?.message || String(e));
+    }
+  }, []);
+
+  const selected = sessions.find((s) => s.id === selectedId) || null;
+  const par = selected ? evaluatePar(selected.shots, selected.parTimes) : null;
+
+  // Отмеченные галочками, а если их нет — открытая сессия
+  const exportSet = checked.size
+    ? sessions.filter((s) => checked.has(s.id))
+    : selected
+      ? [selected]
+      : [];
+
+  const toggleChecked = (id) =>
+    setChecked((cur) => {
+      const next = new Set(cur);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  const exportAs = (kind) => {
+    if (!exportSet.length) return;
+    if (kind === "csv") {
+      downloadText(
+        exportFileName(exportSet, "csv"),
+        "text/csv;charset=utf-8",
+        sessionsToCsv(exportSet)
+      );
+    } else {
+      downloadText(
+        exportFileName(exportSet, "json"),
+        "application/json",
+        sessionsToJson(exportSet)
+      );
+    }
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const list = parseSessionsJson(await file.text());
+      const { added, skipped } = await importSessions(list, sameSession);
+      setNotice(
+        t(skipped ? "history.importedSkipped" : "history.imported", {
+          added,
+          skipped,
+        })
+      );
+      setError("");
+      reload();
+    } catch (err) {
+      setNotice("");
+      setError(err?.message || String(err));
+    }
+  };
+
+  if (report) {
+    return <Report sessions={report} onClose={() => setReport(null)} />;
+  }
+  if (compare) {
+    return (
+      <SessionCompare
+        sessions={compare}
+        all={sessions}
+        onClose={() => setCompare(null)}
+      />
+    );
+  }
+
+  const actionBtn =
+    "px-3 py-1.5 rounded-xl border text-xs font-semibold border-slate-600 hover:border-slate-400 disabled:opacity-50";
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+      <div className="bg-slate-900/70 border border-slate-700 rounded-2xl p-4">
+        <h2 className="text-lg font-semibold mb-3">{t("history.title")}</h2>
+
+        <div className="flex flex-wrap gap-2 mb-3">
+          <button
+            type="button"
+            onClick={() => exportAs("csv")}
+            disabled={!exportSet.length}
+            className={actionBtn}
+          >
+            {t("history.csv")}
+          </button>
+          <button
+            type="button"
+            onClick={() => exportAs("json")}
+            disabled={!exportSet.length}
+            className={actionBtn}
+          >
+            {t("history.json")}
+          </button>
+          <button
+            type="button"
+            onClick={() => setReport(exportSet)}
+            disabled={!exportSet.length}
+            className={actionBtn}
+          >
+            {t("history.report")}
+          </button>
+          <button
+            type="button"
+            onClick={() =>
+              setCompare(exportSet.filter((s) => s.shots.length))
+            }
+            disabled={!exportSet.some((s) => s.shots.length)}
+            className={actionBtn}
+          >
+            {t("history.compare")}
+          </button>
+          <button
+            type="button"
+            onClick={() => fileRef.current?.click()}
+            className={actionBtn}
+          >
+            {t("history.import")}
+          </button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={importFile}
+            className="hidden"
+          />
+        </div>
+        {exportSet.length > 0 && (
+          <p className="text-xs text-slate-400 mb-2">
+            {t("history.selected", { n: exportSet.length })}
+          </p>
+        )}
+
+        {error && (
+          <p className="text-xs text-rose-300 mb-2">{error}</p>
+        )}
+        {notice && (
+          <p className="text-xs text-emerald-300 mb-2">{notice}</p>
+        )}
+
+        {sessions.length === 0 && !error && (
+          <p className="py-6 text-center text-sm text-slate-400">
+            {t("history.empty")}
+          </p>
+        )}
+
+        <ul className="space-y-2">
+          {sessions.map((s) => (
+            <li
+              key={s.id}
+              className={`flex items-center justify-between gap-2 rounded-xl border px-3 py-2 text-sm ${
+                s.id === selectedId
+                  ? "border-emerald-500 bg-slate-950/80"
+                  : "border-slate-700 bg-slate-950/40"
+              }`}
+            >
+              <input
+                type="checkbox"
+                checked={checked.has(s.id)}
+                onChange={() => toggleChecked(s.id)}
+                aria-label={t("history.pick")}
+              />
+              <button
+                type="button"
+                onClick={() => setSelectedId(s.id)}
+                className="flex-1 text-left"
+              >
+                <div className="font-medium">
+                  {dateTimeFmt(s.createdAt)}
+                </div>
+                <div className="text-xs text-slate-400 tabular-nums">
+                  {t("history.shotsShort", { n: s.shots.length })} •{" "}
+                  {msFmt(s.totalTimeMs)}
+                  {s.drill &&
+                    ` • ${s.drill.name} ${s.drill.string + 1}/${s.drill.strings}`}
+                  {s.bay && ` • ${s.bay}`}
+                  {s.shooter && ` • ${s.shooter.name}`}
+                  {s.score && ` • ${scoreSummary(s)}`}
+                  {s.tags?.length > 0 && ` • ${s.tags.join(", ")}`}
+                </div>
+              </button>
+              <button
+                type="button"
+                onClick={() => remove(s.id)}
+                className="px-2 py-1 rounded-lg text-xs border border-slate-600 text-rose-300 hover:border-rose-400"
+              >
+                {t("history.delete")}
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div className="lg:col-span-2 bg-slate-900/70 border border-slate-700 rounded-2xl p-4 space-y-4">
+        {!selected && (
+          <p className="py-6 text-center text-sm text-slate-400">
+            {t("history.choose")}
+          </p>
+        )}
+
+        {selected && (
+          <>
+            <div className="flex flex-wrap justify-between gap-2 text-sm">
+              <span className="font-semibold">
+                {dateTimeFmt(selected.createdAt)}
+              </span>
+              <span className="text-slate-400">
+                {modeLabel(selected, t)} •{" "}
+                {selected.deviceName || "HM-10"}
+              </span>
+            </div>
+
+            <div className="grid grid-cols-3 gap-3">
+              <StatCard
+                label={t("stat.firstShot")}
+                value={msFmt(selected.firstShotMs)}
+              />
+              <StatCard
+                label={t("stat.shots")}
+                value={String(selected.shots.length)}
+              />
+              <StatCard
+                label={t("stat.totalTime")}
+                value={msFmt(selected.totalTimeMs)}
+              />
+            </div>
+
+            <TagsField
+              key={`tags-${selected.id}`}
+              tags={selected.tags}
+              onSave={(tags) => saveEdit({ ...selected, tags })}
+            />
+            <ParResult par={par} />
+            <ScoreEntry
+              key={selected.id}
+              session={selected}
+              onSaved={reload}
+            />
+            <ShotEditTools
+              session={selected}
+              onChange={(patch) => saveEdit(recomputeSession(selected, patch))}
+            />
+            <ShotsTable
+              shots={applyShotEdits(rawShotsOf(selected), selected)}
+              lateSeqs={par?.lateSeqs}
+              onEdit={(seq, action) =>
+                saveEdit(editShot(selected, seq, action))
+              }
+              segments={segmentTypesBySeq(selected)}
+              onSegment={(seq, type) =>
+                saveEdit(tagSegment(selected, seq, type))
+              }
+            />
+            <SegmentSummary session={selected} history={sessions} />
+            <ShotTimeline
+              series={[
+                {
+                  key: "s",
+                  label: t("compare.thisString"),
+                  shots: selected.shots,
+                  color: COMPARE_COLORS[0],
+                },
+              ]}
+              parTimes={selected.parTimes}
+            />
+            <TempoChart shots={selected.shots} />
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+import React, { useEffect, useState } from "react";
+import { msFmt } from "../lib/format.js";
+import { detectShots } from "../lib/shotDetector.js";
+import { parseWav } from "../lib/wav.js";
+import useI18n from "../i18n/useI18n.js";
+
+// Настройки микрофонного таймера (транспорт "mic") и проверка на WAV
+export default function MicPanel({ transport, connected }) {
+  const { t } = useI18n();
+  const [cfg, setCfg] = useState(transport.config);
+  const [level, setLevel] = useState(0);
+  const [wav, setWav] = useState(null); // { name, durationMs, shots }
+  const [error, setError] = useState("");
+
+  const update = (patch) => {
+    transport.configure(patch);
+    setCfg(transport.config);
+  };
+
+  useEffect(() => {
+    if (!connected) return;
+    const id = setInterval(() => setLevel(transport.getLevel()), 100);
+    return () => clearInterval(id);
+  }, [connected, transport]);
+
+  // Тот же детектор, что и на живом входе, по записанному файлу
+  const testWav = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { samples, sampleRate } = parseWav(await file.arrayBuffer());
+      setWav({
+        name: file.name,
+        durationMs: (samples.length * 1000) / sampleRate,
+        shots: detectShots(samples, sampleRate, cfg),
+      });
+      setError("");
+    } catch (err) {
+      setWav(null);
+      setError(err?.message || String(err));
+    }
+  };
+
+  const field =
+    "w-full bg-slate-950/80 border border-slate-700 rounded-lg px-2 py-1 tabular-nums";
+
+  return (
+    <div className="text-xs text-slate-400 space-y-2 border border-slate-800 rounded-xl p-3">
+      <div className="font-medium text-slate-300">{t("mic.title")}</div>
+      <div className="grid grid-cols-2 gap-2">
+        <label>
+          {t("mic.sensitivity", { n: cfg.sensitivity })}
+          <input
+            type="range"
+            min={0}
+            max={100}
+            value={cfg.sensitivity}
+            onChange={(e) => update({ sensitivity: Number(e.target.value) })}
+            className="w-full"
+          />
+        </label>
+        <label>
+          {t("mic.lockout")}
+          <input
+            type="number"
+            min={0}
+            max={500}
+            step={10}
+            value={cfg.lockoutMs}
+            onChange={(e) =>
+              update({ lockoutMs: Math.max(0, Number(e.target.value) || 0) })
+            }
+            className={field}
+          />
+        </label>
+      </div>
+
+      {connected && (
+        <div className="h-2 bg-slate-800 rounded">
+          <div
+            className="h-2 bg-emerald-500 rounded"
+            style={{ width: `${Math.min(100, level * 100)}%` }}
+          />
+        </div>
+      )}
+
+      <label className="block">
+        {t("mic.testWav")}
+        <input
+          type="file"
+          accept="audio/wav,.wav"
+          onChange={testWav}
+          className="block w-full text-slate-300"
+        />
+      </label>
+      {error && <p className="text-rose-300">{error}</p>}
+      {wav && (
+        <p className="tabular-nums">
+          {t("mic.wavResult", {
+            name: wav.name,
+            duration: msFmt(wav.durationMs),
+            n: wav.shots.length,
+          })}
+          {wav.shots.length > 0 &&
+            " — " + wav.shots.map((ms) => msFmt(ms)).join(", ")}
+        </p>
+      )}
+    </div>
+  );
+}
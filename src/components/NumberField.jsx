@@ -0,0 +1,27 @@
+import React, { useState } from "react";
+
+// Числовое поле, которое применяется по blur/Enter. Пока поле редактируют,
+// держим текст как есть: нормализация на каждую клавишу не дала бы стереть
+// число и набрать новое. Пустое или нечисловое — возвращаем прежнее.
+// onCommit(number) получает разобранное число, пределы — забота родителя.
+export default function NumberField({ value, onCommit, ...props }) {
+  const [text, setText] = useState(null); // null — показываем value
+
+  const commit = () => {
+    if (text == null) return;
+    const num = parseFloat(text);
+    setText(null);
+    if (Number.isFinite(num)) onCommit(num);
+  };
+
+  return (
+    <input
+      type="number"
+      {...props}
+      value={text ?? value}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => e.key === "Enter" && commit()}
+    />
+  );
+}
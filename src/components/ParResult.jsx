@@ -0,0 +1,29 @@
+import React from "react";
+import { msFmt } from "../lib/format.js";
+import useI18n from "../i18n/useI18n.js";
+
+// Итог по пар-тайму; par — результат evaluatePar()
+export default function ParResult({ par }) {
+  const { t } = useI18n();
+  if (!par) return null;
+
+  const late = par.lateSeqs.size;
+  return (
+    <div className="flex justify-between gap-2 text-sm">
+      <span className="text-slate-400">
+        {t("par.label", { t: msFmt(par.parMs) })}
+      </span>
+      {par.deltaMs == null ? (
+        <span className="text-slate-400">—</span>
+      ) : par.beat ? (
+        <span className="font-medium text-emerald-400 tabular-nums">
+          {t("par.beat", { t: msFmt(par.deltaMs) })}
+        </span>
+      ) : (
+        <span className="font-medium text-rose-400 tabular-nums">
+          {t("par.late", { t: msFmt(-par.deltaMs), n: late })}
+        </span>
+      )}
+    </div>
+  );
+}
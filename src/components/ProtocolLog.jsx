@@ -0,0 +1,222 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import useI18n from "../i18n/useI18n.js";
+import { downloadText } from "../lib/exportSessions.js";
+import {
+  clockFmt,
+  filterLog,
+  logFileName,
+  logToJson,
+  logToText,
+} from "../lib/protocolLog.js";
+
+const VIEW_KEY = "dzengun.logView";
+
+const VIEW_DEFAULTS = {
+  tx: true,
+  rx: true,
+  sys: true,
+  raw: false, // сырые куски с транспорта (hex)
+  hidePolling: false,
+};
+
+function loadView() {
+  try {
+    return {
+      ...VIEW_DEFAULTS,
+      ...JSON.parse(localStorage.getItem(VIEW_KEY) || "{}"),
+    };
+  } catch {
+    return { ...VIEW_DEFAULTS };
+  }
+}
+
+const DIR_STYLE = {
+  tx: "text-sky-300",
+  rx: "text-emerald-300",
+  sys: "text-slate-400",
+  chunk: "text-violet-300",
+};
+
+const STATUS_STYLE = {
+  error: "text-rose-300",
+  stale: "text-amber-300",
+  unsolicited: "text-amber-300",
+  event: "text-sky-300",
+};
+
+// Журнал обмена: entries — dev.log (protocolLog.js), старые первыми
+export default function ProtocolLog({ entries, onClear, meta }) {
+  const { t } = useI18n();
+  const [view, setView] = useState(loadView);
+  const [query, setQuery] = useState("");
+  const [frozenId, setFrozenId] = useState(null); // пауза: показываем до id
+  const boxRef = useRef(null);
+
+  const update = (patch) => {
+    setView((cur) => {
+      const next = { ...cur, ...patch };
+      localStorage.setItem(VIEW_KEY, JSON.stringify(next));
+      return next;
+    });
+  };
+
+  const paused = frozenId != null;
+  const visible = useMemo(() => {
+    const upTo = paused ? entries.filter((e) => e.id <= frozenId) : entries;
+    return filterLog(upTo, {
+      dirs: { tx: view.tx, rx: view.rx, sys: view.sys, chunk: view.raw },
+      hidePolling: view.hidePolling,
+      query,
+    });
+  }, [entries, frozenId, paused, view, query]);
+  const newSincePause = paused
+    ? entries.filter((e) => e.id > frozenId).length
+    : 0;
+
+  // Следим за хвостом, пока не на паузе
+  useEffect(() => {
+    if (paused || !boxRef.current) return;
+    boxRef.current.scrollTop = boxRef.current.scrollHeight;
+  }, [visible, paused]);
+
+  const lastId = entries.length ? entries[entries.length - 1].id : 0;
+  const togglePause = () => setFrozenId(paused ? null : lastId);
+
+  // В файл — весь журнал без фильтров: для разбора нужен полный обмен
+  const exportAs = (ext) => {
+    const list = entries;
+    if (ext === "json") {
+      downloadText(
+        logFileName(list, "json"),
+        "application/json",
+        logToJson(list, { ...meta, exportedAt: new Date().toISOString() })
+      );
+    } else {
+      downloadText(logFileName(list, "log"), "text/plain", logToText(list));
+    }
+  };
+
+  const chip = (on) =>
+    `px-2 py-0.5 rounded-lg border ${
+      on
+        ? "border-slate-300 text-slate-100"
+        : "border-slate-700 text-slate-500"
+    }`;
+  const btn =
+    "px-2 py-0.5 rounded-lg border border-slate-600 hover:border-slate-400 disabled:opacity-40";
+
+  return (
+    <div className="text-xs text-slate-400 space-y-1">
+      <div className="flex flex-wrap items-center gap-1.5">
+        <span className="mr-1">{t("timer.log")}</span>
+        {["tx", "rx", "sys"].map((d) => (
+          <button
+            key={d}
+            type="button"
+            onClick={() => update({ [d]: !view[d] })}
+            className={chip(view[d])}
+          >
+            {t(`log.dir.${d}`)}
+          </button>
+        ))}
+        <button
+          type="button"
+          onClick={() => update({ raw: !view.raw })}
+          className={chip(view.raw)}
+          title={t("log.rawHint")}
+        >
+          {t("log.raw")}
+        </button>
+        <button
+          type="button"
+          onClick={() => update({ hidePolling: !view.hidePolling })}
+          className={chip(view.hidePolling)}
+          title={t("log.hidePollingHint")}
+        >
+          {t("log.hidePolling")}
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-1.5">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder={t("log.search")}
+          className="flex-1 min-w-[6rem] bg-slate-950/80 border border-slate-700 rounded-lg px-2 py-0.5 text-slate-100"
+        />
+        <button
+          type="button"
+          onClick={togglePause}
+          className={`${btn} ${paused ? "text-amber-300" : ""}`}
+        >
+          {paused ? t("log.follow", { n: newSincePause }) : t("log.pause")}
+        </button>
+        <button
+          type="button"
+          onClick={() => exportAs("log")}
+          disabled={!entries.length}
+          className={btn}
+        >
+          .log
+        </button>
+        <button
+          type="button"
+          onClick={() => exportAs("json")}
+          disabled={!entries.length}
+          className={btn}
+        >
+          JSON
+        </button>
+        <button
+          type="button"
+          onClick={() => {
+            setFrozenId(null);
+            onClear();
+          }}
+          disabled={!entries.length}
+          className={btn}
+        >
+          {t("log.clear")}
+        </button>
+      </div>
+
+      <div
+        ref={boxRef}
+        className="h-64 min-h-[10rem] resize-y overflow-auto bg-slate-950/80 border border-slate-700 rounded-lg p-2 font-mono text-[11px] leading-snug"
+      >
+        {visible.map((e) => (
+          <div key={e.id} className="flex gap-2 whitespace-pre-wrap break-all">
+            <span className="shrink-0 text-slate-500 tabular-nums">
+              {clockFmt(e.at)}
+            </span>
+            <span className={`shrink-0 w-8 ${DIR_STYLE[e.dir]}`}>
+              {t(`log.dir.${e.dir}`)}
+            </span>
+            <span
+              className={`flex-1 ${STATUS_STYLE[e.status] || "text-slate-200"}`}
+            >
+              {e.dir === "chunk" ? `${e.hex}  ${e.text}` : e.text}
+            </span>
+            {e.corr != null && (
+              <span className="shrink-0 text-slate-500">#{e.corr}</span>
+            )}
+            {e.latencyMs != null && (
+              <span className="shrink-0 tabular-nums text-slate-400">
+                {e.latencyMs.toFixed(1)} {t("units.ms")}
+              </span>
+            )}
+            {e.status && e.status !== "ok" && (
+              <span className={`shrink-0 ${STATUS_STYLE[e.status]}`}>
+                {t(`log.status.${e.status}`)}
+              </span>
+            )}
+          </div>
+        ))}
+        {visible.length === 0 && (
+          <div className="text-slate-500">{t("log.empty")}</div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+import React from "react";
+import { dateTimeFmt, msFmt } from "../lib/format.js";
+import { evaluatePar } from "../lib/presets.js";
+import { scoreSummary } from "../lib/scoring.js";
+import ShotsTable from "./ShotsTable.jsx";
+import TempoChart from "./TempoChart.jsx";
+import useI18n from "../i18n/useI18n.js";
+
+const startLabel = (s, t) =>
+  s.tMin === s.tMax
+    ? t("report.startFixed", { t: msFmt(s.tMin) })
+    : t("report.startRandom", { from: msFmt(s.tMin), to: msFmt(s.tMax) });
+
+// Страница для печати (или «Сохранить как PDF») в журнал тренировок
+export default function Report({ sessions, onClose }) {
+  const { t } = useI18n();
+  return (
+    <div className="bg-white text-slate-900 rounded-2xl p-6 print:p-0 print:rounded-none space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 print:hidden">
+        <h2 className="text-lg font-semibold">{t("report.title")}</h2>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={() => window.print()}
+            className="px-4 py-2 rounded-2xl font-semibold bg-emerald-500 text-black hover:bg-emerald-400"
+          >
+            {t("report.print")}
+          </button>
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 rounded-2xl font-semibold border border-slate-400"
+          >
+            {t("report.close")}
+          </button>
+        </div>
+      </div>
+
+      <h1 className="text-2xl font-semibold">
+        {t("report.heading")}
+      </h1>
+
+      {sessions.map((s) => {
+        const par = evaluatePar(s.shots, s.parTimes);
+        return (
+          <section
+            key={s.id ?? s.createdAt}
+            className="space-y-3 break-inside-avoid border-t border-slate-300 pt-4"
+          >
+            <div className="flex flex-wrap justify-between gap-2 text-sm">
+              <span className="font-semibold">
+                {dateTimeFmt(s.createdAt)}
+              </span>
+              <span className="text-slate-600">
+                {startLabel(s, t)} • {s.deviceName || "STE"}
+              </span>
+            </div>
+            <div className="grid grid-cols-4 gap-3 text-sm tabular-nums">
+              <div>
+                {t("stat.firstShot")}: {msFmt(s.firstShotMs)}
+              </div>
+              <div>
+                {t("stat.shots")}: {s.shots.length}
+              </div>
+              <div>
+                {t("stat.totalTime")}: {msFmt(s.totalTimeMs)}
+              </div>
+              <div>{par ? t("report.par", { t: msFmt(par.parMs) }) : ""}</div>
+            </div>
+            {s.score && (
+              <div className="text-sm tabular-nums">
+                {t("report.score", { s: scoreSummary(s) })}
+              </div>
+            )}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 print:grid-cols-2">
+              <ShotsTable shots={s.shots} lateSeqs={par?.lateSeqs} />
+              <TempoChart shots={s.shots} />
+            </div>
+          </section>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+import React, { useState } from "react";
+import { msFmt } from "../lib/format.js";
+import {
+  SCORING_SYSTEMS,
+  computeScore,
+  emptyScore,
+  hitFactorFmt,
+  loadScoringSystem,
+  normalizeScore,
+  saveScoringSystem,
+} from "../lib/scoring.js";
+import { updateSession } from "../lib/sessionsDb.js";
+import useI18n from "../i18n/useI18n.js";
+
+const COMSTOCK_FIELDS = ["A", "C", "D", "M", "NS", "procedurals"];
+const IDPA_FIELDS = ["pointsDown", "pe", "hnt", "ftdr"];
+
+// Ввод попаданий для сохранённой серии; пишет score в историю.
+// Родитель задаёт key={session.id}, чтобы черновик сбрасывался.
+export default function ScoreEntry({ session, onSaved }) {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(
+    () => session.score || emptyScore(loadScoringSystem())
+  );
+  const [error, setError] = useState("");
+  const [saved, setSaved] = useState(false);
+
+  const kind = SCORING_SYSTEMS[draft.system]?.kind;
+  const result = computeScore(draft, session.totalTimeMs, {
+    shotCount: session.shots.length,
+    expectedShots: session.drill?.expectedShots,
+  });
+
+  const update = (patch) => {
+    setDraft((cur) => ({ ...cur, ...patch }));
+    setSaved(false);
+  };
+
+  const save = async () => {
+    try {
+      const score = normalizeScore(draft);
+      const next = await updateSession(session.id, { score });
+      saveScoringSystem(score.system);
+      setError("");
+      setSaved(true);
+      onSaved?.(next);
+    } catch (e) {
+      setError(e?.message || String(e));
+    }
+  };
+
+  const field =
+    "w-full bg-slate-950/80 border border-slate-700 rounded-lg px-2 py-1 tabular-nums text-slate-100";
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex flex-wrap gap-2">
+        {Object.entries(SCORING_SYSTEMS).map(([id, s]) => (
+          <button
+            key={id}
+            type="button"
+            onClick={() => update({ system: id })}
+            className={`px-2 py-1 rounded-lg border text-xs font-semibold ${
+              draft.system === id
+                ? "bg-slate-100 text-black border-slate-300"
+                : "bg-transparent text-white border-slate-600 hover:border-slate-400"
+            }`}
+          >
+            {s.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-3 sm:grid-cols-6 gap-2 text-xs text-slate-400">
+        {(kind === "idpa" ? IDPA_FIELDS : COMSTOCK_FIELDS).map((k) => (
+          <label key={k}>
+            {t(`score.zones.${k}`)}
+            <input
+              type="number"
+              min={0}
+              step={1}
+              value={draft[k]}
+              onChange={(e) => update({ [k]: e.target.value })}
+              className={field}
+            />
+          </label>
+        ))}
+      </div>
+
+      {result && kind === "idpa" && (
+        <div className="flex flex-wrap justify-between gap-2 tabular-nums">
+          <span className="text-slate-400">
+            {t("score.idpaLine", {
+              time: msFmt(session.totalTimeMs),
+              penalty: msFmt(result.penaltyMs),
+            })}
+          </span>
+          <span className="font-semibold">
+            {t("score.idpaTotal", { t: msFmt(result.finalMs) })}
+          </span>
+        </div>
+      )}
+      {result && kind !== "idpa" && (
+        <div className="flex flex-wrap justify-between gap-2 tabular-nums">
+          <span className="text-slate-400">
+            {t("score.comstockLine", result)}
+            {result.extraShots > 0 &&
+              t("score.extraShots", { n: result.extraShots })}
+          </span>
+          <span className="font-semibold">
+            HF {hitFactorFmt(result.hitFactor)}
+          </span>
+        </div>
+      )}
+
+      <div className="flex items-center gap-3">
+        <button
+          type="button"
+          onClick={save}
+          className="px-3 py-1.5 rounded-xl border text-xs font-semibold border-slate-600 hover:border-slate-400"
+        >
+          {t("score.save")}
+        </button>
+        {saved && (
+          <span className="text-xs text-emerald-300">{t("score.saved")}</span>
+        )}
+        {error && <span className="text-xs text-rose-300">{error}</span>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import React, { useMemo } from "react";
+import { msFmt } from "../lib/format.js";
+import { deltaFmt, sameKind } from "../lib/compare.js";
+import {
+  SEGMENT_COLORS,
+  segmentLabel,
+  segmentSummary,
+  segmentTrend,
+} from "../lib/segments.js";
+import SegmentTrendChart from "./SegmentTrendChart.jsx";
+import useI18n from "../i18n/useI18n.js";
+
+// Время по сегментам одной серии. history — вся история: тогда рядом
+// среднее по сериям того же рода и тренд по ним вместе с этой.
+export default function SegmentSummary({ session, history }) {
+  const { t } = useI18n();
+  const rows = useMemo(() => segmentSummary([session]), [session]);
+  const peers = useMemo(
+    () => (history ? sameKind(history, session) : []),
+    [history, session]
+  );
+  const peerMeans = useMemo(
+    () => new Map(segmentSummary(peers).map((r) => [r.type, r.mean])),
+    [peers]
+  );
+  const trend = useMemo(
+    () => (peers.length ? segmentTrend([...peers, session]) : []),
+    [peers, session]
+  );
+
+  if (!rows.length) return null;
+
+  return (
+    <div className="space-y-2">
+      <h3 className="text-sm font-semibold">{t("segments.title")}</h3>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm tabular-nums">
+          <thead className="text-slate-300/80">
+            <tr>
+              <th className="text-left font-medium py-1">
+                {t("segments.colType")}
+              </th>
+              <th className="text-right font-medium py-1">
+                {t("segments.colCount")}
+              </th>
+              <th className="text-right font-medium py-1">
+                {t("segments.colMean")}
+              </th>
+              <th className="text-right font-medium py-1">
+                {t("segments.colBest")}
+              </th>
+              {peers.length > 0 && (
+                <th className="text-right font-medium py-1">
+                  {t("segments.colUsual", { n: peers.length })}
+                </th>
+              )}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => {
+              const usual = peerMeans.get(r.type);
+              const d = Number.isFinite(usual) ? r.mean - usual : null;
+              return (
+                <tr key={r.type} className="border-t border-slate-800">
+                  <td className="py-1" style={{ color: SEGMENT_COLORS[r.type] }}>
+                    {segmentLabel(r.type)}
+                  </td>
+                  <td className="py-1 text-right">{r.count}</td>
+                  <td className="py-1 text-right">{msFmt(r.mean)}</td>
+                  <td className="py-1 text-right">{msFmt(r.best)}</td>
+                  {peers.length > 0 && (
+                    <td className="py-1 text-right">
+                      {msFmt(usual)}{" "}
+                      <span
+                        className={`text-xs ${
+                          d == null || d === 0
+                            ? "text-slate-400"
+                            : d < 0
+                              ? "text-emerald-400"
+                              : "text-rose-400"
+                        }`}
+                      >
+                        {d != null && deltaFmt(d)}
+                      </span>
+                    </td>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      {trend.length > 1 && <SegmentTrendChart data={trend} height="h-48" />}
+    </div>
+  );
+}
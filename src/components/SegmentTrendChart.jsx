@@ -0,0 +1,58 @@
+import React from "react";
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+} from "recharts";
+import { dateFmt, dateTimeFmt, msFmt } from "../lib/format.js";
+import { SEGMENT_COLORS, SEGMENT_TYPES, segmentLabel } from "../lib/segments.js";
+
+const axis = { stroke: "#94a3b8", tick: { fill: "#94a3b8" } };
+
+// Среднее время каждого типа сегмента по сериям (segmentTrend)
+export default function SegmentTrendChart({ data, height = "h-64" }) {
+  const types = SEGMENT_TYPES.filter((type) =>
+    data.some((p) => Number.isFinite(p[type]))
+  );
+
+  return (
+    <div className={height}>
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart
+          data={data}
+          margin={{ top: 10, right: 20, left: 0, bottom: 10 }}
+        >
+          <CartesianGrid strokeDasharray="3 3" stroke="#1f2933" />
+          <XAxis dataKey="createdAt" tickFormatter={dateFmt} {...axis} />
+          <YAxis tickFormatter={msFmt} {...axis} />
+          <Tooltip
+            formatter={(v) => msFmt(Number(v))}
+            labelFormatter={(ts) => dateTimeFmt(ts)}
+            contentStyle={{
+              background: "#020617",
+              border: "1px solid #1e293b",
+              color: "#e2e8f0",
+            }}
+          />
+          <Legend />
+          {types.map((type) => (
+            <Line
+              key={type}
+              type="monotone"
+              dataKey={type}
+              name={segmentLabel(type)}
+              dot
+              connectNulls
+              stroke={SEGMENT_COLORS[type]}
+            />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+import React, { useMemo, useState } from "react";
+import {
+  compareSeries,
+  MAX_COMPARE,
+  personalBest,
+} from "../lib/compare.js";
+import ShotTimeline from "./ShotTimeline.jsx";
+import TempoChart from "./TempoChart.jsx";
+import CompareTable from "./CompareTable.jsx";
+import useI18n from "../i18n/useI18n.js";
+
+// Сравнение отмеченных серий. Первая — база для дельт; базой можно
+// сделать любую. all — вся история, из неё ищем личный рекорд к базе.
+export default function SessionCompare({ sessions, all, onClose }) {
+  const { t } = useI18n();
+  const [list, setList] = useState(() => sessions.slice(0, MAX_COMPARE));
+
+  const pb = useMemo(() => personalBest(all, list[0]), [all, list]);
+  const canAddPb =
+    pb && list.length < MAX_COMPARE && !list.some((s) => s.id === pb.id);
+  const series = useMemo(() => compareSeries(list, pb?.id), [list, pb]);
+
+  const makeBase = (i) =>
+    setList((cur) => [cur[i], ...cur.filter((_, j) => j !== i)]);
+  const remove = (i) => setList((cur) => cur.filter((_, j) => j !== i));
+
+  const btn =
+    "px-3 py-1.5 rounded-xl border text-xs font-semibold border-slate-600 hover:border-slate-400 disabled:opacity-50";
+
+  return (
+    <div className="bg-slate-900/70 border border-slate-700 rounded-2xl p-4 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-lg font-semibold">{t("compare.title")}</h2>
+        <div className="flex flex-wrap gap-2">
+          <button
+            type="button"
+            onClick={() => setList((cur) => [...cur, pb])}
+            disabled={!canAddPb}
+            className={btn}
+            title={pb ? "" : t("compare.noPb")}
+          >
+            {t("compare.addPb")}
+          </button>
+          <button type="button" onClick={onClose} className={btn}>
+            {t("compare.close")}
+          </button>
+        </div>
+      </div>
+
+      <ul className="flex flex-wrap gap-2 text-xs">
+        {series.map((s, i) => (
+          <li
+            key={s.key}
+            className="flex items-center gap-2 rounded-lg border border-slate-700 px-2 py-1"
+          >
+            <span
+              className="inline-block w-3 h-3 rounded-sm"
+              style={{ background: s.color }}
+            />
+            <span>{s.label}</span>
+            {i === 0 ? (
+              <span className="text-slate-400">{t("compare.base")}</span>
+            ) : (
+              <button
+                type="button"
+                onClick={() => makeBase(i)}
+                className="text-slate-400 underline hover:text-slate-200"
+              >
+                {t("compare.makeBase")}
+              </button>
+            )}
+            {list.length > 1 && (
+              <button
+                type="button"
+                onClick={() => remove(i)}
+                aria-label={t("compare.remove")}
+                className="text-rose-300 hover:text-rose-200"
+              >
+                ✕
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <div>
+        <h3 className="text-sm font-semibold mb-1">{t("compare.timeline")}</h3>
+        <ShotTimeline series={series} />
+      </div>
+
+      <div>
+        <h3 className="text-sm font-semibold mb-1">{t("timer.tempo")}</h3>
+        <TempoChart series={series} />
+      </div>
+
+      <CompareTable series={series} />
+    </div>
+  );
+}
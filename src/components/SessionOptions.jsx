@@ -0,0 +1,66 @@
+import React from "react";
+import useI18n from "../i18n/useI18n.js";
+import NumberField from "./NumberField.jsx";
+
+// Автофиниш серии по тишине и автоматический перезапуск
+export default function SessionOptions({ options, onChange, disabled }) {
+  const { t } = useI18n();
+  const field =
+    "w-full bg-slate-950/80 border border-slate-700 rounded-lg px-2 py-1 tabular-nums text-slate-100";
+
+  return (
+    <div className="grid grid-cols-2 gap-2 text-xs text-slate-400">
+      <label>
+        {t("options.inactivity")}
+        <NumberField
+          min={0}
+          max={60}
+          step={0.5}
+          value={options.inactivityMs / 1000}
+          disabled={disabled}
+          onCommit={(sec) =>
+            onChange({ inactivityMs: Math.max(0, sec) * 1000 })
+          }
+          className={field}
+        />
+      </label>
+      <label>
+        {t("options.rearmDelay")}
+        <NumberField
+          min={1}
+          max={60}
+          step={1}
+          value={options.rearmDelayMs / 1000}
+          disabled={disabled || !options.autoRearm}
+          onCommit={(sec) =>
+            onChange({ rearmDelayMs: Math.max(1, sec) * 1000 })
+          }
+          className={field}
+        />
+      </label>
+      <label className="col-span-2">
+        {t("options.minSplit")}
+        <NumberField
+          min={0}
+          max={1000}
+          step={10}
+          value={options.minSplitMs}
+          disabled={disabled}
+          onCommit={(ms) =>
+            onChange({ minSplitMs: Math.max(0, Math.round(ms)) })
+          }
+          className={field}
+        />
+      </label>
+      <label className="col-span-2 flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={options.autoRearm}
+          disabled={disabled}
+          onChange={(e) => onChange({ autoRearm: e.target.checked })}
+        />
+        {t("options.autoRearm")}
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+import React from "react";
+import useI18n from "../i18n/useI18n.js";
+import NumberField from "./NumberField.jsx";
+
+// Фильтр коротких сплитов и откат правок для сохранённой серии.
+// onChange(patch) — { minSplitMs } или { edits }, пересчёт делает родитель.
+export default function ShotEditTools({ session, onChange }) {
+  const { t } = useI18n();
+  const edited = Object.keys(session.edits || {}).length > 0;
+  const raw = session.rawShots?.length ?? session.shots.length;
+  const dropped = raw - session.shots.length;
+
+  return (
+    <div className="flex flex-wrap items-end gap-3 text-xs text-slate-400 print:hidden">
+      <label>
+        {t("shots.minSplit")}
+        <NumberField
+          min={0}
+          max={1000}
+          step={10}
+          value={session.minSplitMs || 0}
+          onCommit={(ms) =>
+            onChange({ minSplitMs: Math.max(0, Math.round(ms)) })
+          }
+          className="block w-24 bg-slate-950/80 border border-slate-700 rounded-lg px-2 py-1 tabular-nums text-slate-100"
+        />
+      </label>
+      {dropped > 0 && <span>{t("shots.dropped", { n: dropped })}</span>}
+      <button
+        type="button"
+        onClick={() => onChange({ edits: {} })}
+        disabled={!edited}
+        className="px-3 py-1.5 rounded-xl border font-semibold border-slate-600 hover:border-slate-400 disabled:opacity-50"
+      >
+        {t("shots.resetEdits")}
+      </button>
+    </div>
+  );
+}
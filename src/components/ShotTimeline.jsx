@@ -0,0 +1,100 @@
+import React from "react";
+import {
+  ResponsiveContainer,
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+} from "recharts";
+import { msFmt } from "../lib/format.js";
+import useI18n from "../i18n/useI18n.js";
+
+const LANE_PX = 36;
+
+// Выстрел — вертикальная черта на своей дорожке
+const Mark = ({ cx, cy, fill }) => (
+  <rect x={cx - 1.5} y={cy - 11} width={3} height={22} rx={1} fill={fill} />
+);
+
+// Таймлайн от сигнала: по дорожке на серию, выстрел — отметка в его ms.
+// series — [{ key, label, shots, color }], parTimes — пунктиром.
+export default function ShotTimeline({ series, parTimes = [] }) {
+  const { t } = useI18n();
+  const lanes = series.filter((s) => s.shots.length);
+  if (!lanes.length) {
+    return <p className="text-sm text-slate-400">{t("compare.noShots")}</p>;
+  }
+
+  const maxMs = Math.max(
+    ...lanes.map((s) => s.shots[s.shots.length - 1].ms),
+    ...parTimes
+  );
+
+  return (
+    <div style={{ height: 50 + lanes.length * LANE_PX }}>
+      <ResponsiveContainer width="100%" height="100%">
+        <ScatterChart margin={{ top: 10, right: 20, left: 0, bottom: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#1f2933" />
+          <XAxis
+            type="number"
+            dataKey="ms"
+            domain={[0, Math.ceil(maxMs / 1000) * 1000]}
+            stroke="#94a3b8"
+            tick={{ fill: "#94a3b8" }}
+            tickFormatter={msFmt}
+          />
+          <YAxis
+            type="number"
+            dataKey="lane"
+            domain={[-0.5, lanes.length - 0.5]}
+            ticks={lanes.map((_, i) => i)}
+            tickFormatter={(i) => lanes[i]?.label ?? ""}
+            reversed
+            width={90}
+            stroke="#94a3b8"
+            tick={{ fill: "#94a3b8", fontSize: 11 }}
+          />
+          <Tooltip
+            cursor={false}
+            content={({ payload }) => {
+              const p = payload?.[0]?.payload;
+              if (!p) return null;
+              return (
+                <div className="rounded border border-slate-800 bg-slate-950 px-2 py-1 text-xs text-slate-200">
+                  {lanes[p.lane].label} • #{p.n}: {msFmt(p.ms)}
+                  {Number.isFinite(p.split) && ` (${msFmt(p.split)})`}
+                </div>
+              );
+            }}
+          />
+          {parTimes.map((ms) => (
+            <ReferenceLine
+              key={ms}
+              x={ms}
+              stroke="#f43f5e"
+              strokeDasharray="4 4"
+            />
+          ))}
+          {lanes.map((s, lane) => (
+            <Scatter
+              key={s.key}
+              name={s.label}
+              data={s.shots.map((x, i) => ({
+                ms: x.ms,
+                split: x.split,
+                n: i + 1,
+                lane,
+              }))}
+              fill={s.color}
+              shape={Mark}
+              isAnimationActive={false}
+            />
+          ))}
+        </ScatterChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
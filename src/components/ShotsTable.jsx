@@ -0,0 +1,166 @@
+import React from "react";
+import { msFmt } from "../lib/format.js";
+import { SEGMENT_COLORS, SEGMENT_TYPES, segmentLabel } from "../lib/segments.js";
+import useI18n from "../i18n/useI18n.js";
+
+// lateSeqs — номера выстрелов после пар-тайма, подсвечиваются.
+// shots могут быть со status (applyShotEdits): незасчитанные — серым.
+// onEdit(seq, action) — показывает кнопки правки.
+// segments — Map seq → тип отрезка (segments.js), onSegment(seq, type) — правка.
+export default function ShotsTable({
+  shots,
+  lateSeqs,
+  onEdit,
+  segments,
+  onSegment,
+}) {
+  const { t } = useI18n();
+  const editBtn =
+    "px-1.5 py-0.5 rounded border border-slate-600 text-xs hover:border-slate-400";
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead className="text-slate-300/80">
+          <tr>
+            <th className="text-left font-medium py-2">{t("shots.seq")}</th>
+            <th className="text-left font-medium py-2">
+              {t("shots.time")}
+            </th>
+            <th className="text-left font-medium py-2">
+              {t("shots.split")}
+            </th>
+            {segments && (
+              <th className="text-left font-medium py-2">
+                {t("shots.segment")}
+              </th>
+            )}
+            {onEdit && <th className="print:hidden" />}
+          </tr>
+        </thead>
+        <tbody>
+          {shots.map((s) => {
+            const status = s.status || "ok";
+            return (
+              <tr
+                key={s.seq}
+                className={`border-t border-slate-800 ${
+                  status !== "ok"
+                    ? "text-slate-500"
+                    : lateSeqs?.has(s.seq)
+                      ? "text-rose-400"
+                      : ""
+                }`}
+              >
+                <td className="py-1.5 tabular-nums">
+                  {s.seq}
+                </td>
+                <td
+                  className={`py-1.5 tabular-nums ${
+                    status === "deleted" ? "line-through" : ""
+                  }`}
+                >
+                  {msFmt(s.ms)}
+                </td>
+                <td className="py-1.5 tabular-nums">
+                  {status !== "ok"
+                    ? t(`shots.status.${status}`)
+                    : s.split != null
+                      ? msFmt(s.split)
+                      : "—"}
+                </td>
+                {segments && (
+                  <td className="py-1.5">
+                    {status === "ok" && segments.has(s.seq) && (
+                      <SegmentCell
+                        type={segments.get(s.seq)}
+                        onChange={
+                          onSegment && ((type) => onSegment(s.seq, type))
+                        }
+                      />
+                    )}
+                  </td>
+                )}
+                {onEdit && (
+                  <td className="py-1.5 text-right space-x-1 print:hidden">
+                    {status === "ok" && (
+                      <>
+                        <button
+                          type="button"
+                          onClick={() => onEdit(s.seq, "invalid")}
+                          className={editBtn}
+                        >
+                          {t("shots.invalid")}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => onEdit(s.seq, "delete")}
+                          className={`${editBtn} text-rose-300`}
+                        >
+                          {t("shots.delete")}
+                        </button>
+                      </>
+                    )}
+                    {status === "echo" && (
+                      <button
+                        type="button"
+                        onClick={() => onEdit(s.seq, "keep")}
+                        className={editBtn}
+                      >
+                        {t("shots.keep")}
+                      </button>
+                    )}
+                    {(status === "deleted" || status === "invalid") && (
+                      <button
+                        type="button"
+                        onClick={() => onEdit(s.seq, "restore")}
+                        className={editBtn}
+                      >
+                        {t("shots.restore")}
+                      </button>
+                    )}
+                  </td>
+                )}
+              </tr>
+            );
+          })}
+          {shots.length === 0 && (
+            <tr>
+              <td
+                colSpan={3 + (onEdit ? 1 : 0) + (segments ? 1 : 0)}
+                className="py-6 text-center text-slate-400"
+              >
+                {t("shots.empty")}
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function SegmentCell({ type, onChange }) {
+  const style = { color: SEGMENT_COLORS[type] };
+  if (!onChange) {
+    return (
+      <span className="text-xs" style={style}>
+        {segmentLabel(type)}
+      </span>
+    );
+  }
+  return (
+    <select
+      value={type}
+      onChange={(e) => onChange(e.target.value)}
+      style={style}
+      className="bg-slate-950/80 border border-slate-700 rounded px-1 py-0.5 text-xs print:border-0 print:appearance-none"
+    >
+      {SEGMENT_TYPES.map((x) => (
+        <option key={x} value={x}>
+          {segmentLabel(x)}
+        </option>
+      ))}
+    </select>
+  );
+}
@@ -0,0 +1,94 @@
+import React, { useState } from "react";
+import useI18n from "../i18n/useI18n.js";
+
+// Настройки виртуального таймера (транспорт "sim")
+export default function SimulatorPanel({ transport, connected }) {
+  const { t } = useI18n();
+  const [cfg, setCfg] = useState(transport.config);
+
+  const update = (patch) => {
+    transport.configure(patch);
+    setCfg(transport.config);
+  };
+
+  const [latMin, latMax] = Array.isArray(cfg.latencyMs)
+    ? cfg.latencyMs
+    : [cfg.latencyMs, cfg.latencyMs];
+
+  const field =
+    "w-full bg-slate-950/80 border border-slate-700 rounded-lg px-2 py-1 tabular-nums";
+
+  return (
+    <div className="text-xs text-slate-400 space-y-2 border border-slate-800 rounded-xl p-3">
+      <div className="font-medium text-slate-300">{t("sim.title")}</div>
+      <div className="grid grid-cols-2 gap-2">
+        <label>
+          {t("sim.shots")}
+          <input
+            type="number"
+            min={1}
+            max={50}
+            value={cfg.shotCount}
+            onChange={(e) =>
+              update({ shotCount: Math.max(1, Number(e.target.value) || 1) })
+            }
+            className={field}
+          />
+        </label>
+        <label>
+          {t("sim.dropRate")}
+          <input
+            type="number"
+            min={0}
+            max={100}
+            value={Math.round(cfg.dropRate * 100)}
+            onChange={(e) =>
+              update({ dropRate: (Number(e.target.value) || 0) / 100 })
+            }
+            className={field}
+          />
+        </label>
+        <label>
+          {t("sim.latencyFrom")}
+          <input
+            type="number"
+            min={0}
+            value={latMin}
+            onChange={(e) =>
+              update({ latencyMs: [Number(e.target.value) || 0, latMax] })
+            }
+            className={field}
+          />
+        </label>
+        <label>
+          {t("sim.latencyTo")}
+          <input
+            type="number"
+            min={0}
+            value={latMax}
+            onChange={(e) =>
+              update({ latencyMs: [latMin, Number(e.target.value) || 0] })
+            }
+            className={field}
+          />
+        </label>
+      </div>
+      <label className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={cfg.push}
+          onChange={(e) => update({ push: e.target.checked })}
+        />
+        {t("sim.push")}
+      </label>
+      <button
+        type="button"
+        onClick={() => transport.drop()}
+        disabled={!connected}
+        className="px-3 py-1 rounded-lg border border-slate-600 text-rose-300 hover:border-rose-400 disabled:opacity-50"
+      >
+        {t("sim.drop")}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+import React, { useEffect, useState } from "react";
+import { listSessions } from "../lib/sessionsDb.js";
+import { msFmt } from "../lib/format.js";
+import { hitFactorFmt } from "../lib/scoring.js";
+import { squadLeaderboard } from "../lib/squad.js";
+import useI18n from "../i18n/useI18n.js";
+
+// Таблица лидеров прохождения; refreshKey растёт при каждом сохранении
+// серии или счёта. Во весь экран — для планшета у рубежа.
+export default function SquadLeaderboard({ squad, refreshKey }) {
+  const { t } = useI18n();
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState("");
+  const [full, setFull] = useState(false);
+  const runId = squad.run?.runId;
+
+  useEffect(() => {
+    if (!runId) return;
+    let alive = true;
+    listSessions()
+      .then((list) => alive && setSessions(list))
+      .catch((e) => alive && setError(e?.message || String(e)));
+    return () => {
+      alive = false;
+    };
+  }, [refreshKey, runId]);
+
+  // Вышли из полноэкранного режима по Esc/жесту — убираем и оверлей
+  useEffect(() => {
+    if (!full) return;
+    const onChange = () => {
+      if (!document.fullscreenElement) setFull(false);
+    };
+    document.addEventListener("fullscreenchange", onChange);
+    return () => document.removeEventListener("fullscreenchange", onChange);
+  }, [full]);
+
+  const toggleFull = () => {
+    if (full) {
+      if (document.fullscreenElement) document.exitFullscreen?.();
+      setFull(false);
+      return;
+    }
+    setFull(true);
+    // Без Fullscreen API (iOS) остаётся оверлей на всё окно
+    document.documentElement.requestFullscreen?.().catch(() => {});
+  };
+
+  if (!squad.run) return null;
+
+  const { rows, byFactor } = squadLeaderboard(
+    sessions,
+    squad.roster,
+    runId
+  );
+  const cell = full ? "py-3 px-2" : "py-1 px-1";
+
+  return (
+    <div
+      className={
+        full
+          ? "fixed inset-0 z-50 overflow-auto bg-slate-950 p-6 text-2xl"
+          : "bg-slate-900/70 border border-slate-700 rounded-2xl p-4 text-sm"
+      }
+    >
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h2 className={full ? "text-4xl font-semibold" : "text-lg font-semibold"}>
+          {t("squad.leaderboard")}
+        </h2>
+        <div className="flex items-center gap-3">
+          <span className="text-slate-400">
+            {t("squad.round", { n: squad.run.round })}
+            {squad.current && ` • ${t("squad.nowShooting", { name: squad.current.name })}`}
+          </span>
+          <button
+            type="button"
+            onClick={toggleFull}
+            className="px-3 py-1.5 rounded-xl border text-xs font-semibold border-slate-600 hover:border-slate-400"
+          >
+            {full ? t("squad.exitFull") : t("squad.fullScreen")}
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-rose-300 text-xs mb-2">{error}</p>}
+
+      <div className="overflow-x-auto">
+        <table className="w-full tabular-nums">
+          <thead className="text-slate-300/80">
+            <tr>
+              <th className={`text-left font-medium ${cell}`}>#</th>
+              <th className={`text-left font-medium ${cell}`}>
+                {t("squad.colShooter")}
+              </th>
+              <th className={`text-right font-medium ${cell}`}>
+                {t("squad.colStrings")}
+              </th>
+              <th className={`text-right font-medium ${cell}`}>
+                {t("squad.colBestTotal")}
+              </th>
+              <th className={`text-right font-medium ${cell}`}>
+                {t("squad.colBestFirst")}
+              </th>
+              <th className={`text-right font-medium ${cell}`}>
+                {t("squad.colAvgSplit")}
+              </th>
+              {byFactor && (
+                <th className={`text-right font-medium ${cell}`}>HF</th>
+              )}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr
+                key={r.shooter.id}
+                className={`border-t border-slate-800 ${
+                  r.shooter.id === squad.current?.id ? "bg-slate-800/60" : ""
+                } ${r.rank === 1 ? "text-emerald-400 font-semibold" : ""}`}
+              >
+                <td className={cell}>{r.rank ?? "—"}</td>
+                <td className={cell}>{r.shooter.name}</td>
+                <td className={`text-right ${cell}`}>{r.strings}</td>
+                <td className={`text-right ${cell}`}>{msFmt(r.bestTotalMs)}</td>
+                <td className={`text-right ${cell}`}>{msFmt(r.bestFirstMs)}</td>
+                <td className={`text-right ${cell}`}>{msFmt(r.avgSplitMs)}</td>
+                {byFactor && (
+                  <td className={`text-right ${cell}`}>
+                    {hitFactorFmt(r.bestHitFactor)}
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+import React, { useState } from "react";
+import { MAX_SHOOTERS } from "../lib/squad.js";
+import SquadLeaderboard from "./SquadLeaderboard.jsx";
+import useI18n from "../i18n/useI18n.js";
+
+// Экран отделения: состав, старт прохождения и таблица лидеров
+export default function SquadPanel({ squad, refreshKey, canRun, onRun }) {
+  const { t } = useI18n();
+  const [name, setName] = useState("");
+  const { roster, run } = squad;
+
+  const field =
+    "w-full bg-slate-950/80 border border-slate-700 rounded-lg px-2 py-1 text-slate-100";
+  const btn =
+    "px-3 py-1.5 rounded-xl border text-xs font-semibold border-slate-600 hover:border-slate-400 disabled:opacity-50";
+
+  const add = (e) => {
+    e.preventDefault();
+    squad.addShooter(name);
+    setName("");
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+      <div className="bg-slate-900/70 border border-slate-700 rounded-2xl p-4 space-y-3">
+        <h2 className="text-lg font-semibold">{t("squad.roster")}</h2>
+
+        <form onSubmit={add} className="flex gap-2">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={t("squad.namePlaceholder")}
+            maxLength={40}
+            className={field}
+          />
+          <button
+            type="submit"
+            disabled={!name.trim() || roster.length >= MAX_SHOOTERS}
+            className={btn}
+          >
+            {t("squad.add")}
+          </button>
+        </form>
+
+        {roster.length === 0 && (
+          <p className="text-sm text-slate-400">{t("squad.empty")}</p>
+        )}
+
+        <ol className="space-y-1.5">
+          {roster.map((s, i) => (
+            <li
+              key={s.id}
+              className={`flex items-center gap-2 rounded-xl border px-2 py-1 text-sm ${
+                run && i === run.index
+                  ? "border-emerald-500 bg-slate-950/80"
+                  : "border-slate-700 bg-slate-950/40"
+              }`}
+            >
+              <span className="w-5 text-right text-slate-500 tabular-nums">
+                {i + 1}
+              </span>
+              <input
+                defaultValue={s.name}
+                onBlur={(e) => squad.renameShooter(s.id, e.target.value)}
+                aria-label={t("squad.name")}
+                className="flex-1 bg-transparent text-slate-100"
+              />
+              <button
+                type="button"
+                onClick={() => squad.moveShooter(s.id, -1)}
+                disabled={i === 0}
+                aria-label={t("squad.up")}
+                className="px-1 text-slate-400 hover:text-slate-100 disabled:opacity-30"
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                onClick={() => squad.moveShooter(s.id, 1)}
+                disabled={i === roster.length - 1}
+                aria-label={t("squad.down")}
+                className="px-1 text-slate-400 hover:text-slate-100 disabled:opacity-30"
+              >
+                ↓
+              </button>
+              <button
+                type="button"
+                onClick={() => squad.removeShooter(s.id)}
+                disabled={!canRun}
+                className="px-1 text-rose-300 hover:text-rose-200 disabled:opacity-30"
+                aria-label={t("squad.remove")}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ol>
+
+        <div className="flex flex-wrap gap-2 pt-1">
+          {!run ? (
+            <button
+              type="button"
+              onClick={() => {
+                squad.startRun();
+                onRun();
+              }}
+              disabled={!canRun || !roster.length}
+              className="px-4 py-2 rounded-2xl font-semibold bg-emerald-500 text-black hover:bg-emerald-400 disabled:opacity-50"
+            >
+              {t("squad.start")}
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={squad.endRun}
+              disabled={!canRun}
+              className={btn}
+            >
+              {t("squad.end")}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="lg:col-span-2">
+        {run ? (
+          <SquadLeaderboard squad={squad} refreshKey={refreshKey} />
+        ) : (
+          <div className="bg-slate-900/70 border border-slate-700 rounded-2xl p-4">
+            <p className="py-6 text-center text-sm text-slate-400">
+              {t("squad.noRun")}
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import React from "react";
+import useI18n from "../i18n/useI18n.js";
+
+// Кто на рубеже и кто следующий; ротация вручную и автоматически
+export default function SquadRunCard({ squad, running, onLeaderboard }) {
+  const { t } = useI18n();
+  const { run, current, upNext } = squad;
+  if (!run) return null;
+
+  const btn =
+    "px-3 py-1.5 rounded-xl border text-xs font-semibold border-slate-600 hover:border-slate-400 disabled:opacity-50";
+
+  return (
+    <div className="bg-slate-900/70 border border-sky-700/60 rounded-2xl p-4 space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <div className="text-xs text-slate-400">
+            {t("squad.round", { n: run.round })} • {t("squad.onLine")}
+          </div>
+          <div className="text-2xl font-semibold text-sky-300">
+            {current?.name || "—"}
+          </div>
+          {upNext && (
+            <div className="text-sm text-slate-400">
+              {t("squad.upNext", { name: upNext.name })}
+            </div>
+          )}
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <button
+            type="button"
+            onClick={squad.prev}
+            disabled={running}
+            className={btn}
+          >
+            {t("squad.prev")}
+          </button>
+          <button
+            type="button"
+            onClick={squad.next}
+            disabled={running}
+            className={btn}
+          >
+            {t("squad.next")}
+          </button>
+          <button type="button" onClick={onLeaderboard} className={btn}>
+            {t("squad.leaderboard")}
+          </button>
+        </div>
+      </div>
+
+      <label className="flex items-center gap-2 text-xs text-slate-400">
+        <input
+          type="checkbox"
+          checked={!!run.autoRotate}
+          onChange={(e) => squad.setAutoRotate(e.target.checked)}
+        />
+        {t("squad.autoRotate")}
+      </label>
+    </div>
+  );
+}
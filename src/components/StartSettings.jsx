@@ -0,0 +1,133 @@
+import React, { useState } from "react";
+import { isBuiltinPreset, presetName } from "../lib/presets.js";
+import useI18n from "../i18n/useI18n.js";
+import NumberField from "./NumberField.jsx";
+
+const toSec = (ms) => Math.round(ms / 100) / 10;
+const parsToText = (pars) => pars.map((v) => toSec(v)).join(", ");
+
+// Задержка в секундах: нормализация (tMax >= tMin) — после blur/Enter
+function DelayField({ label, ms, disabled, onCommit, className }) {
+  return (
+    <label>
+      {label}
+      <NumberField
+        min={0}
+        max={60}
+        step={0.1}
+        value={toSec(ms)}
+        disabled={disabled}
+        onCommit={(sec) => onCommit(sec * 1000)}
+        className={className}
+      />
+    </label>
+  );
+}
+
+// Редактор задержки старта и пар-тайма с пресетами
+export default function StartSettings({ start, disabled }) {
+  const { t } = useI18n();
+  const { presets, presetId, settings, updateSettings } = start;
+  const [parText, setParText] = useState(() => parsToText(settings.parTimes));
+  const [parSource, setParSource] = useState(settings.parTimes);
+
+  // пресет сменил пар-таймы — обновляем поле ввода
+  if (parSource !== settings.parTimes) {
+    setParSource(settings.parTimes);
+    setParText(parsToText(settings.parTimes));
+  }
+
+  const commitPars = () => {
+    const pars = parText
+      .split(/[,;\s]+/)
+      .map((v) => parseFloat(v))
+      .filter((v) => Number.isFinite(v))
+      .map((v) => v * 1000);
+    updateSettings({ parTimes: pars });
+  };
+
+  const savePreset = () => {
+    const name = window.prompt(t("start.presetName"));
+    if (name?.trim()) start.savePreset(name.trim());
+  };
+
+  const field =
+    "w-full bg-slate-950/80 border border-slate-700 rounded-lg px-2 py-1 tabular-nums text-slate-100";
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <div className="text-sm text-slate-400 mb-2">{t("start.preset")}</div>
+        <div className="flex flex-wrap gap-2">
+          {presets.map((p) => (
+            <span key={p.id} className="inline-flex">
+              <button
+                type="button"
+                onClick={() => start.selectPreset(p.id)}
+                disabled={disabled}
+                className={`px-3 py-2 rounded-xl border font-semibold ${
+                  presetId === p.id
+                    ? "bg-slate-100 text-black border-slate-300"
+                    : "bg-transparent text-white border-slate-600 hover:border-slate-400"
+                } ${isBuiltinPreset(p.id) ? "" : "rounded-r-none"}`}
+              >
+                {presetName(p)}
+              </button>
+              {!isBuiltinPreset(p.id) && (
+                <button
+                  type="button"
+                  title={t("start.deletePreset")}
+                  onClick={() => start.deletePreset(p.id)}
+                  disabled={disabled}
+                  className="px-2 rounded-r-xl border border-l-0 border-slate-600 text-rose-300 hover:border-rose-400"
+                >
+                  ×
+                </button>
+              )}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2 text-xs text-slate-400">
+        <DelayField
+          label={t("start.delayFrom")}
+          ms={settings.tMin}
+          disabled={disabled}
+          onCommit={(tMin) => updateSettings({ tMin })}
+          className={field}
+        />
+        <DelayField
+          label={t("start.delayTo")}
+          ms={settings.tMax}
+          disabled={disabled}
+          onCommit={(tMax) => updateSettings({ tMax })}
+          className={field}
+        />
+        <label>
+          {t("start.par")}
+          <input
+            type="text"
+            inputMode="decimal"
+            placeholder={t("start.parNone")}
+            value={parText}
+            disabled={disabled}
+            onChange={(e) => setParText(e.target.value)}
+            onBlur={commitPars}
+            onKeyDown={(e) => e.key === "Enter" && commitPars()}
+            className={field}
+          />
+        </label>
+      </div>
+
+      <button
+        type="button"
+        onClick={savePreset}
+        disabled={disabled}
+        className="text-xs text-slate-400 underline hover:text-slate-200"
+      >
+        {t("start.savePreset")}
+      </button>
+    </div>
+  );
+}
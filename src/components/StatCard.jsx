@@ -0,0 +1,12 @@
+import React from "react";
+
+export default function StatCard({ label, value }) {
+  return (
+    <div className="bg-slate-950/70 border border-slate-800 rounded-xl p-3">
+      <div className="text-xs text-slate-400">{label}</div>
+      <div className="text-lg font-semibold tabular-nums">
+        {value}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,338 @@
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+} from "recharts";
+import { listSessions } from "../lib/sessionsDb.js";
+import { dateFmt, dateTimeFmt, msFmt } from "../lib/format.js";
+import { hitFactorFmt } from "../lib/scoring.js";
+import {
+  filterOptions,
+  filterSessions,
+  sessionStats,
+} from "../lib/stats.js";
+import {
+  segmentLabel,
+  segmentSummary,
+  segmentTrend,
+} from "../lib/segments.js";
+import StatCard from "./StatCard.jsx";
+import SegmentTrendChart from "./SegmentTrendChart.jsx";
+import useI18n from "../i18n/useI18n.js";
+
+const axis = { stroke: "#94a3b8", tick: { fill: "#94a3b8" } };
+const tooltipStyle = {
+  background: "#020617",
+  border: "1px solid #1e293b",
+  color: "#e2e8f0",
+};
+
+export default function StatsDashboard({ refreshKey }) {
+  const { t } = useI18n();
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState("");
+  const [filter, setFilter] = useState({
+    from: "",
+    to: "",
+    drill: "",
+    mode: "",
+    tag: "",
+  });
+
+  useEffect(() => {
+    let alive = true;
+    listSessions()
+      .then((list) => {
+        if (!alive) return;
+        setSessions(list);
+        setError("");
+      })
+      .catch((e) => {
+        if (alive) setError(e?.message || String(e));
+      });
+    return () => {
+      alive = false;
+    };
+  }, [refreshKey]);
+
+  const options = useMemo(() => filterOptions(sessions), [sessions]);
+  const filtered = useMemo(
+    () => filterSessions(sessions, filter),
+    [sessions, filter]
+  );
+  const stats = useMemo(() => sessionStats(filtered), [filtered]);
+  const segments = useMemo(
+    () => ({ summary: segmentSummary(filtered), trend: segmentTrend(filtered) }),
+    [filtered]
+  );
+  const { bests } = stats;
+
+  const update = (patch) => setFilter((cur) => ({ ...cur, ...patch }));
+  const field =
+    "w-full bg-slate-950/80 border border-slate-700 rounded-lg px-2 py-1 text-slate-100";
+  const card = "bg-slate-900/70 border border-slate-700 rounded-2xl p-4";
+
+  return (
+    <div className="space-y-4">
+      <div className={card}>
+        <h2 className="text-lg font-semibold mb-3">{t("stats.title")}</h2>
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-2 text-xs text-slate-400">
+          <label>
+            {t("stats.from")}
+            <input
+              type="date"
+              value={filter.from}
+              onChange={(e) => update({ from: e.target.value })}
+              className={field}
+            />
+          </label>
+          <label>
+            {t("stats.to")}
+            <input
+              type="date"
+              value={filter.to}
+              onChange={(e) => update({ to: e.target.value })}
+              className={field}
+            />
+          </label>
+          <label>
+            {t("stats.drill")}
+            <select
+              value={filter.drill}
+              onChange={(e) => update({ drill: e.target.value })}
+              className={field}
+            >
+              <option value="">{t("stats.all")}</option>
+              <option value="-">{t("stats.noDrill")}</option>
+              {options.drills.map((d) => (
+                <option key={d} value={d}>
+                  {d}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            {t("stats.mode")}
+            <select
+              value={filter.mode}
+              onChange={(e) => update({ mode: e.target.value })}
+              className={field}
+            >
+              <option value="">{t("stats.anyMode")}</option>
+              <option value="fixed">{t("stats.fixed")}</option>
+              <option value="random">{t("stats.random")}</option>
+            </select>
+          </label>
+          <label>
+            {t("stats.tag")}
+            <select
+              value={filter.tag}
+              onChange={(e) => update({ tag: e.target.value })}
+              className={field}
+            >
+              <option value="">{t("stats.all")}</option>
+              {options.tags.map((t) => (
+                <option key={t} value={t}>
+                  {t}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        {error && <p className="mt-2 text-xs text-rose-300">{error}</p>}
+        <p className="mt-2 text-xs text-slate-400">
+          {t("stats.count", {
+            sessions: stats.sessionCount,
+            shots: stats.shotCount,
+          })}
+        </p>
+      </div>
+
+      {stats.sessionCount === 0 ? (
+        <p className={`${card} py-6 text-center text-sm text-slate-400`}>
+          {t("stats.empty")}
+        </p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+            <StatCard
+              label={t("stats.firstMedian")}
+              value={msFmt(stats.firstShot.median)}
+            />
+            <StatCard
+              label={t("stats.firstSd")}
+              value={msFmt(stats.firstShot.stddev)}
+            />
+            <StatCard
+              label={t("stats.splitMean")}
+              value={msFmt(stats.split.mean)}
+            />
+            <StatCard
+              label={t("stats.splitMedian")}
+              value={msFmt(stats.split.median)}
+            />
+            <StatCard
+              label={t("stats.splitP90")}
+              value={msFmt(stats.split.p90)}
+            />
+            <StatCard
+              label={t("stats.splitSd")}
+              value={msFmt(stats.split.stddev)}
+            />
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            <div className={card}>
+              <h3 className="font-semibold mb-3">{t("stats.trend")}</h3>
+              <div className="h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart
+                    data={stats.trend}
+                    margin={{ top: 10, right: 20, left: 0, bottom: 10 }}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" stroke="#1f2933" />
+                    <XAxis dataKey="createdAt" tickFormatter={dateFmt} {...axis} />
+                    <YAxis tickFormatter={msFmt} {...axis} />
+                    <Tooltip
+                      formatter={(v) => msFmt(Number(v))}
+                      labelFormatter={(ts) => dateTimeFmt(ts)}
+                      contentStyle={tooltipStyle}
+                    />
+                    <Legend />
+                    <Line
+                      type="monotone"
+                      dataKey="firstShotMs"
+                      name={t("stats.firstShot")}
+                      dot
+                      stroke="#22c55e"
+                    />
+                    <Line
+                      type="monotone"
+                      dataKey="avgSplitMs"
+                      name={t("stats.avgSplit")}
+                      dot
+                      stroke="#38bdf8"
+                    />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+
+            <div className={card}>
+              <h3 className="font-semibold mb-3">{t("stats.histogram")}</h3>
+              <div className="h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart
+                    data={stats.histogram}
+                    margin={{ top: 10, right: 20, left: 0, bottom: 10 }}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" stroke="#1f2933" />
+                    <XAxis dataKey="fromMs" tickFormatter={msFmt} {...axis} />
+                    <YAxis allowDecimals={false} {...axis} />
+                    <Tooltip
+                      formatter={(v) => [v, t("stats.splits")]}
+                      labelFormatter={(l) =>
+                        t("stats.binFrom", { t: msFmt(Number(l)) })
+                      }
+                      contentStyle={tooltipStyle}
+                    />
+                    <Bar dataKey="count" fill="#22c55e" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          </div>
+
+          <div className={card}>
+            <h3 className="font-semibold mb-3">{t("segments.title")}</h3>
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+              <table className="w-full text-sm tabular-nums self-start">
+                <thead className="text-slate-300/80">
+                  <tr>
+                    <th className="text-left font-medium py-1">
+                      {t("segments.colType")}
+                    </th>
+                    <th className="text-right font-medium py-1">
+                      {t("segments.colCount")}
+                    </th>
+                    <th className="text-right font-medium py-1">
+                      {t("segments.colMedian")}
+                    </th>
+                    <th className="text-right font-medium py-1">
+                      {t("segments.colBest")}
+                    </th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {segments.summary.map((r) => (
+                    <tr key={r.type} className="border-t border-slate-800">
+                      <td className="py-1">{segmentLabel(r.type)}</td>
+                      <td className="py-1 text-right">{r.count}</td>
+                      <td className="py-1 text-right">{msFmt(r.median)}</td>
+                      <td className="py-1 text-right">{msFmt(r.best)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="lg:col-span-2">
+                <SegmentTrendChart data={segments.trend} />
+              </div>
+            </div>
+          </div>
+
+          <div className={card}>
+            <h3 className="font-semibold mb-3">{t("stats.bests")}</h3>
+            <ul className="space-y-1 text-sm tabular-nums">
+              <BestRow
+                label={t("stats.bestFirst")}
+                best={bests.firstShot}
+                fmt={msFmt}
+              />
+              <BestRow
+                label={t("stats.bestSplit")}
+                best={bests.split}
+                fmt={msFmt}
+              />
+              <BestRow
+                label={t("stats.bestHf")}
+                best={bests.hitFactor}
+                fmt={hitFactorFmt}
+              />
+              {bests.drills.map((d) => (
+                <BestRow
+                  key={d.name}
+                  label={t("stats.bestDrill", { name: d.name })}
+                  best={d}
+                  fmt={msFmt}
+                />
+              ))}
+            </ul>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function BestRow({ label, best, fmt }) {
+  if (!best?.session) return null;
+  return (
+    <li className="flex justify-between gap-2">
+      <span className="text-slate-400">{label}</span>
+      <span>
+        <span className="font-semibold">{fmt(best.value)}</span>{" "}
+        <span className="text-xs text-slate-400">
+          {dateTimeFmt(best.session.createdAt)}
+        </span>
+      </span>
+    </li>
+  );
+}
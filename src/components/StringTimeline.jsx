@@ -0,0 +1,67 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { listSessions } from "../lib/sessionsDb.js";
+import { compareSeries, personalBest } from "../lib/compare.js";
+import ShotTimeline from "./ShotTimeline.jsx";
+import TempoChart from "./TempoChart.jsx";
+import CompareTable from "./CompareTable.jsx";
+import useI18n from "../i18n/useI18n.js";
+
+// Таймлайн текущей серии; отстрелянную можно наложить на личный рекорд.
+// shots — засчитанные выстрелы на экране, session — сохранённая запись
+// (null, пока серия идёт), refreshKey — растёт при сохранении в историю.
+export default function StringTimeline({ shots, session, parTimes, refreshKey }) {
+  const { t } = useI18n();
+  const [withPb, setWithPb] = useState(false);
+  const [all, setAll] = useState([]);
+
+  useEffect(() => {
+    if (!withPb || !session) return;
+    let alive = true;
+    listSessions()
+      .then((list) => alive && setAll(list))
+      .catch(() => alive && setAll([]));
+    return () => {
+      alive = false;
+    };
+  }, [withPb, session, refreshKey]);
+
+  const pb = useMemo(
+    () => (withPb && session ? personalBest(all, session) : null),
+    [all, session, withPb]
+  );
+  const series = useMemo(
+    () =>
+      compareSeries(
+        [{ id: "now", label: t("compare.thisString"), shots }, ...(pb ? [pb] : [])],
+        pb?.id
+      ),
+    [pb, shots, t]
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-lg font-semibold">{t("compare.timeline")}</h2>
+        <label className="flex items-center gap-2 text-xs text-slate-400">
+          <input
+            type="checkbox"
+            checked={withPb}
+            onChange={(e) => setWithPb(e.target.checked)}
+            disabled={!session}
+          />
+          {t("compare.withPb")}
+        </label>
+      </div>
+      <ShotTimeline series={series} parTimes={parTimes} />
+      {withPb && session && !pb && (
+        <p className="text-xs text-slate-400">{t("compare.noPb")}</p>
+      )}
+      {pb && (
+        <>
+          <TempoChart series={series} />
+          <CompareTable series={series} />
+        </>
+      )}
+    </div>
+  );
+}
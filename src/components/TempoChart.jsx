@@ -0,0 +1,89 @@
+import React, { useMemo } from "react";
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+} from "recharts";
+import { msFmt } from "../lib/format.js";
+import useI18n from "../i18n/useI18n.js";
+
+const tempoValue = (s, idx) => (idx === 0 ? s.ms : s.split);
+
+// shots — одна серия; series — [{ key, label, shots, color }] для наложения,
+// тогда по X номер выстрела в серии, а не seq устройства
+export default function TempoChart({ shots, series }) {
+  const { t } = useI18n();
+  // Для графика: точка #1 = First Shot (абсолютное время от beep),
+  // остальные точки = Split между выстрелами
+  const chartData = useMemo(() => {
+    if (series) {
+      const count = Math.max(0, ...series.map((x) => x.shots.length));
+      return Array.from({ length: count }, (_, idx) => {
+        const row = { seq: idx + 1 };
+        for (const x of series) {
+          if (x.shots[idx]) row[x.key] = tempoValue(x.shots[idx], idx);
+        }
+        return row;
+      });
+    }
+    if (!shots.length) return [];
+    return shots.map((s, idx) => ({
+      seq: s.seq,
+      value: tempoValue(s, idx), // 1-й выстрел — ms, дальше — split
+    }));
+  }, [series, shots]);
+
+  const lines = series || [
+    { key: "value", label: t("chart.tempo"), color: "#22c55e" },
+  ];
+
+  return (
+    <div className="h-64">
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart
+          data={chartData}
+          margin={{ top: 10, right: 20, left: 0, bottom: 10 }}
+        >
+          <CartesianGrid
+            strokeDasharray="3 3"
+            stroke="#1f2933"
+          />
+          <XAxis
+            dataKey="seq"
+            stroke="#94a3b8"
+            tick={{ fill: "#94a3b8" }}
+          />
+          <YAxis
+            stroke="#94a3b8"
+            tick={{ fill: "#94a3b8" }}
+            tickFormatter={msFmt}
+          />
+          <Tooltip
+            formatter={(v) => msFmt(Number(v))}
+            labelFormatter={(l) => `#${l}`}
+            contentStyle={{
+              background: "#020617",
+              border: "1px solid #1e293b",
+              color: "#e2e8f0",
+            }}
+          />
+          {lines.map((x) => (
+            <Line
+              key={x.key}
+              type="monotone"
+              dataKey={x.key}
+              name={x.label}
+              dot
+              stroke={x.color}
+              connectNulls
+            />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
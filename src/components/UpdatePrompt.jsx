@@ -0,0 +1,30 @@
+import React from "react";
+import useI18n from "../i18n/useI18n.js";
+
+// Подсказка о новой версии. Во время серии перезагрузку не предлагаем,
+// чтобы не потерять выстрелы.
+export default function UpdatePrompt({ update, busy }) {
+  const { t } = useI18n();
+  if (!update.ready) return null;
+
+  return (
+    <div className="print:hidden flex flex-wrap items-center gap-3 rounded-2xl border border-sky-700 bg-sky-950/60 px-4 py-3 text-sm">
+      <span className="flex-1 min-w-[12rem]">{t("update.available")}</span>
+      <button
+        type="button"
+        onClick={update.apply}
+        disabled={busy}
+        className="px-3 py-1.5 rounded-xl bg-sky-500 text-black font-semibold disabled:opacity-40"
+      >
+        {t("update.reload")}
+      </button>
+      <button
+        type="button"
+        onClick={update.dismiss}
+        className="px-3 py-1.5 rounded-xl border border-slate-600 hover:border-slate-400"
+      >
+        {t("update.later")}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import React from "react";
+import { VERBOSITY_LEVELS } from "../lib/voice.js";
+import useI18n from "../i18n/useI18n.js";
+
+// Голосовая сводка после серии и сигналы об ошибках; voice — useVoiceFeedback()
+export default function VoiceSettings({ voice }) {
+  const { settings, update, supported, test } = voice;
+  const { t, languages } = useI18n();
+  const field =
+    "w-full bg-slate-950/80 border border-slate-700 rounded-lg px-2 py-1 text-slate-100";
+
+  return (
+    <div className="grid grid-cols-2 gap-2 text-xs text-slate-400">
+      <label>
+        {t("voice.level")}
+        <select
+          value={settings.verbosity}
+          onChange={(e) => update({ verbosity: e.target.value })}
+          disabled={!supported}
+          className={field}
+        >
+          {VERBOSITY_LEVELS.map((id) => (
+            <option key={id} value={id}>
+              {t(`voice.levels.${id}`)}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        {t("voice.lang")}
+        <select
+          value={settings.lang}
+          onChange={(e) => update({ lang: e.target.value })}
+          disabled={!supported}
+          className={field}
+        >
+          {languages.map((l) => (
+            <option key={l.id} value={l.id}>
+              {l.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={settings.cues}
+          onChange={(e) => update({ cues: e.target.checked })}
+        />
+        {t("voice.cues")}
+      </label>
+      <button
+        type="button"
+        onClick={test}
+        disabled={!supported}
+        className="px-2 py-1 rounded-lg border border-slate-600 hover:border-slate-400 disabled:opacity-50"
+      >
+        {t("voice.test")}
+      </button>
+      {!supported && (
+        <p className="col-span-2 text-rose-300">
+          {t("voice.unsupported")}
+        </p>
+      )}
+    </div>
+  );
+}
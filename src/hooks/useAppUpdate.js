@@ -0,0 +1,21 @@
+import { useCallback, useEffect, useState } from "react";
+import { registerServiceWorker } from "../pwa/registerSW.js";
+
+/* ===== новая версия приложения (service worker) ===== */
+
+// ready — новая сборка скачана, apply() — перейти на неё,
+// dismiss() — скрыть подсказку до следующего обновления
+export default function useAppUpdate() {
+  const [pending, setPending] = useState(null); // { apply } | null
+
+  useEffect(() => {
+    registerServiceWorker({
+      onUpdate: (apply) => setPending({ apply }),
+    });
+  }, []);
+
+  const apply = useCallback(() => pending?.apply(), [pending]);
+  const dismiss = useCallback(() => setPending(null), []);
+
+  return { ready: !!pending, apply, dismiss };
+}
@@ -0,0 +1,45 @@
+import { useCallback, useState } from "react";
+import {
+  bayTransportKey,
+  loadBays,
+  MAIN_BAY,
+  MAX_BAYS,
+  newBayId,
+  saveBays,
+} from "../lib/bays.js";
+
+/* ===== список рубежей (таймеров) ===== */
+
+export default function useBays() {
+  const [bays, setBays] = useState(loadBays);
+
+  const update = useCallback((next) => {
+    setBays(next);
+    saveBays(next);
+  }, []);
+
+  const addBay = useCallback(() => {
+    if (bays.length >= MAX_BAYS) return;
+    update([...bays, { id: newBayId(), name: "" }]);
+  }, [bays, update]);
+
+  const renameBay = useCallback(
+    (id, name) =>
+      update(
+        bays.map((b) => (b.id === id ? { ...b, name: String(name).trim() } : b))
+      ),
+    [bays, update]
+  );
+
+  // Главный рубеж не убирается; у убранного забываем и транспорт
+  const removeBay = useCallback(
+    (id) => {
+      if (id === MAIN_BAY) return;
+      localStorage.removeItem(bayTransportKey(id));
+      update(bays.filter((b) => b.id !== id));
+    },
+    [bays, update]
+  );
+
+  return { bays, addBay, renameBay, removeBay };
+}
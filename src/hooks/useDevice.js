@@ -0,0 +1,206 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { createLineClient } from "../lib/lineProtocol.js";
+import { createTransports, defaultTransportId } from "../lib/transport/index.js";
+import { sleep } from "../lib/session.js";
+import { appendLog, createLogEntry } from "../lib/protocolLog.js";
+
+const TRANSPORT_KEY = "dzengun.transport";
+
+// Переподключение после обрыва: пауза перед попыткой n = base * 2^(n-1)
+const RECONNECT_BASE_MS = 500;
+const RECONNECT_MAX_MS = 8000;
+const RECONNECT_ATTEMPTS = 8;
+
+const reconnectDelay = (attempt) =>
+  Math.min(RECONNECT_BASE_MS * 2 ** (attempt - 1), RECONNECT_MAX_MS);
+
+/* ===== хук устройства: выбранный транспорт + строковый протокол ===== */
+
+// link: disconnected | connecting | connected | reconnecting
+// storageKey — где помнить выбранный транспорт (у каждого рубежа свой)
+export default function useDevice({ storageKey = TRANSPORT_KEY } = {}) {
+  const transports = useMemo(() => createTransports(), []);
+  const [transportId, setTransportIdState] = useState(() => {
+    const saved = localStorage.getItem(storageKey);
+    return transports.some((t) => t.id === saved && t.supported)
+      ? saved
+      : defaultTransportId(transports);
+  });
+  const [link, setLinkState] = useState("disconnected");
+  const [reconnectAttempt, setReconnectAttempt] = useState(0);
+  const [deviceName, setDeviceName] = useState("");
+  const [log, setLog] = useState([]); // записи protocolLog.js, старые первыми
+  const [metrics, setMetrics] = useState(null);
+
+  const transport = transports.find((t) => t.id === transportId);
+  const activeRef = useRef(null); // транспорт, через который подключены
+  const linkRef = useRef("disconnected");
+  const linkWaitersRef = useRef([]);
+
+  // pushLog(text) — системное сообщение; meta — от lineClient (TX/RX)
+  const pushLog = useCallback((text, meta) => {
+    const entry = createLogEntry(text, meta);
+    setLog((a) => appendLog(a, entry));
+  }, []);
+  const clearLog = useCallback(() => setLog([]), []);
+
+  const setLink = useCallback((s) => {
+    linkRef.current = s;
+    setLinkState(s);
+    if (s === "connected" || s === "disconnected") {
+      const waiters = linkWaitersRef.current;
+      linkWaitersRef.current = [];
+      waiters.forEach((w) => w(s === "connected"));
+    }
+  }, []);
+
+  const client = useMemo(
+    () =>
+      createLineClient({
+        write: (text) => activeRef.current.write(text),
+        isReady: () => !!activeRef.current?.isReady(),
+        log: pushLog,
+        onMetrics: setMetrics,
+      }),
+    [pushLog]
+  );
+
+  const setTransportId = useCallback(
+    (id) => {
+      if (activeRef.current) return; // переключаемся только без связи
+      localStorage.setItem(storageKey, id);
+      setTransportIdState(id);
+    },
+    [storageKey]
+  );
+
+  // Обрыв не по нашей команде: переподключаемся к тому же устройству
+  const reconnectLoop = useCallback(
+    async (t) => {
+      for (let attempt = 1; attempt <= RECONNECT_ATTEMPTS; attempt++) {
+        setReconnectAttempt(attempt);
+        await sleep(reconnectDelay(attempt));
+        if (activeRef.current !== t) return; // пользователь отключился сам
+        try {
+          await t.reconnect();
+          if (activeRef.current !== t) return;
+          pushLog(`${t.label}: reconnected (attempt ${attempt})`);
+          setReconnectAttempt(0);
+          setLink("connected");
+          return;
+        } catch (e) {
+          pushLog(
+            `Reconnect ${attempt}/${RECONNECT_ATTEMPTS}: ` + (e?.message || e)
+          );
+        }
+      }
+      if (activeRef.current !== t) return;
+      activeRef.current = null;
+      setReconnectAttempt(0);
+      setLink("disconnected");
+      pushLog(`${t.label}: reconnect failed, giving up`);
+      t.disconnect().catch(() => {});
+    },
+    [pushLog, setLink]
+  );
+
+  const connectClick = useCallback(
+    async (ev) => {
+      ev?.preventDefault?.();
+      ev?.stopPropagation?.();
+
+      const t = transport;
+      try {
+        activeRef.current = t;
+        setLink("connecting");
+        const { name } = await t.connect({
+          onData: client.feed,
+          onDisconnect: () => {
+            if (activeRef.current !== t) return;
+            client.reset();
+            setLink("reconnecting");
+            pushLog(`${t.label}: connection lost`);
+            reconnectLoop(t);
+          },
+          log: pushLog,
+        });
+        setDeviceName(name);
+        setLink("connected");
+      } catch (e) {
+        activeRef.current = null;
+        setLink("disconnected");
+        pushLog("CONNECT ERROR: " + (e?.message || e));
+        t.disconnect().catch(() => {});
+      }
+    },
+    [client, pushLog, reconnectLoop, setLink, transport]
+  );
+
+  const disconnect = useCallback(async () => {
+    const t = activeRef.current;
+    activeRef.current = null;
+    client.reset();
+    setReconnectAttempt(0);
+    setLink("disconnected");
+    try {
+      await t?.disconnect();
+    } catch (e) {
+      pushLog("DISCONNECT ERROR: " + (e?.message || e));
+    }
+    pushLog(`${t?.label || "Device"}: disconnected`);
+  }, [client, pushLog, setLink]);
+
+  // Для циклов опроса: живо ли соединение (в т.ч. переподключается)
+  const isLinkAlive = useCallback(
+    () => linkRef.current === "connected" || linkRef.current === "reconnecting",
+    []
+  );
+  const isLinkUp = useCallback(() => linkRef.current === "connected", []);
+
+  // Ждём, пока связь восстановится (true) или будет потеряна совсем (false)
+  const waitForLink = useCallback(
+    () =>
+      linkRef.current === "connected"
+        ? Promise.resolve(true)
+        : linkRef.current === "disconnected"
+          ? Promise.resolve(false)
+          : new Promise((resolve) => linkWaitersRef.current.push(resolve)),
+    []
+  );
+
+  useEffect(() => {
+    return () => {
+      activeRef.current?.disconnect().catch(() => {});
+      activeRef.current = null;
+      client.reset();
+    };
+  }, [client]);
+
+  return {
+    transports,
+    transportId,
+    setTransportId,
+    transport,
+    transportLabel: transport?.label || "—",
+    supported: !!transport?.supported,
+    link,
+    reconnectAttempt,
+    connected: link === "connected",
+    isLinkAlive,
+    isLinkUp,
+    waitForLink,
+    deviceName,
+    log,
+    clearLog,
+    connectClick,
+    disconnect,
+    sendAndWait: client.sendAndWait,
+    onDeviceEvent: client.onEvent,
+    metrics,
+    getMetrics: client.getMetrics,
+    resetMetrics: client.resetMetrics,
+    // RSSI, если транспорт его знает (BLE), иначе null
+    readRssi: async () => (await activeRef.current?.readRssi?.()) ?? null,
+    pushLog,
+  };
+}
@@ -0,0 +1,122 @@
+import { useCallback, useMemo, useState } from "react";
+import {
+  BUILTIN_DRILLS,
+  isBuiltinDrill,
+  loadCustomDrills,
+  normalizeDrill,
+  saveCustomDrills,
+} from "../lib/drills.js";
+
+/* ===== каталог упражнений + пошаговое прохождение ===== */
+
+export default function useDrills() {
+  const [customDrills, setCustomDrills] = useState(loadCustomDrills);
+  const drills = useMemo(
+    () => [...BUILTIN_DRILLS, ...customDrills],
+    [customDrills]
+  );
+
+  // { drill, runId, index, results[] } — идёт прохождение упражнения
+  const [run, setRun] = useState(null);
+
+  const saveDrill = useCallback(
+    (drill) => {
+      const d = normalizeDrill({
+        ...drill,
+        id: drill.id || "custom-" + Date.now().toString(36),
+      });
+      const next = customDrills.some((x) => x.id === d.id)
+        ? customDrills.map((x) => (x.id === d.id ? d : x))
+        : [...customDrills, d];
+      setCustomDrills(next);
+      saveCustomDrills(next);
+      return d;
+    },
+    [customDrills]
+  );
+
+  const deleteDrill = useCallback(
+    (id) => {
+      if (isBuiltinDrill(id)) return;
+      const next = customDrills.filter((x) => x.id !== id);
+      setCustomDrills(next);
+      saveCustomDrills(next);
+    },
+    [customDrills]
+  );
+
+  const startRun = useCallback(
+    (id) => {
+      const drill = drills.find((d) => d.id === id);
+      if (!drill?.strings.length) return;
+      setRun({
+        drill,
+        runId: Date.now().toString(36),
+        index: 0,
+        results: [],
+      });
+    },
+    [drills]
+  );
+
+  const abortRun = useCallback(() => setRun(null), []);
+
+  // Перейти к серии i (повторить уже отстрелянную)
+  const goToString = useCallback(
+    (i) =>
+      setRun((r) =>
+        r && i >= 0 && i < r.drill.strings.length ? { ...r, index: i } : r
+      ),
+    []
+  );
+
+  // Результат текущей серии; пустую серию не засчитываем
+  const recordString = useCallback((result) => {
+    setRun((r) => {
+      if (!r || !result.shotCount) return r;
+      const results = [...r.results];
+      results[r.index] = result;
+      const nextIndex = r.drill.strings.findIndex((_, i) => !results[i]);
+      return {
+        ...r,
+        results,
+        index: nextIndex < 0 ? r.drill.strings.length : nextIndex,
+      };
+    });
+  }, []);
+
+  const current =
+    run && run.index < run.drill.strings.length
+      ? run.drill.strings[run.index]
+      : null;
+
+  // Что писать в сохраняемую сессию
+  const sessionTag = useMemo(
+    () =>
+      run && run.index < run.drill.strings.length
+        ? {
+            id: run.drill.id,
+            name: run.drill.name,
+            runId: run.runId,
+            string: run.index,
+            strings: run.drill.strings.length,
+            expectedShots: run.drill.strings[run.index].shots,
+            segments: run.drill.strings[run.index].segments || null,
+          }
+        : null,
+    [run]
+  );
+
+  return {
+    drills,
+    saveDrill,
+    deleteDrill,
+    run,
+    current,
+    sessionTag,
+    startRun,
+    abortRun,
+    goToString,
+    recordString,
+  };
+}
@@ -0,0 +1,290 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { buildSession, saveSession } from "../lib/sessionsDb.js";
+import { startModeOf } from "../lib/presets.js";
+import { beep, unlockAudio } from "../lib/beeper.js";
+import { t } from "../i18n/index.js";
+import { describeDeviceError } from "../lib/deviceErrors.js";
+import {
+  appendShot,
+  armDevice,
+  fetchNewShots,
+  pollLoop,
+} from "../lib/session.js";
+import {
+  initialSession,
+  isActivePhase,
+  sessionReducer,
+} from "../lib/sessionMachine.js";
+
+/* ===== серия выстрелов: старт, опрос, автофиниш, сохранение ===== */
+
+// dev — useDevice(), settings — { tMin, tMax, parTimes },
+// options — { inactivityMs, autoRearm, rearmDelayMs, minSplitMs },
+// drill — метка упражнения для сохраняемой сессии (или null),
+// shooter — метка стрелка отделения (или null),
+// bay — имя рубежа, если таймеров несколько (или null),
+// onFinished(result) — итог серии; вернёт false — автостарта не будет
+export default function useShotSession({
+  dev,
+  settings,
+  options,
+  drill = null,
+  shooter = null,
+  bay = null,
+  onSaved,
+  onFinished,
+}) {
+  const [session, setSession] = useState(initialSession);
+  const [shots, setShots] = useState([]); // {seq, ms, split}
+  const [deviceState, setDeviceState] = useState(0); // 0/1/2 из G_STATE
+  const [sessionPar, setSessionPar] = useState([]); // пар-таймы текущей серии
+  const [rearmAt, setRearmAt] = useState(null); // когда стартует следующая
+  const [lastSession, setLastSession] = useState(null); // сохранённая запись
+
+  const sessionRef = useRef(initialSession);
+  const shotsRef = useRef([]);
+  const pollRunningRef = useRef(false);
+  const pollPromiseRef = useRef(null);
+  const nextShotIdRef = useRef(0); // сколько уже запросили STIME
+  const sessionMetaRef = useRef(null); // параметры текущей серии для истории
+  const rearmTimerRef = useRef(null);
+  const optionsRef = useRef(options);
+  const onFinishedRef = useRef(onFinished);
+  const startRef = useRef(null);
+
+  useEffect(() => {
+    optionsRef.current = options;
+    onFinishedRef.current = onFinished;
+  }, [options, onFinished]);
+
+  const {
+    pushLog,
+    sendAndWait,
+    onDeviceEvent,
+    isLinkUp,
+    isLinkAlive,
+    waitForLink,
+  } = dev;
+
+  const onShot = useCallback((seq, ms) => {
+    shotsRef.current = appendShot(shotsRef.current, seq, ms);
+    setShots(shotsRef.current);
+  }, []);
+
+  // Серия закончилась: дочитываем выстрелы, сохраняем, при нужде перевзводим
+  const finalize = useCallback(
+    async ({ reason }) => {
+      pollRunningRef.current = false;
+      await pollPromiseRef.current;
+      pollPromiseRef.current = null;
+
+      if (reason !== "error" && isLinkUp() && sessionMetaRef.current) {
+        await fetchNewShots({ sendAndWait, nextShotId: nextShotIdRef, onShot });
+      }
+
+      pushLog("String finished: " + reason);
+      const meta = sessionMetaRef.current;
+      sessionMetaRef.current = null;
+      const list = shotsRef.current;
+      let record = null;
+      if (meta && list.length) {
+        record = buildSession({ ...meta, shots: list });
+        try {
+          record.id = await saveSession(record);
+          pushLog("History: session saved #" + record.id);
+          setLastSession(record);
+          onSaved?.(record.id);
+        } catch (e) {
+          pushLog("History error: " + (e?.message || e));
+        }
+      }
+
+      const more = onFinishedRef.current?.({ reason, session: record });
+
+      const opts = optionsRef.current;
+      if (
+        more !== false &&
+        opts.autoRearm &&
+        (reason === "device" || reason === "inactivity")
+      ) {
+        setRearmAt(Date.now() + opts.rearmDelayMs);
+        rearmTimerRef.current = setTimeout(() => {
+          rearmTimerRef.current = null;
+          setRearmAt(null);
+          startRef.current?.();
+        }, opts.rearmDelayMs);
+      }
+    },
+    [isLinkUp, onSaved, onShot, pushLog, sendAndWait]
+  );
+
+  const dispatch = useCallback(
+    (ev) => {
+      const prev = sessionRef.current;
+      const next = sessionReducer(prev, ev);
+      if (next === prev) return;
+      sessionRef.current = next;
+      setSession(next);
+      if (isActivePhase(prev.phase) && !isActivePhase(next.phase)) {
+        finalize(next);
+      }
+    },
+    [finalize]
+  );
+
+  const cancelRearm = useCallback(() => {
+    clearTimeout(rearmTimerRef.current);
+    rearmTimerRef.current = null;
+    setRearmAt(null);
+  }, []);
+
+  const start = useCallback(async () => {
+    if (!dev.connected) {
+      pushLog("Start skipped: device not connected");
+      return;
+    }
+    if (isActivePhase(sessionRef.current.phase)) return;
+    cancelRearm();
+
+    unlockAudio(); // пар-сигналы играет телефон
+
+    // Настройка таймера на устройстве
+    const { tMin, tMax, parTimes } = settings;
+
+    shotsRef.current = [];
+    setShots([]);
+    setLastSession(null);
+    nextShotIdRef.current = 0;
+    setDeviceState(0);
+    setSessionPar(parTimes);
+    sessionMetaRef.current = {
+      createdAt: Date.now(),
+      mode: startModeOf(settings),
+      tMin,
+      tMax,
+      parTimes,
+      deviceName: dev.deviceName,
+      drill,
+      shooter,
+      bay,
+      minSplitMs: optionsRef.current.minSplitMs,
+    };
+    dispatch({ type: "start" });
+
+    try {
+      const startRes = await armDevice({ sendAndWait, tMin, tMax, log: pushLog });
+      if (sessionRef.current.phase !== "arming") return; // нажали Stop
+      if (startRes.error) {
+        const reason = describeDeviceError(startRes.error);
+        dispatch({
+          type: "fail",
+          error:
+            startRes.cmd === "E_STARTT"
+              ? t("timer.startRejected", { reason })
+              : t("timer.commandRejected", { cmd: startRes.cmd, reason }),
+        });
+        return;
+      }
+      dispatch({ type: "armed" });
+
+      // запускаем опрос
+      pollRunningRef.current = true;
+      pollPromiseRef.current = pollLoop({
+        sendAndWait,
+        isRunning: () => pollRunningRef.current && isLinkAlive(),
+        isLinkUp,
+        waitForLink,
+        onEvent: onDeviceEvent,
+        nextShotId: nextShotIdRef,
+        onState: (v) => {
+          setDeviceState(v);
+          dispatch({ type: "deviceState", value: v });
+        },
+        onShot: (seq, ms) => {
+          onShot(seq, ms);
+          dispatch({ type: "shot" });
+        },
+        log: pushLog,
+      }).then(() => {
+        // цикл вышел сам — связь потеряна окончательно
+        if (pollRunningRef.current) {
+          pollRunningRef.current = false;
+          dispatch({ type: "fail", error: t("timer.linkLost") });
+        }
+      });
+    } catch (e) {
+      pushLog("Start error: " + (e?.message || e));
+      dispatch({ type: "fail", error: e?.message || String(e) });
+    }
+  }, [
+    bay,
+    cancelRearm,
+    dev.connected,
+    dev.deviceName,
+    dispatch,
+    drill,
+    isLinkAlive,
+    isLinkUp,
+    onDeviceEvent,
+    onShot,
+    pushLog,
+    sendAndWait,
+    settings,
+    shooter,
+    waitForLink,
+  ]);
+
+  useEffect(() => {
+    startRef.current = start;
+  }, [start]);
+
+  const stop = useCallback(() => {
+    cancelRearm();
+    if (!isActivePhase(sessionRef.current.phase)) return;
+    pushLog("Stop");
+    dispatch({ type: "stop" });
+  }, [cancelRearm, dispatch, pushLog]);
+
+  // ===== автофиниш по тишине после последнего выстрела =====
+  // До первого выстрела не считаем: стрелок может долго готовиться
+  const { phase } = session;
+  const inactivityMs = options.inactivityMs;
+  useEffect(() => {
+    if (phase !== "shooting" || !shots.length || !(inactivityMs > 0)) return;
+    const to = setTimeout(() => dispatch({ type: "inactive" }), inactivityMs);
+    return () => clearTimeout(to);
+  }, [phase, shots.length, inactivityMs, dispatch]);
+
+  // ===== пар-сигналы =====
+  // Момент beep знаем только по переходу G_STATE в 2, поэтому пар-сигналы
+  // отстают от реального старта на время одного цикла опроса.
+  useEffect(() => {
+    if (phase !== "shooting" || !sessionPar.length) return;
+    const timers = sessionPar.map((t) =>
+      setTimeout(() => beep({ freq: 1800 }), t)
+    );
+    return () => timers.forEach(clearTimeout);
+  }, [phase, sessionPar]);
+
+  // ===== unmount cleanup =====
+  useEffect(
+    () => () => {
+      pollRunningRef.current = false;
+      clearTimeout(rearmTimerRef.current);
+    },
+    []
+  );
+
+  return {
+    ...session,
+    running: isActivePhase(session.phase),
+    shots,
+    deviceState,
+    sessionPar,
+    rearmAt,
+    lastSession,
+    setLastSession,
+    start,
+    stop,
+  };
+}
@@ -0,0 +1,149 @@
+import { useCallback, useMemo, useState } from "react";
+import {
+  loadRoster,
+  loadSquadRun,
+  MAX_SHOOTERS,
+  rotate,
+  saveRoster,
+  saveSquadRun,
+  shooterTag,
+} from "../lib/squad.js";
+
+/* ===== отделение: состав + очерёдность стрелков ===== */
+
+export default function useSquad() {
+  const [roster, setRoster] = useState(loadRoster);
+  const [run, setRunState] = useState(loadSquadRun); // { runId, index, round, autoRotate }
+
+  const updateRoster = useCallback((next) => {
+    setRoster(next);
+    saveRoster(next);
+  }, []);
+
+  const setRun = useCallback((fn) => {
+    setRunState((cur) => {
+      const next = typeof fn === "function" ? fn(cur) : fn;
+      saveSquadRun(next);
+      return next;
+    });
+  }, []);
+
+  const addShooter = useCallback(
+    (name) => {
+      const n = String(name || "").trim();
+      if (!n || roster.length >= MAX_SHOOTERS) return;
+      updateRoster([
+        ...roster,
+        { id: "sh-" + Date.now().toString(36), name: n },
+      ]);
+    },
+    [roster, updateRoster]
+  );
+
+  const renameShooter = useCallback(
+    (id, name) => {
+      const n = String(name || "").trim();
+      if (!n) return;
+      updateRoster(roster.map((s) => (s.id === id ? { ...s, name: n } : s)));
+    },
+    [roster, updateRoster]
+  );
+
+  // Текущий стрелок остаётся текущим, даже если его сдвинули/убрали соседа
+  const reorder = useCallback(
+    (next) => {
+      const cur = run ? roster[run.index] : null;
+      updateRoster(next);
+      if (!run) return;
+      const at = cur ? next.findIndex((s) => s.id === cur.id) : -1;
+      setRun((r) =>
+        r && next.length
+          ? { ...r, index: at >= 0 ? at : Math.min(r.index, next.length - 1) }
+          : null
+      );
+    },
+    [roster, run, setRun, updateRoster]
+  );
+
+  const removeShooter = useCallback(
+    (id) => reorder(roster.filter((s) => s.id !== id)),
+    [reorder, roster]
+  );
+
+  const moveShooter = useCallback(
+    (id, dir) => {
+      const i = roster.findIndex((s) => s.id === id);
+      const j = i + dir;
+      if (i < 0 || j < 0 || j >= roster.length) return;
+      const next = [...roster];
+      [next[i], next[j]] = [next[j], next[i]];
+      reorder(next);
+    },
+    [reorder, roster]
+  );
+
+  const startRun = useCallback(() => {
+    if (!roster.length) return;
+    setRun({
+      runId: Date.now().toString(36),
+      index: 0,
+      round: 1,
+      autoRotate: true,
+    });
+  }, [roster.length, setRun]);
+
+  const endRun = useCallback(() => setRun(null), [setRun]);
+
+  const next = useCallback(
+    () => setRun((r) => rotate(r, roster.length, 1)),
+    [roster.length, setRun]
+  );
+  const prev = useCallback(
+    () => setRun((r) => rotate(r, roster.length, -1)),
+    [roster.length, setRun]
+  );
+  const pick = useCallback(
+    (i) =>
+      setRun((r) => (r && i >= 0 && i < roster.length ? { ...r, index: i } : r)),
+    [roster.length, setRun]
+  );
+  const setAutoRotate = useCallback(
+    (on) => setRun((r) => (r ? { ...r, autoRotate: on } : r)),
+    [setRun]
+  );
+
+  // Серия стрелка отстреляна; пустую не считаем — пусть перестреляет
+  const recordString = useCallback(
+    (shotCount) => {
+      if (!shotCount) return;
+      setRun((r) => (r?.autoRotate ? rotate(r, roster.length, 1) : r));
+    },
+    [roster.length, setRun]
+  );
+
+  const current = run ? roster[run.index] || null : null;
+  const upNext =
+    run && roster.length > 1 ? roster[(run.index + 1) % roster.length] : null;
+
+  // Что писать в сохраняемую сессию
+  const sessionTag = useMemo(() => shooterTag(current, run), [current, run]);
+
+  return {
+    roster,
+    run,
+    current,
+    upNext,
+    sessionTag,
+    addShooter,
+    renameShooter,
+    removeShooter,
+    moveShooter,
+    startRun,
+    endRun,
+    next,
+    prev,
+    pick,
+    setAutoRotate,
+    recordString,
+  };
+}
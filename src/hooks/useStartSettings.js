@@ -0,0 +1,79 @@
+import { useCallback, useMemo, useState } from "react";
+import {
+  BUILTIN_PRESETS,
+  isBuiltinPreset,
+  loadCustomPresets,
+  loadSelectedPresetId,
+  normalizeStartSettings,
+  saveCustomPresets,
+  saveSelectedPresetId,
+} from "../lib/presets.js";
+
+/* ===== задержка старта + пар-тайм, пресеты в localStorage ===== */
+
+export default function useStartSettings() {
+  const [customPresets, setCustomPresets] = useState(loadCustomPresets);
+  const presets = useMemo(
+    () => [...BUILTIN_PRESETS, ...customPresets],
+    [customPresets]
+  );
+
+  const [presetId, setPresetId] = useState(loadSelectedPresetId);
+  const [settings, setSettings] = useState(() => {
+    const p =
+      [...BUILTIN_PRESETS, ...loadCustomPresets()].find(
+        (x) => x.id === loadSelectedPresetId()
+      ) || BUILTIN_PRESETS[0];
+    return normalizeStartSettings(p);
+  });
+
+  const selectPreset = useCallback(
+    (id) => {
+      const p = presets.find((x) => x.id === id);
+      if (!p) return;
+      setPresetId(id);
+      saveSelectedPresetId(id);
+      setSettings(normalizeStartSettings(p));
+    },
+    [presets]
+  );
+
+  // Ручная правка отвязывает настройки от пресета
+  const updateSettings = useCallback((patch) => {
+    setSettings((cur) => normalizeStartSettings({ ...cur, ...patch }));
+    setPresetId(null);
+  }, []);
+
+  const savePreset = useCallback(
+    (name) => {
+      const id = "custom-" + Date.now().toString(36);
+      const next = [...customPresets, { id, name, ...settings }];
+      setCustomPresets(next);
+      saveCustomPresets(next);
+      setPresetId(id);
+      saveSelectedPresetId(id);
+    },
+    [customPresets, settings]
+  );
+
+  const deletePreset = useCallback(
+    (id) => {
+      if (isBuiltinPreset(id)) return;
+      const next = customPresets.filter((p) => p.id !== id);
+      setCustomPresets(next);
+      saveCustomPresets(next);
+      if (presetId === id) setPresetId(null);
+    },
+    [customPresets, presetId]
+  );
+
+  return {
+    presets,
+    presetId,
+    settings,
+    selectPreset,
+    updateSettings,
+    savePreset,
+    deletePreset,
+  };
+}
@@ -0,0 +1,103 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  cueText,
+  loadVoiceSettings,
+  playCue,
+  saveVoiceSettings,
+  speak,
+  speechSupported,
+  stringReadout,
+} from "../lib/voice.js";
+
+/* ===== голос и сигналы для стрельбы без взгляда на экран ===== */
+
+// Сигналы ошибки чаще этого сливаются в один
+const ERROR_CUE_GAP_MS = 1500;
+
+// dev — useDevice(), lastSession — только что сохранённая серия,
+// phase — фаза серии из useShotSession
+export default function useVoiceFeedback({ dev, lastSession, phase }) {
+  const [settings, setSettings] = useState(loadVoiceSettings);
+  const settingsRef = useRef(settings);
+  const spokenIdRef = useRef(null);
+  const linkRef = useRef(dev.link);
+  const errorsRef = useRef(dev.metrics?.errors ?? 0);
+  const errorCueAtRef = useRef(-Infinity);
+
+  const update = useCallback((patch) => {
+    setSettings((cur) => {
+      const next = { ...cur, ...patch };
+      settingsRef.current = next;
+      saveVoiceSettings(next);
+      return next;
+    });
+  }, []);
+
+  // Сигнал + фраза (если голос включён)
+  const cue = useCallback((kind) => {
+    const s = settingsRef.current;
+    if (!s.cues) return;
+    playCue(kind);
+    if (s.verbosity !== "off") speak(cueText(kind, s.lang), s.lang);
+  }, []);
+
+  // Сводка после каждой сохранённой серии, один раз на запись
+  useEffect(() => {
+    if (!lastSession || spokenIdRef.current === lastSession.id) return;
+    spokenIdRef.current = lastSession.id;
+    const s = settingsRef.current;
+    speak(stringReadout(lastSession, s), s.lang);
+  }, [lastSession]);
+
+  // Обрыв и восстановление связи
+  const { link } = dev;
+  useEffect(() => {
+    const prev = linkRef.current;
+    linkRef.current = link;
+    if (prev === "connected" && link === "reconnecting") cue("linkLost");
+    else if (prev === "reconnecting" && link === "connected") cue("linkBack");
+    else if (prev === "reconnecting" && link === "disconnected") cue("linkLost");
+  }, [link, cue]);
+
+  // Ответы #ERR от устройства и аварийное завершение серии. Отказ в старте
+  // даёт и то и другое (#ERR на E_STARTT, затем фаза error), а в каком
+  // рендере придёт каждое — не угадать: второй сигнал подряд глушим.
+  const errorCue = useCallback(() => {
+    const at = Date.now();
+    if (at - errorCueAtRef.current < ERROR_CUE_GAP_MS) return;
+    errorCueAtRef.current = at;
+    cue("error");
+  }, [cue]);
+
+  const errors = dev.metrics?.errors ?? 0;
+  useEffect(() => {
+    if (errors > errorsRef.current) errorCue();
+    errorsRef.current = errors;
+  }, [errors, errorCue]);
+
+  useEffect(() => {
+    if (phase === "error") errorCue();
+  }, [phase, errorCue]);
+
+  const test = useCallback(() => {
+    const s = settingsRef.current;
+    speak(
+      stringReadout(
+        {
+          shots: [
+            { seq: 1, ms: 1420, split: null },
+            { seq: 2, ms: 1630, split: 210 },
+            { seq: 3, ms: 1900, split: 270 },
+          ],
+          firstShotMs: 1420,
+          totalTimeMs: 1900,
+          parTimes: [2000],
+        },
+        { ...s, verbosity: s.verbosity === "off" ? "normal" : s.verbosity }
+      ),
+      s.lang
+    );
+  }, []);
+
+  return { settings, update, supported: speechSupported(), test };
+}
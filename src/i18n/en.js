@@ -0,0 +1,497 @@
+/* ===== строки интерфейса: English ===== */
+
+const plural = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+
+export default {
+  units: { s: "s", ms: "ms" },
+
+  app: {
+    title: "DzenGun STE",
+    build: "Build v0.9913 - APK native ready",
+    language: "Language",
+  },
+
+  update: {
+    available: "A new version of the app is available.",
+    reload: "Update",
+    later: "Later",
+  },
+
+  nav: {
+    timer: "Timer",
+    bays: "Bays",
+    drills: "Drills",
+    squad: "Squad",
+    history: "History",
+    device: "Device",
+    stats: "Stats",
+  },
+
+  link: {
+    connected: "Connected • {name}",
+    connecting: "Connecting…",
+    reconnecting: "Reconnecting… (attempt {attempt})",
+    disconnected: "Not connected",
+  },
+
+  transports: {
+    ble: "BLE (HM-10)",
+    androidBle: "BLE (Android)",
+    androidNoDevices: "Timer not found: switch it on and move closer",
+    serial: "USB (Web Serial)",
+    mic: "Microphone",
+    sim: "Virtual timer",
+    mock: "Mock",
+    micDevice: "Phone microphone",
+  },
+
+  timer: {
+    settings: "Settings",
+    status: "Status",
+    connection: "Connection",
+    start: "START",
+    stop: "Stop",
+    arming: "Arming…",
+    counting: "Countdown…",
+    shooting: "String running",
+    string: "String:",
+    device: "Timer:",
+    score: "Score:",
+    rearm: "The next string will start automatically…",
+    unsupported: "{name} is not supported by this browser",
+    connect: "Connect",
+    disconnect: "Disconnect",
+    log: "Exchange log:",
+    scoreTitle: "String score",
+    shots: "Shots",
+    tempo: "Tempo chart",
+    tempoHint:
+      "The first shot is the starting point, then splits between adjacent shots.",
+    startRejected: "Start rejected: {reason}",
+    commandRejected: "The timer rejected {cmd}: {reason}",
+    linkLost: "Connection to the device lost",
+  },
+
+  deviceError: {
+    unknownCommand: "unknown command",
+    badArgument: "invalid value",
+    busy: "device busy",
+    unknown: "unknown error",
+  },
+
+  log: {
+    dir: {
+      tx: "TX",
+      rx: "RX",
+      sys: "Sys",
+      chunk: "Bytes",
+    },
+    raw: "hex",
+    rawHint: "Show received chunks as is, in hex",
+    hidePolling: "No polling",
+    hidePollingHint: "Hide G_STATE, G_SNUM and G_STIME",
+    search: "Search",
+    pause: "Pause",
+    follow: "Follow (+{n})",
+    clear: "Clear",
+    empty: "No entries.",
+    status: {
+      error: "error",
+      stale: "stale",
+      unsolicited: "unsolicited",
+      event: "event",
+    },
+  },
+
+  metrics: {
+    sent: "Commands: {n}",
+    retries: "Retries: {n}",
+    timeouts: "Timeouts: {n}",
+    stale: "Stale: {n}",
+    queued: "Queue: {n}",
+    reset: "reset",
+  },
+
+  stat: {
+    firstShot: "First Shot",
+    shots: "# Shots",
+    totalTime: "Total Time",
+  },
+
+  deviceState: {
+    0: "Ready",
+    1: "Countdown",
+    2: "Running",
+  },
+
+  phase: {
+    idle: "Idle",
+    arming: "Arming",
+    countdown: "Countdown",
+    shooting: "Shooting",
+    finished: "Finished",
+    error: "Error",
+  },
+
+  start: {
+    preset: "Preset",
+    deletePreset: "Delete preset",
+    delayFrom: "Delay from, s",
+    delayTo: "to, s",
+    par: "Par, s",
+    parNone: "none",
+    savePreset: "Save as preset",
+    presetName: "Preset name",
+    presets: {
+      "fixed-5": "Fixed 5 s",
+      "random-5-10": "Random 5–10 s",
+      instant: "Instant",
+      "delay-1": "Delay 1 s",
+      "random-2-4": "Random 2–4 s",
+    },
+    fixed: "Fixed {t}",
+    random: "Random {from}–{to}",
+  },
+
+  options: {
+    inactivity: "Finish after silence, s",
+    rearmDelay: "Pause before auto start, s",
+    minSplit: "Echo filter: min split, ms (0 — off)",
+    autoRearm: "Start the next string automatically",
+  },
+
+  par: {
+    label: "Par {t}:",
+    beat: "beat par by {t}",
+    late: "+{t} • after par: {n}",
+  },
+
+  shots: {
+    seq: "#",
+    time: "Shot time",
+    split: "Split",
+    segment: "Segment",
+    empty: "Your shots will appear here once the drill starts.",
+    invalid: "Invalid",
+    delete: "Delete",
+    keep: "Count",
+    restore: "Restore",
+    status: {
+      deleted: "deleted",
+      invalid: "invalid",
+      echo: "echo",
+    },
+    minSplit: "Min split, ms",
+    dropped: "Not counted: {n}",
+    resetEdits: "Reset edits",
+  },
+
+  chart: {
+    tempo: "Tempo",
+  },
+
+  score: {
+    zones: {
+      A: "A",
+      C: "C",
+      D: "D",
+      M: "Miss",
+      NS: "No-shoot",
+      procedurals: "Proc.",
+      pointsDown: "Points down",
+      pe: "PE",
+      hnt: "HNT",
+      ftdr: "FTDR",
+    },
+    idpaLine: "{time} + penalty {penalty}",
+    idpaTotal: "Final {t}",
+    comstockLine: "Points {points} − penalties {penalties} = {total}",
+    extraShots: " (extra shots: {n})",
+    save: "Save score",
+    saved: "Saved",
+  },
+
+  segments: {
+    title: "Segments",
+    draw: "Draw",
+    split: "Split",
+    transition: "Transition",
+    reload: "Reload",
+    movement: "Movement",
+    colType: "Segment",
+    colCount: "Count",
+    colMean: "Mean",
+    colMedian: "Median",
+    colBest: "Best",
+    colUsual: "Usual ({n})",
+  },
+
+  compare: {
+    title: "Compare strings",
+    close: "Close",
+    addPb: "+ Personal best",
+    noPb: "No earlier strings of the same drill or with the same shot count",
+    base: "base",
+    makeBase: "make base",
+    remove: "Remove from comparison",
+    timeline: "Timeline",
+    split: "split {t}",
+    total: "Total",
+    pbLabel: "Best {date}",
+    thisString: "This string",
+    withPb: "Compare with personal best",
+    noShots: "No shots",
+  },
+
+  history: {
+    title: "History",
+    csv: "CSV",
+    json: "JSON",
+    report: "Report",
+    compare: "Compare",
+    import: "Import JSON",
+    selected: "Selected for export: {n}",
+    imported: "Imported: {added}",
+    importedSkipped: "Imported: {added}, already present: {skipped}",
+    empty: "No saved sessions yet.",
+    pick: "Select for export",
+    shotsShort: "{n} shots",
+    delete: "Delete",
+    confirmDelete: "Delete this session?",
+    choose: "Choose a session from the list.",
+    tags: "Tags (comma separated)",
+  },
+
+  export: {
+    notJson: "The file is not JSON",
+    notExport: "This is not a DzenGun STE export",
+    badVersion: "Unknown format version: {version}",
+    notFound: "Session #{id} not found",
+  },
+
+  report: {
+    title: "Report",
+    print: "Print / PDF",
+    close: "Close",
+    heading: "DzenGun STE — training log",
+    startFixed: "start {t}",
+    startRandom: "start {from}–{to}",
+    par: "Par: {t}",
+    score: "Score: {s}",
+  },
+
+  drills: {
+    title: "Drills",
+    custom: "+ Custom drill",
+    summary: "{strings} str. • {shots} shots",
+    par: " • par {t}",
+    edit: "Edit",
+    delete: "Delete",
+    confirmDelete: "Delete this drill?",
+    run: "Run",
+    editTitle: "Edit drill",
+    newTitle: "New drill",
+    name: "Name",
+    description: "Description",
+    string: "String",
+    shots: "Shots",
+    parSec: "Par, s",
+    addString: "+ String",
+    save: "Save",
+    cancel: "Cancel",
+    untitled: "Drill",
+    stringN: "String {n}",
+    segments: "Segments:",
+    segmentN: "Segment before shot {n}",
+    builtin: {
+      bill: "7 yards, 6 shots to the A zone from the draw",
+      "el-presidente":
+        "Turn, 2 on each of 3 targets, reload, 2 on each of 3 targets",
+      blake: "3 targets, 2 shots on each",
+      "1-reload-1": "One shot, slide-lock reload, one shot",
+      fast: "2 to the 3×5\" head, reload, 4 to the 8\" body",
+    },
+    close: "Close",
+    abort: "Abort",
+    current: "String {n} of {count}: {shots} shots",
+    colString: "String",
+    colShots: "Shots",
+    colFirst: "First",
+    colTotal: "Total",
+    repeat: "repeat",
+    sum: "Sum:",
+    best: "Best:",
+    worst: "Worst:",
+    shotCount: "Shots:",
+    complete: "Drill complete",
+  },
+
+  bays: {
+    title: "Bays",
+    bayN: "Bay {n}",
+    name: "Bay name",
+    add: "+ Bay",
+    remove: "Remove",
+    startAll: "Start all",
+    stopAll: "Stop all",
+    log: "Protocol log",
+    hint: "Add a bay to connect another timer from this phone",
+  },
+
+  squad: {
+    roster: "Squad",
+    namePlaceholder: "Shooter name",
+    name: "Name",
+    add: "Add",
+    empty: "Add shooters in the order they go to the line",
+    up: "Up",
+    down: "Down",
+    remove: "Remove",
+    start: "Start squad training",
+    end: "End squad training",
+    noRun: "The leaderboard appears once squad training starts",
+    leaderboard: "Leaderboard",
+    round: "Round {n}",
+    nowShooting: "{name} shooting",
+    onLine: "on the line",
+    upNext: "Up next: {name}",
+    prev: "← Previous",
+    next: "Next →",
+    autoRotate: "Pass to the next shooter after each string",
+    fullScreen: "Full screen",
+    exitFull: "Exit full screen",
+    colShooter: "Shooter",
+    colStrings: "Strings",
+    colBestTotal: "Best total",
+    colBestFirst: "Best first shot",
+    colAvgSplit: "Avg split",
+  },
+
+  device: {
+    title: "Device",
+    read: "Read",
+    reading: "Reading…",
+    notConnected: "Connect the timer to read its settings.",
+    busy: "A string is running — no commands are sent to the device.",
+    transport: "Link",
+    name: "Name",
+    firmware: "Firmware",
+    hardware: "Board",
+    notReported: "not reported",
+    settings: "Timer settings",
+    keys: {
+      TMIN: "Start delay from",
+      TMAX: "Start delay to",
+      BVOL: "Beep volume",
+      BLEN: "Beep length",
+      SENS: "Sensor sensitivity",
+    },
+    write: "Write",
+    saved: "Saved",
+    rejected: "Rejected: {reason}",
+    noReply: "No reply",
+    range: "Allowed {min}–{max}",
+    startHint:
+      "The app writes the start delay again on every start from the start settings.",
+    unsupported: "Not supported by the firmware: {list}",
+    diagnostics: "Link diagnostics",
+    diagHint:
+      "A series of G_STATE requests: reply time, losses and retries. Run it before a match.",
+    pings: "Requests",
+    test: "Test connection",
+    testing: "Testing… {n}/{count}",
+    verdictOk: "The link is fine",
+    verdictSlow: "The link is slow — shots will arrive late",
+    verdictLoss: "Some replies were lost — check distance and interference",
+    answered: "Replies",
+    rttMin: "Latency, min",
+    rttMedian: "Latency, median",
+    rttMean: "Latency, mean",
+    rttP90: "Latency, p90",
+    rttMax: "Latency, max",
+    lost: "No reply",
+    errors: "#ERR replies",
+    retries: "Retries",
+    timeouts: "Timeouts",
+    rssiNone: "not available",
+  },
+
+  sim: {
+    title: "Virtual timer",
+    shots: "Shots",
+    dropRate: "Reply loss, %",
+    latencyFrom: "Latency from, ms",
+    latencyTo: "to, ms",
+    drop: "Drop link",
+    push: "Push events (S_PUSH); off — polling only",
+  },
+
+  mic: {
+    title: "Microphone",
+    sensitivity: "Sensitivity: {n}",
+    lockout: "Echo lockout, ms",
+    testWav: "Test on a recording (WAV)",
+    wavResult: "{name} ({duration}): {n} shots",
+    notWav: "This is not a WAV file",
+    noChunks: "The WAV has no fmt or data chunk",
+    unsupported: "Unsupported WAV: format {format}, {bits} bit",
+  },
+
+  voice: {
+    level: "Voice",
+    levels: {
+      off: "Off",
+      brief: "Total",
+      normal: "Short",
+      full: "Detailed",
+    },
+    lang: "Voice language",
+    cues: "Cue on link loss and errors",
+    test: "Test voice",
+    unsupported: "Speech synthesis is not supported by this browser",
+    shots: ({ n }) => plural(n, "shot", "shots"),
+    noShots: "No shots",
+    first: "first {t}",
+    total: "total {t}",
+    best: "best split {t}",
+    avg: "average split {t}",
+    parBeat: "par beaten by {t}",
+    parMiss: "over par by {t}",
+    linkLost: "Connection lost",
+    linkBack: "Connection restored",
+    error: "Timer error",
+  },
+
+  stats: {
+    title: "Statistics",
+    from: "From",
+    to: "To",
+    drill: "Drill",
+    all: "All",
+    noDrill: "No drill",
+    mode: "Start",
+    anyMode: "Any",
+    fixed: "Fixed",
+    random: "Random",
+    tag: "Tag",
+    count: "Sessions: {sessions} • shots: {shots}",
+    empty: "No sessions match the filter.",
+    firstMedian: "First shot, median",
+    firstSd: "First shot, σ",
+    splitMean: "Split, mean",
+    splitMedian: "Split, median",
+    splitP90: "Split, p90",
+    splitSd: "Split, σ",
+    trend: "Trend: first shot and split",
+    firstShot: "First shot",
+    avgSplit: "Average split",
+    histogram: "Split distribution",
+    splits: "Splits",
+    binFrom: "from {t}",
+    bests: "Personal bests",
+    bestFirst: "First shot",
+    bestSplit: "Split",
+    bestHf: "Hit factor",
+    bestDrill: "{name}, string",
+  },
+};
@@ -0,0 +1,60 @@
+import ru from "./ru.js";
+import en from "./en.js";
+
+/* ===== локализация: каталоги строк и текущий язык ===== */
+
+// Новый язык: каталог рядом (те же ключи, что в ru.js) + строка здесь.
+// Недостающие ключи берутся из FALLBACK_LANG.
+export const LANGUAGES = [
+  { id: "ru", label: "Русский", locale: "ru-RU", catalog: ru },
+  { id: "en", label: "English", locale: "en-US", catalog: en },
+];
+
+const LANG_KEY = "dzengun.lang";
+const FALLBACK_LANG = "ru";
+
+const byId = (id) => LANGUAGES.find((l) => l.id === id);
+
+function detectLang() {
+  const saved = globalThis.localStorage?.getItem(LANG_KEY);
+  if (byId(saved)) return saved;
+  const nav = globalThis.navigator?.language?.slice(0, 2).toLowerCase();
+  return byId(nav) ? nav : FALLBACK_LANG;
+}
+
+let current = detectLang();
+const listeners = new Set();
+if (globalThis.document) document.documentElement.lang = current;
+
+export const getLang = () => current;
+export const getLocale = () => byId(current).locale;
+
+export function setLang(id) {
+  if (!byId(id) || id === current) return;
+  current = id;
+  globalThis.localStorage?.setItem(LANG_KEY, id);
+  if (globalThis.document) document.documentElement.lang = id;
+  listeners.forEach((fn) => fn());
+}
+
+export function onLangChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+const lookup = (catalog, key) =>
+  key.split(".").reduce((node, k) => (node == null ? node : node[k]), catalog);
+
+// Строка каталога: "… {name} …" или функция (params) => строка (для
+// множественного числа). Нет ключа нигде — возвращаем сам ключ.
+export function translate(lang, key, params = {}) {
+  let v = lookup(byId(lang)?.catalog, key);
+  if (v == null) v = lookup(byId(FALLBACK_LANG).catalog, key);
+  if (v == null) return key;
+  if (typeof v === "function") return v(params);
+  return String(v).replace(/\{(\w+)\}/g, (m, k) =>
+    params[k] != null ? String(params[k]) : m
+  );
+}
+
+export const t = (key, params) => translate(current, key, params);
@@ -0,0 +1,505 @@
+/* ===== строки интерфейса: русский (эталонный каталог) ===== */
+
+// 1 выстрел, 2 выстрела, 5 выстрелов
+export const ruPlural = (n, one, few, many) => {
+  const m10 = n % 10;
+  const m100 = n % 100;
+  if (m10 === 1 && m100 !== 11) return one;
+  if (m10 >= 2 && m10 <= 4 && (m100 < 12 || m100 > 14)) return few;
+  return many;
+};
+
+export default {
+  units: { s: "с", ms: "мс" },
+
+  app: {
+    title: "DzenGun STE",
+    build: "Build v0.9913 - APK native ready",
+    language: "Язык",
+  },
+
+  update: {
+    available: "Доступна новая версия приложения.",
+    reload: "Обновить",
+    later: "Позже",
+  },
+
+  nav: {
+    timer: "Таймер",
+    bays: "Рубежи",
+    drills: "Упражнения",
+    squad: "Отделение",
+    history: "История",
+    device: "Устройство",
+    stats: "Статистика",
+  },
+
+  link: {
+    connected: "Подключено • {name}",
+    connecting: "Подключение…",
+    reconnecting: "Переподключение… (попытка {attempt})",
+    disconnected: "Не подключено",
+  },
+
+  transports: {
+    ble: "BLE (HM-10)",
+    androidBle: "BLE (Android)",
+    androidNoDevices: "Таймер не найден: включите его и поднесите ближе",
+    serial: "USB (Web Serial)",
+    mic: "Микрофон",
+    sim: "Виртуальный таймер",
+    mock: "Mock",
+    micDevice: "Микрофон телефона",
+  },
+
+  timer: {
+    settings: "Настройки",
+    status: "Статус",
+    connection: "Связь",
+    start: "СТАРТ",
+    stop: "Стоп",
+    arming: "Подготовка…",
+    counting: "Отсчёт…",
+    shooting: "Серия идёт",
+    string: "Серия:",
+    device: "Таймер:",
+    score: "Счёт:",
+    rearm: "Следующая серия стартует автоматически…",
+    unsupported: "{name} не поддерживается этим браузером",
+    connect: "Подключить",
+    disconnect: "Отключить",
+    log: "Лог обмена:",
+    scoreTitle: "Счёт серии",
+    shots: "Выстрелы",
+    tempo: "График темпа",
+    tempoHint:
+      "Первый выстрел — отправная точка, далее сплиты между соседними выстрелами.",
+    startRejected: "Старт отклонён: {reason}",
+    commandRejected: "Таймер не принял {cmd}: {reason}",
+    linkLost: "Связь с устройством потеряна",
+  },
+
+  deviceError: {
+    unknownCommand: "неизвестная команда",
+    badArgument: "недопустимое значение",
+    busy: "устройство занято",
+    unknown: "неизвестная ошибка",
+  },
+
+  log: {
+    dir: {
+      tx: "TX",
+      rx: "RX",
+      sys: "Сист.",
+      chunk: "Байты",
+    },
+    raw: "hex",
+    rawHint: "Показывать принятые куски как есть, в hex",
+    hidePolling: "Без опроса",
+    hidePollingHint: "Скрыть G_STATE, G_SNUM и G_STIME",
+    search: "Поиск",
+    pause: "Пауза",
+    follow: "Следить (+{n})",
+    clear: "Очистить",
+    empty: "Записей нет.",
+    status: {
+      error: "ошибка",
+      stale: "устарел",
+      unsolicited: "без запроса",
+      event: "событие",
+    },
+  },
+
+  metrics: {
+    sent: "Команд: {n}",
+    retries: "Повторов: {n}",
+    timeouts: "Таймаутов: {n}",
+    stale: "Устаревших: {n}",
+    queued: "Очередь: {n}",
+    reset: "сброс",
+  },
+
+  stat: {
+    firstShot: "Первый выстрел",
+    shots: "Выстрелов",
+    totalTime: "Общее время",
+  },
+
+  deviceState: {
+    0: "Готов",
+    1: "Отсчёт",
+    2: "Упражнение",
+  },
+
+  phase: {
+    idle: "Ожидание",
+    arming: "Подготовка",
+    countdown: "Отсчёт",
+    shooting: "Стрельба",
+    finished: "Завершено",
+    error: "Ошибка",
+  },
+
+  start: {
+    preset: "Пресет",
+    deletePreset: "Удалить пресет",
+    delayFrom: "Задержка от, с",
+    delayTo: "до, с",
+    par: "Пар, с",
+    parNone: "нет",
+    savePreset: "Сохранить как пресет",
+    presetName: "Название пресета",
+    presets: {
+      "fixed-5": "Фикс. 5 с",
+      "random-5-10": "Случайно 5–10 с",
+      instant: "Сразу",
+      "delay-1": "Задержка 1 с",
+      "random-2-4": "Случайно 2–4 с",
+    },
+    fixed: "Фикс. {t}",
+    random: "Случайно {from}–{to}",
+  },
+
+  options: {
+    inactivity: "Финиш после тишины, с",
+    rearmDelay: "Пауза до автостарта, с",
+    minSplit: "Фильтр эха: мин. сплит, мс (0 — выкл.)",
+    autoRearm: "Запускать следующую серию автоматически",
+  },
+
+  par: {
+    label: "Пар {t}:",
+    beat: "пар выполнен, запас {t}",
+    late: "+{t} • после пара: {n}",
+  },
+
+  shots: {
+    seq: "#",
+    time: "t выстрела",
+    split: "Сплит",
+    segment: "Сегмент",
+    empty: "Здесь появятся ваши выстрелы после старта упражнения.",
+    invalid: "Брак",
+    delete: "Удалить",
+    keep: "Засчитать",
+    restore: "Вернуть",
+    status: {
+      deleted: "удалён",
+      invalid: "брак",
+      echo: "эхо",
+    },
+    minSplit: "Мин. сплит, мс",
+    dropped: "Не засчитано: {n}",
+    resetEdits: "Сбросить правки",
+  },
+
+  chart: {
+    tempo: "Темп",
+  },
+
+  score: {
+    zones: {
+      A: "A",
+      C: "C",
+      D: "D",
+      M: "Промах",
+      NS: "No-shoot",
+      procedurals: "Процед.",
+      pointsDown: "Points down",
+      pe: "PE",
+      hnt: "HNT",
+      ftdr: "FTDR",
+    },
+    idpaLine: "{time} + штраф {penalty}",
+    idpaTotal: "Итог {t}",
+    comstockLine: "Очки {points} − штраф {penalties} = {total}",
+    extraShots: " (лишних выстрелов: {n})",
+    save: "Сохранить счёт",
+    saved: "Сохранено",
+  },
+
+  segments: {
+    title: "Сегменты",
+    draw: "Извлечение",
+    split: "Сплит",
+    transition: "Перенос",
+    reload: "Перезарядка",
+    movement: "Перемещение",
+    colType: "Сегмент",
+    colCount: "Кол-во",
+    colMean: "Среднее",
+    colMedian: "Медиана",
+    colBest: "Лучшее",
+    colUsual: "Обычно ({n})",
+  },
+
+  compare: {
+    title: "Сравнение серий",
+    close: "Закрыть",
+    addPb: "+ Личный рекорд",
+    noPb: "Нет прошлых серий того же упражнения или с тем же числом выстрелов",
+    base: "база",
+    makeBase: "сделать базой",
+    remove: "Убрать из сравнения",
+    timeline: "Таймлайн",
+    split: "сплит {t}",
+    total: "Итог",
+    pbLabel: "Рекорд {date}",
+    thisString: "Эта серия",
+    withPb: "Сравнить с личным рекордом",
+    noShots: "Выстрелов нет",
+  },
+
+  history: {
+    title: "История",
+    csv: "CSV",
+    json: "JSON",
+    report: "Отчёт",
+    compare: "Сравнить",
+    import: "Импорт JSON",
+    selected: "Выбрано для экспорта: {n}",
+    imported: "Импортировано: {added}",
+    importedSkipped: "Импортировано: {added}, уже были: {skipped}",
+    empty: "Сохранённых сессий пока нет.",
+    pick: "Выбрать для экспорта",
+    shotsShort: "{n} выстр.",
+    delete: "Удалить",
+    confirmDelete: "Удалить сессию?",
+    choose: "Выберите сессию из списка.",
+    tags: "Метки (через запятую)",
+  },
+
+  export: {
+    notJson: "Файл не является JSON",
+    notExport: "Это не экспорт DzenGun STE",
+    badVersion: "Неизвестная версия формата: {version}",
+    notFound: "Сессия #{id} не найдена",
+  },
+
+  report: {
+    title: "Отчёт",
+    print: "Печать / PDF",
+    close: "Закрыть",
+    heading: "DzenGun STE — журнал тренировки",
+    startFixed: "старт {t}",
+    startRandom: "старт {from}–{to}",
+    par: "Пар: {t}",
+    score: "Счёт: {s}",
+  },
+
+  drills: {
+    title: "Упражнения",
+    custom: "+ Своё упражнение",
+    summary: "{strings} сер. • {shots} выстр.",
+    par: " • пар {t}",
+    edit: "Изменить",
+    delete: "Удалить",
+    confirmDelete: "Удалить упражнение?",
+    run: "Выполнить",
+    editTitle: "Изменить упражнение",
+    newTitle: "Новое упражнение",
+    name: "Название",
+    description: "Описание",
+    string: "Серия",
+    shots: "Выстр.",
+    parSec: "Пар, с",
+    addString: "+ Серия",
+    save: "Сохранить",
+    cancel: "Отмена",
+    untitled: "Упражнение",
+    stringN: "Серия {n}",
+    segments: "Сегменты:",
+    segmentN: "Сегмент перед выстрелом {n}",
+    builtin: {
+      bill: "7 ярдов, 6 выстрелов в A-зону с извлечения",
+      "el-presidente":
+        "Поворот, по 2 в 3 мишени, перезарядка, по 2 в 3 мишени",
+      blake: "3 мишени, по 2 выстрела в каждую",
+      "1-reload-1": "Выстрел, перезарядка с затвором на задержке, выстрел",
+      fast: "2 в голову 3×5\", перезарядка, 4 в корпус 8\"",
+    },
+    close: "Закрыть",
+    abort: "Прервать",
+    current: "Серия {n} из {count}: {shots} выстр.",
+    colString: "Серия",
+    colShots: "Выстр.",
+    colFirst: "Первый",
+    colTotal: "Итог",
+    repeat: "повторить",
+    sum: "Сумма:",
+    best: "Лучшая:",
+    worst: "Худшая:",
+    shotCount: "Выстрелов:",
+    complete: "Упражнение завершено",
+  },
+
+  bays: {
+    title: "Рубежи",
+    bayN: "Рубеж {n}",
+    name: "Название рубежа",
+    add: "+ Рубеж",
+    remove: "Убрать",
+    startAll: "Старт всех",
+    stopAll: "Стоп всех",
+    log: "Журнал обмена",
+    hint: "Добавьте рубеж, чтобы подключить ещё один таймер с этого телефона",
+  },
+
+  squad: {
+    roster: "Отделение",
+    namePlaceholder: "Имя стрелка",
+    name: "Имя",
+    add: "Добавить",
+    empty: "Добавьте стрелков в порядке выхода на рубеж",
+    up: "Выше",
+    down: "Ниже",
+    remove: "Убрать",
+    start: "Начать тренировку",
+    end: "Завершить тренировку",
+    noRun: "Таблица лидеров появится, когда начнётся тренировка отделения",
+    leaderboard: "Таблица лидеров",
+    round: "Круг {n}",
+    nowShooting: "стреляет {name}",
+    onLine: "на рубеже",
+    upNext: "Следующий: {name}",
+    prev: "← Предыдущий",
+    next: "Следующий →",
+    autoRotate: "Передавать очередь после каждой серии",
+    fullScreen: "Во весь экран",
+    exitFull: "Свернуть",
+    colShooter: "Стрелок",
+    colStrings: "Серий",
+    colBestTotal: "Лучшее время",
+    colBestFirst: "Лучший первый",
+    colAvgSplit: "Средний сплит",
+  },
+
+  device: {
+    title: "Устройство",
+    read: "Прочитать",
+    reading: "Чтение…",
+    notConnected: "Подключите таймер, чтобы прочитать настройки.",
+    busy: "Идёт серия — команды устройству не отправляются.",
+    transport: "Связь",
+    name: "Имя",
+    firmware: "Прошивка",
+    hardware: "Плата",
+    notReported: "не сообщает",
+    settings: "Настройки таймера",
+    keys: {
+      TMIN: "Задержка старта от",
+      TMAX: "Задержка старта до",
+      BVOL: "Громкость сигнала",
+      BLEN: "Длительность сигнала",
+      SENS: "Чувствительность датчика",
+    },
+    write: "Записать",
+    saved: "Записано",
+    rejected: "Отклонено: {reason}",
+    noReply: "Нет ответа",
+    range: "Допустимо {min}–{max}",
+    startHint:
+      "Задержку старта приложение записывает заново при каждом старте из настроек старта.",
+    unsupported: "Не поддерживаются прошивкой: {list}",
+    diagnostics: "Диагностика связи",
+    diagHint:
+      "Серия запросов G_STATE: время ответа, потери и повторы. Запустите перед матчем.",
+    pings: "Запросов",
+    test: "Проверить связь",
+    testing: "Проверка… {n}/{count}",
+    verdictOk: "Связь в порядке",
+    verdictSlow: "Связь медленная — выстрелы будут приходить с задержкой",
+    verdictLoss: "Есть потери ответов — проверьте расстояние и помехи",
+    answered: "Ответов",
+    rttMin: "Задержка, мин.",
+    rttMedian: "Задержка, медиана",
+    rttMean: "Задержка, средняя",
+    rttP90: "Задержка, p90",
+    rttMax: "Задержка, макс.",
+    lost: "Без ответа",
+    errors: "Ответов #ERR",
+    retries: "Повторов",
+    timeouts: "Таймаутов",
+    rssiNone: "нет данных",
+  },
+
+  sim: {
+    title: "Виртуальный таймер",
+    shots: "Выстрелов",
+    dropRate: "Потеря ответов, %",
+    latencyFrom: "Задержка от, мс",
+    latencyTo: "до, мс",
+    drop: "Обрыв связи",
+    push: "Push-события (S_PUSH); выкл. — только опрос",
+  },
+
+  mic: {
+    title: "Микрофон",
+    sensitivity: "Чувствительность: {n}",
+    lockout: "Защита от эха, мс",
+    testWav: "Проверить на записи (WAV)",
+    wavResult: "{name} ({duration}): выстрелов {n}",
+    notWav: "Это не WAV-файл",
+    noChunks: "В WAV нет fmt или data",
+    unsupported: "Неподдерживаемый WAV: формат {format}, {bits} бит",
+  },
+
+  voice: {
+    level: "Голос",
+    levels: {
+      off: "Выкл.",
+      brief: "Итог",
+      normal: "Кратко",
+      full: "Подробно",
+    },
+    lang: "Язык озвучки",
+    cues: "Сигнал при обрыве и ошибке",
+    test: "Проверить голос",
+    unsupported: "Синтез речи не поддерживается этим браузером",
+    // фразы озвучки
+    shots: ({ n }) => `${n} ${ruPlural(n, "выстрел", "выстрела", "выстрелов")}`,
+    noShots: "Выстрелов нет",
+    first: "первый {t}",
+    total: "итог {t}",
+    best: "лучший сплит {t}",
+    avg: "средний сплит {t}",
+    parBeat: "пар выполнен, запас {t}",
+    parMiss: "пар превышен на {t}",
+    linkLost: "Связь потеряна",
+    linkBack: "Связь восстановлена",
+    error: "Ошибка таймера",
+  },
+
+  stats: {
+    title: "Статистика",
+    from: "С",
+    to: "По",
+    drill: "Упражнение",
+    all: "Все",
+    noDrill: "Без упражнения",
+    mode: "Старт",
+    anyMode: "Любой",
+    fixed: "Фикс.",
+    random: "Случайно",
+    tag: "Метка",
+    count: "Сессий: {sessions} • выстрелов: {shots}",
+    empty: "Нет сессий под выбранный фильтр.",
+    firstMedian: "Первый выстрел, медиана",
+    firstSd: "Первый выстрел, σ",
+    splitMean: "Сплит, средний",
+    splitMedian: "Сплит, медиана",
+    splitP90: "Сплит, p90",
+    splitSd: "Сплит, σ",
+    trend: "Тренд: первый выстрел и сплит",
+    firstShot: "Первый выстрел",
+    avgSplit: "Средний сплит",
+    histogram: "Распределение сплитов",
+    splits: "Сплитов",
+    binFrom: "от {t}",
+    bests: "Личные рекорды",
+    bestFirst: "Первый выстрел",
+    bestSplit: "Сплит",
+    bestHf: "Hit factor",
+    bestDrill: "{name}, серия",
+  },
+};
@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from "react";
+import { LANGUAGES, getLang, onLangChange, setLang, t } from "./index.js";
+
+// Подписка компонента на смену языка
+export default function useI18n() {
+  const lang = useSyncExternalStore(onLangChange, getLang);
+  return { lang, setLang, t, languages: LANGUAGES };
+}
@@ -0,0 +1,45 @@
+import { t } from "../i18n/index.js";
+
+/* ===== несколько таймеров: рубежи ===== */
+
+// Рубеж — свой таймер со своей связью, серией и журналом.
+// Список: [{ id, name }]; первый всегда "main" — рубеж главного экрана
+// таймера, остальные добавляются на экране рубежей.
+// У каждого рубежа свой выбранный транспорт: dzengun.transport.<id>.
+
+const BAYS_KEY = "dzengun.bays";
+
+export const MAIN_BAY = "main";
+export const MAX_BAYS = 6;
+
+export const bayTransportKey = (id) =>
+  id === MAIN_BAY ? "dzengun.transport" : `dzengun.transport.${id}`;
+
+const defaultName = (i) => t("bays.bayN", { n: i + 1 });
+
+export function normalizeBays(list) {
+  const rest = (Array.isArray(list) ? list : [])
+    .filter((b) => b?.id && b.id !== MAIN_BAY)
+    .map((b) => ({ id: String(b.id), name: String(b.name || "").trim() }));
+  const main = (Array.isArray(list) ? list : []).find((b) => b?.id === MAIN_BAY);
+  return [
+    { id: MAIN_BAY, name: String(main?.name || "").trim() },
+    ...rest,
+  ].slice(0, MAX_BAYS);
+}
+
+export function loadBays() {
+  try {
+    return normalizeBays(JSON.parse(localStorage.getItem(BAYS_KEY) || "[]"));
+  } catch {
+    return normalizeBays([]);
+  }
+}
+
+export const saveBays = (list) =>
+  localStorage.setItem(BAYS_KEY, JSON.stringify(list));
+
+// Имя для показа: своё или «Рубеж N»
+export const bayName = (bay, i) => bay.name || defaultName(i);
+
+export const newBayId = () => "bay-" + Date.now().toString(36);
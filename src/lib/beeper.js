@@ -0,0 +1,41 @@
+/* ===== звуковые сигналы (Web Audio) ===== */
+
+let ctx = null;
+
+// Общий контекст: по его часам микрофонный таймер сверяет beep и выстрелы
+export const audioContext = () => {
+  const Ctx = globalThis.AudioContext || globalThis.webkitAudioContext;
+  if (!Ctx) return null;
+  if (!ctx) ctx = new Ctx();
+  // на мобильных контекст стартует «спящим» до жеста пользователя
+  if (ctx.state === "suspended") ctx.resume().catch(() => {});
+  return ctx;
+};
+
+// Вызывать из обработчика нажатия, чтобы браузер разрешил звук
+export const unlockAudio = () => {
+  audioContext();
+};
+
+// Слушатели собственных сигналов: (startMs, endMs) по часам audioContext
+const beepListeners = new Set();
+
+export function onBeep(fn) {
+  beepListeners.add(fn);
+  return () => beepListeners.delete(fn);
+}
+
+export function beep({ freq = 2600, durationMs = 250, volume = 0.6 } = {}) {
+  const ac = audioContext();
+  if (!ac) return;
+  const osc = ac.createOscillator();
+  const gain = ac.createGain();
+  osc.type = "square";
+  osc.frequency.value = freq;
+  gain.gain.value = volume;
+  osc.connect(gain).connect(ac.destination);
+  osc.start();
+  osc.stop(ac.currentTime + durationMs / 1000);
+  const startMs = ac.currentTime * 1000;
+  beepListeners.forEach((fn) => fn(startMs, startMs + durationMs));
+}
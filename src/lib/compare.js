@@ -0,0 +1,76 @@
+import { t } from "../i18n/index.js";
+import { dateTimeFmt, msFmt } from "./format.js";
+import { bestBy } from "./stats.js";
+
+/* ===== сравнение серий: таймлайн, наложение, дельты ===== */
+
+// Цвета серий при наложении: первая — база, с ней сравниваются остальные
+export const COMPARE_COLORS = ["#22c55e", "#38bdf8", "#f59e0b", "#e879f9", "#f87171"];
+export const MAX_COMPARE = COMPARE_COLORS.length;
+
+// Серии «того же рода», что ref: то же упражнение и номер серии в нём,
+// а вне упражнений — столько же засчитанных выстрелов. Саму ref не берём.
+export function sameKind(sessions, ref) {
+  if (!ref?.shots?.length) return [];
+  return sessions.filter((s) => {
+    if (s.id === ref.id || !s.shots?.length) return false;
+    if (ref.drill) {
+      return (
+        s.drill?.name === ref.drill.name && s.drill?.string === ref.drill.string
+      );
+    }
+    return !s.drill && s.shots.length === ref.shots.length;
+  });
+}
+
+// Лучшая из них по общему времени; null, если сравнивать не с чем
+export const personalBest = (sessions, ref) =>
+  bestBy(sameKind(sessions, ref), (s) => s.totalTimeMs, (a, b) => a < b)
+    ?.session || null;
+
+// Серии для графиков и таблицы: [{ key, label, shots, color }].
+// Подпись — дата; личный рекорд (pbId) помечаем.
+export const compareSeries = (sessions, pbId = null) =>
+  sessions.slice(0, MAX_COMPARE).map((s, i) => ({
+    key: `s${s.id ?? i}`,
+    label:
+      s.label ||
+      (s.id === pbId
+        ? t("compare.pbLabel", { date: dateTimeFmt(s.createdAt) })
+        : dateTimeFmt(s.createdAt)),
+    shots: s.shots,
+    color: COMPARE_COLORS[i],
+  }));
+
+// Построчно по номеру выстрела (1-й, 2-й, ...), а не по seq устройства:
+// у разных серий seq с пропусками после правок.
+//   { n, cells: [{ ms, split } | null], deltas: [{ ms, split } | null] }
+// deltas[i] — серия i минус база (серия 0); у базы — null.
+export function compareShots(sessions) {
+  const count = Math.max(0, ...sessions.map((s) => s.shots.length));
+  const rows = [];
+  for (let i = 0; i < count; i++) {
+    const cells = sessions.map((s) =>
+      s.shots[i] ? { ms: s.shots[i].ms, split: s.shots[i].split } : null
+    );
+    const base = cells[0];
+    const deltas = cells.map((c, j) => {
+      if (j === 0 || !c || !base) return null;
+      return {
+        ms: c.ms - base.ms,
+        split:
+          Number.isFinite(c.split) && Number.isFinite(base.split)
+            ? c.split - base.split
+            : null,
+      };
+    });
+    rows.push({ n: i + 1, cells, deltas });
+  }
+  return rows;
+}
+
+// "+0,12 с" / "−0,05 с": знак всегда, минус типографский
+export const deltaFmt = (ms) =>
+  Number.isFinite(ms)
+    ? `${ms > 0 ? "+" : ms < 0 ? "−" : "±"}${msFmt(Math.abs(ms))}`
+    : "—";
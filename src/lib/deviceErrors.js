@@ -0,0 +1,35 @@
+import { t } from "../i18n/index.js";
+
+/* ===== коды ошибок устройства: "#ERR=03" ===== */
+
+// Код — две hex-цифры. Единая таблица для протокола, виртуального
+// таймера, микрофона и UI; описания — в каталоге строк deviceError.<name>.
+export const DEVICE_ERR = {
+  UNKNOWN_CMD: "01",
+  BAD_ARG: "02",
+  BUSY: "03",
+};
+
+export const DEVICE_ERRORS = {
+  [DEVICE_ERR.UNKNOWN_CMD]: "unknownCommand",
+  [DEVICE_ERR.BAD_ARG]: "badArgument",
+  [DEVICE_ERR.BUSY]: "busy",
+};
+
+// "#ERR=03" → { code: "03", name: "busy" }; неизвестный код — name null.
+// Код нормализуем: "3" и "03" — одно и то же.
+export function parseDeviceError(line) {
+  const m = /^#ERR=([0-9A-Fa-f]+)\s*$/.exec(line || "");
+  if (!m) return null;
+  const code = m[1].toUpperCase().padStart(2, "0");
+  return { code, name: DEVICE_ERRORS[code] || null };
+}
+
+// "устройство занято (#ERR=03)"
+export function describeDeviceError(error) {
+  if (!error) return "";
+  const text = error.name
+    ? t(`deviceError.${error.name}`)
+    : t("deviceError.unknown");
+  return `${text} (#ERR=${error.code})`;
+}
@@ -0,0 +1,124 @@
+import { mean, median, percentile } from "./stats.js";
+
+/* ===== настройки и диагностика устройства ===== */
+
+// Настройка KEY читается "#G_KEY" → "#G_KEY=v", пишется "#S_KEY=v" → "#S_KEY=v".
+// Что из списка знает конкретная прошивка, выясняем чтением: на неизвестную
+// команду она отвечает #ERR, такие настройки в панели не показываем.
+// TMIN/TMAX перезаписываются при каждом старте из настроек старта.
+export const DEVICE_SETTINGS = [
+  { key: "TMIN", min: 0, max: 60000, unit: "ms" },
+  { key: "TMAX", min: 0, max: 60000, unit: "ms" },
+  { key: "BVOL", min: 0, max: 100, unit: "%" }, // громкость сигнала
+  { key: "BLEN", min: 50, max: 2000, unit: "ms" }, // длительность сигнала
+  { key: "SENS", min: 1, max: 100, unit: "" }, // чувствительность датчика
+];
+
+// Только чтение: "#G_VER" → "#G_VER=1.4.2"
+export const DEVICE_INFO = ["VER", "HW"];
+
+// Состояние одной настройки/поля после чтения:
+// { value } | { unsupported: true } — ответили #ERR | { failed: true } — нет ответа
+// Чтение — проба: #ERR на незнакомую команду не считается ошибкой устройства
+const readOne = async (sendAndWait, cmd, valid) => {
+  const res = await sendAndWait(cmd, cmd, { probe: true });
+  if (res.error) return { unsupported: true };
+  return res.ok && valid(res.value) ? { value: res.value } : { failed: true };
+};
+
+const hasText = (v) => typeof v === "string" || Number.isFinite(v);
+
+// Команды идут по очереди через тот же sendAndWait, что и опрос серии
+export async function readDeviceSettings({ sendAndWait }) {
+  const out = {};
+  for (const s of DEVICE_SETTINGS) {
+    out[s.key] = await readOne(sendAndWait, `G_${s.key}`, Number.isInteger);
+  }
+  return out;
+}
+
+export async function readDeviceInfo({ sendAndWait }) {
+  const out = {};
+  for (const key of DEVICE_INFO) {
+    out[key] = await readOne(sendAndWait, `G_${key}`, hasText);
+  }
+  return out;
+}
+
+// null — значение подходит, иначе { min, max } для сообщения
+export function validateSetting(key, value) {
+  const s = DEVICE_SETTINGS.find((d) => d.key === key);
+  if (!s) return { min: null, max: null };
+  return Number.isInteger(value) && value >= s.min && value <= s.max
+    ? null
+    : { min: s.min, max: s.max };
+}
+
+// Ответ sendAndWait; при успехе value — то, что устройство реально поставило
+export async function writeDeviceSetting({ sendAndWait }, key, value) {
+  const res = await sendAndWait(`S_${key}=${value}`);
+  if (!res.ok) return res;
+  return { ...res, value: Number.isInteger(res.value) ? res.value : value };
+}
+
+/* ===== диагностика связи ===== */
+
+// count пингов командой G_STATE (только чтение, безопасна в любой момент)
+// и время sendAndWait туда-обратно. Повторы и таймауты — разница счётчиков
+// lineClient до и после. readRssi() — если транспорт умеет, иначе null.
+export async function runLinkDiagnostics({
+  sendAndWait,
+  getMetrics = () => null,
+  readRssi = async () => null,
+  count = 10,
+  intervalMs = 100,
+  now = () => performance.now(),
+  onProgress = () => {},
+  isCancelled = () => false,
+}) {
+  const before = getMetrics();
+  const rtts = [];
+  let sent = 0;
+  let errors = 0;
+
+  for (let i = 0; i < count && !isCancelled(); i++) {
+    const t0 = now();
+    const res = await sendAndWait("G_STATE", "G_STATE");
+    sent += 1;
+    if (res.ok) rtts.push(now() - t0);
+    else if (res.error) errors += 1;
+    onProgress(i + 1, count);
+    if (i < count - 1 && intervalMs > 0) {
+      await new Promise((r) => setTimeout(r, intervalMs));
+    }
+  }
+
+  const after = getMetrics();
+  const diff = (k) => (before && after ? after[k] - before[k] : null);
+
+  let rssi = null;
+  try {
+    rssi = await readRssi();
+  } catch {
+    rssi = null;
+  }
+
+  return {
+    sent,
+    ok: rtts.length,
+    lost: sent - rtts.length - errors,
+    errors,
+    rtt: rtts.length
+      ? {
+          min: Math.min(...rtts),
+          mean: mean(rtts),
+          median: median(rtts),
+          p90: percentile(rtts, 0.9),
+          max: Math.max(...rtts),
+        }
+      : null,
+    retries: diff("retries"),
+    timeouts: diff("timeouts"),
+    rssi: Number.isFinite(rssi) ? rssi : null,
+  };
+}
@@ -0,0 +1,127 @@
+import { t } from "../i18n/index.js";
+import { normalizeTemplate } from "./segments.js";
+
+/* ===== библиотека упражнений ===== */
+
+// Упражнение — несколько серий; у серии ожидаемое число выстрелов,
+// необязательный пар-тайм (мс) и шаблон сегментов (segments.js).
+// Задержка старта берётся из настроек.
+
+const DRILLS_KEY = "dzengun.drills";
+
+// Серии встроенных упражнений без имени: подпись «Серия N» даёт stringName
+const reps = (n, string) =>
+  Array.from({ length: n }, () => ({ name: "", ...string }));
+
+// Шаблоны сегментов: по 2 выстрела в каждую мишень — перенос после пары
+const D = "draw";
+const S = "split";
+const T = "transition";
+const R = "reload";
+
+export const BUILTIN_DRILLS = [
+  {
+    id: "bill",
+    name: "Bill Drill",
+    strings: reps(3, { shots: 6, parMs: 2000 }),
+  },
+  {
+    id: "el-presidente",
+    name: "El Presidente",
+    strings: [
+      {
+        name: "",
+        shots: 12,
+        parMs: 10000,
+        segments: [D, S, T, S, T, S, R, S, T, S, T, S],
+      },
+    ],
+  },
+  {
+    id: "blake",
+    name: "Blake Drill",
+    strings: reps(3, { shots: 6, parMs: 3000, segments: [D, S, T, S, T, S] }),
+  },
+  {
+    id: "1-reload-1",
+    name: "1-Reload-1",
+    strings: reps(3, { shots: 2, parMs: 3000, segments: [D, R] }),
+  },
+  {
+    id: "fast",
+    name: "FAST",
+    strings: [
+      { name: "", shots: 6, parMs: 10000, segments: [D, S, R, S, S, S] },
+    ],
+  },
+];
+
+export const isBuiltinDrill = (id) => BUILTIN_DRILLS.some((d) => d.id === id);
+
+// Описание встроенного — из каталога строк, своего — как ввели
+export const drillDescription = (d) =>
+  isBuiltinDrill(d.id) ? t(`drills.builtin.${d.id}`) : d.description;
+
+export const stringName = (s, i) => s.name || t("drills.stringN", { n: i + 1 });
+
+export function normalizeDrill(d) {
+  return {
+    id: d.id,
+    name: String(d.name || "").trim() || t("drills.untitled"),
+    description: d.description || "",
+    strings: (d.strings || [])
+      .map((s) => {
+        const shots = Math.max(1, Math.round(Number(s.shots) || 1));
+        return {
+          name: String(s.name || "").trim(),
+          shots,
+          parMs: Number(s.parMs) > 0 ? Math.round(Number(s.parMs)) : null,
+          segments: normalizeTemplate(s.segments, shots),
+        };
+      })
+      .slice(0, 50),
+  };
+}
+
+export function loadCustomDrills() {
+  try {
+    const list = JSON.parse(localStorage.getItem(DRILLS_KEY) || "[]");
+    return Array.isArray(list) ? list.map(normalizeDrill) : [];
+  } catch {
+    return [];
+  }
+}
+
+export const saveCustomDrills = (list) =>
+  localStorage.setItem(DRILLS_KEY, JSON.stringify(list));
+
+// Итоги прохождения; results[i] — { totalTimeMs, shotCount } или undefined
+export function drillAggregates(drill, results) {
+  const done = results
+    .map((r, i) => (r ? { ...r, index: i } : null))
+    .filter((r) => r && Number.isFinite(r.totalTimeMs));
+  const expectedShots = drill.strings.reduce((a, s) => a + s.shots, 0);
+
+  if (!done.length) {
+    return {
+      complete: false,
+      stringsDone: 0,
+      totalTimeMs: null,
+      best: null,
+      worst: null,
+      shotCount: 0,
+      expectedShots,
+    };
+  }
+
+  const byTime = [...done].sort((a, b) => a.totalTimeMs - b.totalTimeMs);
+  return {
+    complete: done.length === drill.strings.length,
+    stringsDone: done.length,
+    totalTimeMs: done.reduce((a, r) => a + r.totalTimeMs, 0),
+    best: byTime[0],
+    worst: byTime[byTime.length - 1],
+    shotCount: done.reduce((a, r) => a + r.shotCount, 0),
+    expectedShots,
+  };
+}
@@ -0,0 +1,123 @@
+import { t } from "../i18n/index.js";
+import { SEGMENT_TYPES, segmentTypesBySeq } from "./segments.js";
+import { EDIT_STATUSES, recomputeSession } from "./shotEdits.js";
+
+/* ===== экспорт/импорт сессий: CSV, JSON ===== */
+
+export const EXPORT_FORMAT = "dzengun-ste.sessions";
+export const EXPORT_VERSION = 1;
+
+const sec = (ms) => (Number.isFinite(ms) ? (ms / 1000).toFixed(3) : "");
+
+const csvCell = (v) => {
+  const s = v == null ? "" : String(v);
+  return /[",\n\r;]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// Одна строка на выстрел: session, date, device, shot, time_s, split_s, segment, shooter, bay
+export function sessionsToCsv(sessions) {
+  const rows = [["session", "date", "device", "shot", "time_s", "split_s", "segment", "shooter", "bay"]];
+  for (const s of sessions) {
+    const date = new Date(s.createdAt).toISOString();
+    const segments = segmentTypesBySeq(s);
+    for (const shot of s.shots) {
+      rows.push([
+        s.id ?? "",
+        date,
+        s.deviceName || "",
+        shot.seq,
+        sec(shot.ms),
+        sec(shot.split),
+        segments.get(shot.seq) || "",
+        s.shooter?.name || "",
+        s.bay || "",
+      ]);
+    }
+  }
+  return rows.map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+export function sessionsToJson(sessions) {
+  return JSON.stringify(
+    {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      sessions: sessions.map((s) => ({ ...s })),
+    },
+    null,
+    2
+  );
+}
+
+const isShot = (x) =>
+  x && Number.isFinite(x.seq) && Number.isFinite(x.ms);
+
+const cleanShots = (list) =>
+  list.filter(isShot).map(({ seq, ms }) => ({ seq, ms }));
+
+// Отметки { seq: значение } (правки, сегменты): чужое отбрасываем
+const cleanMarks = (marks, allowed) =>
+  Object.fromEntries(
+    Object.entries(marks && typeof marks === "object" ? marks : {}).filter(
+      ([seq, v]) => /^\d+$/.test(seq) && allowed.includes(v)
+    )
+  );
+
+// Разбирает файл экспорта; бросает Error с понятным текстом.
+// id не переносим: на другом телефоне у записей будут свои.
+// shots и итоги файла не берём на веру: пересчитываем из сырых и правок.
+export function parseSessionsJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(t("export.notJson"));
+  }
+  if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.sessions)) {
+    throw new Error(t("export.notExport"));
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error(t("export.badVersion", { version: data.version }));
+  }
+
+  return data.sessions
+    .filter((s) => Number.isFinite(s?.createdAt) && Array.isArray(s.shots))
+    .map((s) => {
+      const { id: _id, rawShots, edits, segments, minSplitMs, ...rest } = s;
+      return recomputeSession({
+        ...rest,
+        shots: s.shots.filter(isShot),
+        ...(Array.isArray(rawShots) && { rawShots: cleanShots(rawShots) }),
+        edits: cleanMarks(edits, EDIT_STATUSES),
+        segments: cleanMarks(segments, SEGMENT_TYPES),
+        minSplitMs:
+          Number.isFinite(minSplitMs) && minSplitMs > 0 ? minSplitMs : 0,
+      });
+    });
+}
+
+// Та же серия уже есть в базе (повторный импорт того же файла)
+export const sameSession = (a, b) =>
+  a.createdAt === b.createdAt &&
+  a.shots.length === b.shots.length &&
+  a.totalTimeMs === b.totalTimeMs;
+
+export function exportFileName(sessions, ext) {
+  const stamp = (ts) => new Date(ts).toISOString().slice(0, 10);
+  const times = sessions.map((s) => s.createdAt);
+  const from = stamp(Math.min(...times));
+  const to = stamp(Math.max(...times));
+  return `dzengun-${from === to ? from : `${from}_${to}`}.${ext}`;
+}
+
+export function downloadText(fileName, mime, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,42 @@
+import { getLocale, t } from "../i18n/index.js";
+
+/* ===== форматирование ===== */
+
+const secFormats = new Map(); // locale → Intl.NumberFormat
+
+const secFormat = () => {
+  const locale = getLocale();
+  if (!secFormats.has(locale)) {
+    secFormats.set(
+      locale,
+      new Intl.NumberFormat(locale, {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+      })
+    );
+  }
+  return secFormats.get(locale);
+};
+
+// Секунды с двумя знаками по правилам языка: "1,42 с" / "1.42 s"
+export const msFmt = (ms) =>
+  Number.isFinite(ms) ? `${secFormat().format(ms / 1000)} ${t("units.s")}` : "—";
+
+export const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
+
+export const dateTimeFmt = (ts) =>
+  Number.isFinite(ts)
+    ? new Date(ts).toLocaleString(getLocale(), {
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : "—";
+
+export const dateFmt = (ts) =>
+  new Date(ts).toLocaleDateString(getLocale(), {
+    day: "2-digit",
+    month: "2-digit",
+  });
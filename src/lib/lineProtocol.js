@@ -0,0 +1,416 @@
+import { parseDeviceError } from "./deviceErrors.js";
+import { escapeRaw, toHex } from "./protocolLog.js";
+
+/* ===== строковый протокол STE: "#CMD\r" → "#KEY=..." ===== */
+
+// Не зависит ни от React, ни от конкретного транспорта: транспорт отдаёт
+// сырые куски в feed(), а команды уходят через write(text).
+//
+// Команды идут строго по одной: sendAndWait ставит запрос в очередь (FIFO),
+// следующий уходит на провод только после ответа, #ERR или таймаута.
+//
+// sendAndWait всегда отвечает объектом одного вида:
+//   { ok: true, cmd, key, value, raw }      — ответ разобран (parseReply)
+//   { ok: false, cmd, error: { code, name }, raw } — устройство ответило #ERR
+//   { ok: false, cmd, timeout: true }       — ответа не дождались
+//   { ok: false, cmd, noTx: true }          — связи нет
+//
+// С { probe: true } команда — проба возможностей прошивки: #ERR на неё
+// ожидаем (старая прошивка не знает команды) и считаем в unsupported,
+// а не в errors — по errors звучит сигнал ошибки устройства.
+//
+// Строки "#EV_..." прошивка шлёт сама, без запроса (после "#S_PUSH=1"):
+// они не считаются ответом и уходят подписчикам onEvent(fn) в любой момент.
+
+// Таймауты и повторы по умолчанию; ключ — имя команды до "="
+export const COMMAND_DEFAULTS = {
+  "*": { timeoutMs: 600, retries: 0 },
+  S_TMIN: { timeoutMs: 600, retries: 2 },
+  S_TMAX: { timeoutMs: 600, retries: 2 },
+  E_STARTT: { timeoutMs: 800, retries: 0 }, // повтор мог бы дать двойной старт
+  G_STATE: { timeoutMs: 600, retries: 0 }, // опрос и так повторится
+  G_SNUM: { timeoutMs: 600, retries: 1 },
+  G_STIME: { timeoutMs: 800, retries: 2 },
+};
+
+// Сколько ждём «опоздавший» ответ на команду, отвалившуюся по таймауту.
+// Пока ждём, первый ответ с тем же ключем, но на другую команду
+// (G_STIME=3 после G_STIME=2), считается устаревшим и отбрасывается.
+const STALE_TTL_FACTOR = 2;
+
+export const EVENT_PREFIX = "EV_";
+
+export const commandKey = (cmd) => {
+  const eq = cmd.indexOf("=");
+  return eq < 0 ? cmd : cmd.slice(0, eq);
+};
+
+// "#G_STIME=1234" (как отвечает прошивка) или "#G_STIME=3,1234" (с индексом)
+export function parseStime(raw) {
+  const m = /^#G_STIME=(?:(\d+),)?(-?\d+)$/.exec(raw || "");
+  if (!m) return null;
+  return {
+    index: m[1] != null ? parseInt(m[1], 10) : null,
+    ms: parseInt(m[2], 10),
+  };
+}
+
+// Значение ответа по ключу; остальные — целое число, если похоже, иначе строка
+const REPLY_VALUES = {
+  G_STIME: (v) => parseStime(`#G_STIME=${v}`),
+  EV_SHOT: (v) => parseStime(`#G_STIME=${v}`), // "n,ms" → { index, ms }
+  G_VER: (v) => v,
+  G_HW: (v) => v,
+};
+
+const defaultValue = (v) => (/^-?\d+$/.test(v) ? parseInt(v, 10) : v);
+
+// "#G_SNUM=3" → { key: "G_SNUM", value: 3 }, "#E_STARTT" → { value: null }
+export function parseReply(line) {
+  const m = /^#([A-Za-z0-9_]+)(?:=(.*))?$/.exec((line || "").trim());
+  if (!m) return null;
+  const [, key, v] = m;
+  if (v == null) return { key, value: null };
+  const parse = REPLY_VALUES[key] || defaultValue;
+  return { key, value: parse(v.trim()) };
+}
+
+const bytesOf = (chunk) =>
+  chunk instanceof Uint8Array
+    ? chunk
+    : ArrayBuffer.isView(chunk)
+      ? new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength)
+      : new Uint8Array(chunk);
+
+const emptyMetrics = () => ({
+  sent: 0, // отправлено строк, включая повторы
+  ok: 0,
+  errors: 0, // ответы #ERR=
+  unsupported: 0, // #ERR на пробу возможностей ({ probe: true })
+  timeouts: 0, // запросы, так и не дождавшиеся ответа
+  retries: 0,
+  stale: 0, // отброшенные опоздавшие ответы
+  events: 0, // строки #EV_ без запроса
+  queued: 0, // сейчас в очереди
+  maxQueue: 0,
+});
+
+// log(text, meta) — meta для журнала (protocolLog.js):
+// { dir: "tx" | "rx" | "chunk", cmd, corr, latencyMs, status, hex };
+// без meta — системное сообщение
+export function createLineClient({
+  write,
+  isReady,
+  log = () => {},
+  commandOptions = {},
+  onMetrics = () => {},
+  now = () => performance.now(),
+}) {
+  let rxBuf = "";
+  let decoder = new TextDecoder();
+  let writeQ = Promise.resolve();
+
+  const queue = []; // ждут отправки
+  let inflight = null; // ждёт ответа
+  let stale = {}; // key → { cmd, until } — ждём опоздавший ответ
+  let metrics = emptyMetrics();
+  let nextCorr = 1; // номер запроса для журнала
+  const eventListeners = new Set();
+
+  const optionsFor = (key) => ({
+    ...COMMAND_DEFAULTS["*"],
+    ...COMMAND_DEFAULTS[key],
+    ...commandOptions["*"],
+    ...commandOptions[key],
+  });
+
+  const bump = (patch) => {
+    metrics = { ...metrics, ...patch };
+    onMetrics(metrics);
+  };
+
+  const writeLine = (text, meta) => {
+    const withTerm = text.endsWith("\r") ? text : text + "\r";
+
+    writeQ = writeQ
+      .then(async () => {
+        if (!isReady()) {
+          log("TX ERROR: TX not ready");
+          throw new Error("TX not ready");
+        }
+        log(withTerm.replace(/\r/g, ""), { dir: "tx", ...meta });
+        await write(withTerm);
+      })
+      .catch((e) => {
+        log("TX ERROR: " + (e?.message || e));
+      });
+
+    return writeQ;
+  };
+
+  const finish = (job, payload) => {
+    if (inflight !== job) return;
+    inflight = null;
+    clearTimeout(job.to);
+    try {
+      job.resolve(payload);
+    } catch (e) {
+      log("Pending resolve error: " + (e?.message || e));
+    }
+    pump();
+  };
+
+  const transmit = (job) => {
+    job.attempt += 1;
+    bump({ sent: metrics.sent + 1 });
+    job.to = setTimeout(() => onTimeout(job), job.timeoutMs);
+    job.sentAt = now();
+    // Протокол: на провод уходит строка "#CMD\r"
+    writeLine("#" + job.cmd, { cmd: job.cmd, corr: job.corr });
+  };
+
+  function onTimeout(job) {
+    if (inflight !== job) return;
+
+    // Повтор той же команды: опоздавший ответ на первую попытку ей тоже подходит
+    if (job.attempt <= job.retries) {
+      bump({ retries: metrics.retries + 1 });
+      log(`Retry ${job.attempt}/${job.retries}: ${job.cmd}`);
+      transmit(job);
+      return;
+    }
+    bump({ timeouts: metrics.timeouts + 1 });
+    log("Poll error: timeout on " + job.cmd);
+    stale[job.expectKey] = {
+      cmd: job.cmd,
+      until: Date.now() + job.timeoutMs * STALE_TTL_FACTOR,
+    };
+    finish(job, { ok: false, cmd: job.cmd, timeout: true });
+  }
+
+  function pump() {
+    if (inflight || !queue.length) return;
+    const job = queue.shift();
+    bump({ queued: queue.length });
+
+    if (!isReady()) {
+      log("TX ERROR: transport not connected");
+      job.resolve({ ok: false, cmd: job.cmd, noTx: true });
+      pump();
+      return;
+    }
+    inflight = job;
+    transmit(job);
+  }
+
+  // Ответ относится к ключу, если после "#KEY" идёт "=" или конец строки
+  const matchesKey = (line, key) =>
+    line.startsWith(`#${key}`) &&
+    (line.length === key.length + 1 || line[key.length + 1] === "=");
+
+  const reply = (job, line) => {
+    const { key, value } = parseReply(line) || { key: null, value: null };
+    return { ok: true, cmd: job.cmd, key, value, raw: line };
+  };
+
+  const isStale = (job) => {
+    const entry = stale[job.expectKey];
+    if (!entry) return false;
+    delete stale[job.expectKey];
+    return entry.cmd !== job.cmd && Date.now() <= entry.until;
+  };
+
+  const onLine = (raw) => {
+    const line = raw.trim();
+    if (!line) return;
+
+    const job = inflight;
+    // Одна запись журнала на строку: к какому запросу относится и через сколько
+    const logRx = (status, forJob = job) =>
+      log(line, {
+        dir: "rx",
+        status,
+        ...(forJob && {
+          cmd: forJob.cmd,
+          corr: forJob.corr,
+          latencyMs: now() - forJob.sentAt,
+        }),
+      });
+
+    // Событие прошивки: не ответ, висящий запрос не трогаем
+    const key = commandKey(line.slice(1));
+    if (key.startsWith(EVENT_PREFIX)) {
+      bump({ events: metrics.events + 1 });
+      log(line, { dir: "rx", status: "event" });
+      const ev = parseReply(line);
+      eventListeners.forEach((fn) => {
+        try {
+          fn(ev);
+        } catch (e) {
+          log("Event handler error: " + (e?.message || e));
+        }
+      });
+      return;
+    }
+
+    // Опоздавший ответ пришёл между запросами — ждать его больше не нужно
+    if (stale[key] && job?.expectKey !== key) {
+      delete stale[key];
+      bump({ stale: metrics.stale + 1 });
+      logRx("stale", null);
+      return;
+    }
+
+    if (!job) {
+      logRx("unsolicited");
+      return;
+    }
+
+    // Ошибка: код разбирает deviceErrors.js, битая строка — код как есть
+    if (line.startsWith("#ERR")) {
+      const error = parseDeviceError(line) || {
+        code: line.slice(5) || "?",
+        name: null,
+      };
+      bump(
+        job.probe
+          ? { unsupported: metrics.unsupported + 1 }
+          : { errors: metrics.errors + 1 }
+      );
+      logRx("error");
+      log(
+        `Device error on ${job.cmd}: #ERR=${error.code} ` +
+          `(${error.name || "unknown"})`
+      );
+      finish(job, { ok: false, cmd: job.cmd, error, raw: line });
+      return;
+    }
+
+    if (job.expectKey && !matchesKey(line, job.expectKey)) {
+      logRx("unsolicited", null);
+      return;
+    }
+
+    // G_STIME с индексом: чужой индекс — ответ на другой запрос
+    if (job.expectKey === "G_STIME") {
+      const st = parseStime(line);
+      const want = parseInt(job.cmd.split("=")[1], 10);
+      if (st?.index != null) {
+        if (st.index !== want) {
+          bump({ stale: metrics.stale + 1 });
+          logRx("stale", null);
+          return;
+        }
+        delete stale.G_STIME;
+        bump({ ok: metrics.ok + 1 });
+        logRx("ok");
+        finish(job, reply(job, line));
+        return;
+      }
+    }
+
+    if (isStale(job)) {
+      bump({ stale: metrics.stale + 1 });
+      logRx("stale", null);
+      return;
+    }
+
+    bump({ ok: metrics.ok + 1 });
+    logRx("ok");
+    finish(job, reply(job, line));
+  };
+
+  // Принимает строку, ArrayBuffer, DataView или Uint8Array
+  const feed = (chunk) => {
+    const text =
+      typeof chunk === "string"
+        ? chunk
+        : decoder.decode(chunk, { stream: true });
+    log(escapeRaw(text), {
+      dir: "chunk",
+      hex:
+        typeof chunk === "string"
+          ? toHex(new TextEncoder().encode(chunk))
+          : toHex(bytesOf(chunk)),
+    });
+    rxBuf += text;
+
+    for (;;) {
+      const iR = rxBuf.indexOf("\r");
+      const iN = rxBuf.indexOf("\n");
+      if (iR < 0 && iN < 0) break;
+      const sep = iR >= 0 && iN >= 0 ? Math.min(iR, iN) : Math.max(iR, iN);
+      const line = rxBuf.slice(0, sep);
+      rxBuf = rxBuf.slice(sep + 1);
+      if (line.trim()) onLine(line);
+    }
+  };
+
+  // Команда в очередь → один ответ. Третий аргумент — таймаут в мс
+  // или { timeoutMs, retries, probe } поверх COMMAND_DEFAULTS.
+  const sendAndWait = (cmd, expectKey = commandKey(cmd), opts) =>
+    new Promise((resolve) => {
+      if (!isReady()) {
+        log("TX ERROR: transport not connected");
+        resolve({ ok: false, cmd, noTx: true });
+        return;
+      }
+
+      const o = {
+        ...optionsFor(commandKey(cmd)),
+        ...(typeof opts === "number" ? { timeoutMs: opts } : opts),
+      };
+      queue.push({
+        corr: nextCorr++,
+        cmd,
+        expectKey,
+        resolve,
+        timeoutMs: o.timeoutMs,
+        retries: o.retries,
+        probe: !!o.probe,
+        attempt: 0,
+        to: null,
+      });
+      bump({
+        queued: queue.length,
+        maxQueue: Math.max(metrics.maxQueue, queue.length),
+      });
+      pump();
+    });
+
+  // Сброс после отключения: висящие запросы завершаем, буфер чистим
+  const reset = () => {
+    rxBuf = "";
+    decoder = new TextDecoder();
+    stale = {};
+    const jobs = inflight ? [inflight, ...queue] : [...queue];
+    queue.length = 0;
+    inflight = null;
+    jobs.forEach((job) => {
+      clearTimeout(job.to);
+      job.resolve({ ok: false, cmd: job.cmd, noTx: true });
+    });
+    bump({ queued: 0 });
+  };
+
+  const resetMetrics = () => {
+    metrics = { ...emptyMetrics(), queued: queue.length };
+    onMetrics(metrics);
+  };
+
+  // fn({ key, value }) на каждое событие; возвращает отписку
+  const onEvent = (fn) => {
+    eventListeners.add(fn);
+    return () => eventListeners.delete(fn);
+  };
+
+  return {
+    feed,
+    sendAndWait,
+    onEvent,
+    writeLine,
+    reset,
+    resetMetrics,
+    getMetrics: () => metrics,
+  };
+}
@@ -0,0 +1,89 @@
+import { t } from "../i18n/index.js";
+
+/* ===== пресеты задержки старта и пар-тайма ===== */
+
+const PRESETS_KEY = "dzengun.presets";
+const SELECTED_KEY = "dzengun.preset";
+
+export const DELAY_LIMIT_MS = 60000;
+
+// Встроенные пресеты; удалить их нельзя
+export const BUILTIN_PRESETS = [
+  { id: "fixed-5", name: "Fixed 5 s", tMin: 5000, tMax: 5000, parTimes: [] },
+  {
+    id: "random-5-10",
+    name: "Random 5–10 s",
+    tMin: 5000,
+    tMax: 10000,
+    parTimes: [],
+  },
+  { id: "instant", name: "Instant", tMin: 0, tMax: 0, parTimes: [] },
+  { id: "delay-1", name: "Delay 1 s", tMin: 1000, tMax: 1000, parTimes: [] },
+  {
+    id: "random-2-4",
+    name: "Random 2–4 s",
+    tMin: 2000,
+    tMax: 4000,
+    parTimes: [],
+  },
+];
+
+export const isBuiltinPreset = (id) =>
+  BUILTIN_PRESETS.some((p) => p.id === id);
+
+// Встроенные показываем на языке интерфейса, свои — как назвали
+export const presetName = (p) =>
+  isBuiltinPreset(p.id) ? t(`start.presets.${p.id}`) : p.name;
+
+// Приводит настройки к допустимому виду: 0 ≤ tMin ≤ tMax ≤ лимита,
+// пар-таймы положительные, по возрастанию, без повторов
+export function normalizeStartSettings({ tMin, tMax, parTimes = [] }) {
+  const lo = Math.round(Math.min(Math.max(Number(tMin) || 0, 0), DELAY_LIMIT_MS));
+  const hi = Math.round(
+    Math.min(Math.max(Number(tMax) || 0, lo), DELAY_LIMIT_MS)
+  );
+  const pars = [...new Set(parTimes.map((v) => Math.round(Number(v))))]
+    .filter((v) => Number.isFinite(v) && v > 0)
+    .sort((a, b) => a - b);
+  return { tMin: lo, tMax: hi, parTimes: pars };
+}
+
+export const startModeOf = ({ tMin, tMax }) =>
+  tMin === tMax ? "fixed" : "random";
+
+export function loadCustomPresets() {
+  try {
+    const list = JSON.parse(localStorage.getItem(PRESETS_KEY) || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveCustomPresets(list) {
+  localStorage.setItem(PRESETS_KEY, JSON.stringify(list));
+}
+
+export const loadSelectedPresetId = () =>
+  localStorage.getItem(SELECTED_KEY) || BUILTIN_PRESETS[0].id;
+
+export const saveSelectedPresetId = (id) =>
+  localStorage.setItem(SELECTED_KEY, id);
+
+/* ===== пар-тайм ===== */
+
+// Итог по пар-тайму: последний пар — финальный, выстрелы после него
+// считаются опоздавшими. deltaMs > 0 — уложились с запасом.
+export function evaluatePar(shots, parTimes) {
+  if (!parTimes?.length) return null;
+  const parMs = parTimes[parTimes.length - 1];
+  const late = shots.filter((s) => s.ms > parMs).map((s) => s.seq);
+  const last = shots.length ? shots[shots.length - 1].ms : null;
+  return {
+    parMs,
+    lateSeqs: new Set(late),
+    shotsInPar: shots.length - late.length,
+    deltaMs: last != null ? parMs - last : null,
+    beat: last != null && last <= parMs,
+  };
+}
@@ -0,0 +1,114 @@
+/* ===== журнал обмена с устройством ===== */
+
+// Запись: { id, at, dir, text, cmd?, corr?, latencyMs?, status?, hex? }
+//   at   — мс от эпохи с дробной частью (performance.timeOrigin + now())
+//   dir  — tx | rx | sys | chunk (сырой кусок с транспорта, для hex-вида)
+//   corr — номер запроса lineClient: TX и его ответ RX получают один номер
+//   status (rx) — ok | error | stale | unsolicited
+
+export const LOG_LIMIT = 2000;
+
+export const LOG_DIRS = ["tx", "rx", "sys", "chunk"];
+
+// Команды опроса серии: идут каждые ~150 мс и забивают журнал
+export const POLLING_KEYS = ["G_STATE", "G_SNUM", "G_STIME"];
+
+export const nowMs = () =>
+  typeof performance !== "undefined"
+    ? performance.timeOrigin + performance.now()
+    : Date.now();
+
+let nextId = 1;
+
+export function createLogEntry(text, meta = {}) {
+  return {
+    id: nextId++,
+    at: meta.at ?? nowMs(),
+    dir: meta.dir || "sys",
+    text: String(text),
+    ...(meta.cmd != null && { cmd: meta.cmd }),
+    ...(meta.corr != null && { corr: meta.corr }),
+    ...(meta.latencyMs != null && { latencyMs: meta.latencyMs }),
+    ...(meta.status && { status: meta.status }),
+    ...(meta.hex && { hex: meta.hex }),
+  };
+}
+
+// Новая запись в конец, старые за пределом LOG_LIMIT выпадают
+export const appendLog = (entries, entry) =>
+  entries.length >= LOG_LIMIT
+    ? [...entries.slice(entries.length - LOG_LIMIT + 1), entry]
+    : [...entries, entry];
+
+export const toHex = (bytes) =>
+  Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join(" ");
+
+// Управляющие символы видимыми: "#G_STATE=0\r\n" → "#G_STATE=0\\r\\n"
+export const escapeRaw = (text) =>
+  text.replace(/\r/g, "\\r").replace(/\n/g, "\\n");
+
+const commandOf = (e) => {
+  if (e.cmd) return e.cmd;
+  const m = /#([A-Za-z0-9_]+)/.exec(e.text);
+  return m ? m[1] : null;
+};
+
+export const isPolling = (e) => {
+  const cmd = commandOf(e);
+  return !!cmd && POLLING_KEYS.some((k) => cmd === k || cmd.startsWith(k + "="));
+};
+
+// filter: { dirs: { tx, rx, sys, chunk }, hidePolling, query }
+export function filterLog(entries, filter = {}) {
+  const dirs = filter.dirs || {};
+  const q = (filter.query || "").trim().toLowerCase();
+  return entries.filter((e) => {
+    if (dirs[e.dir] === false) return false;
+    if (filter.hidePolling && (e.dir === "tx" || e.dir === "rx") && isPolling(e)) {
+      return false;
+    }
+    if (q && !e.text.toLowerCase().includes(q)) return false;
+    return true;
+  });
+}
+
+// "12:04:31.482"
+export function clockFmt(at) {
+  const d = new Date(at);
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  return (
+    `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}` +
+    `.${pad(d.getMilliseconds(), 3)}`
+  );
+}
+
+/* ===== экспорт ===== */
+
+// Текст для баг-репорта: одна строка на запись, время ISO с микросекундами
+export function logToText(entries) {
+  return entries
+    .map((e) => {
+      const frac = String(Math.floor((e.at % 1) * 1000)).padStart(3, "0");
+      const iso = new Date(e.at).toISOString().replace("Z", `${frac}Z`);
+      const parts = [iso, e.dir.toUpperCase().padEnd(5), e.text];
+      if (e.hex) parts.push(`[${e.hex}]`);
+      if (e.corr != null) parts.push(`#${e.corr}`);
+      if (e.latencyMs != null) parts.push(`${e.latencyMs.toFixed(1)} ms`);
+      if (e.status && e.status !== "ok") parts.push(e.status);
+      return parts.join("  ");
+    })
+    .join("\n");
+}
+
+export const logToJson = (entries, meta = {}) =>
+  JSON.stringify(
+    { app: "dzengun-ste", kind: "protocol-log", ...meta, entries },
+    null,
+    2
+  );
+
+export function logFileName(entries, ext) {
+  const at = entries.length ? entries[0].at : Date.now();
+  const stamp = new Date(at).toISOString().slice(0, 19).replace(/[T:]/g, "-");
+  return `dzengun-log-${stamp}.${ext}`;
+}
@@ -0,0 +1,125 @@
+import { msFmt } from "./format.js";
+
+/* ===== подсчёт очков: IPSC/USPSA (Comstock, Virginia), IDPA ===== */
+
+export const SCORING_SYSTEMS = {
+  "ipsc-minor": { label: "IPSC/USPSA Minor", kind: "comstock" },
+  "ipsc-major": { label: "IPSC/USPSA Major", kind: "comstock" },
+  "virginia-minor": { label: "Virginia Count Minor", kind: "virginia" },
+  "virginia-major": { label: "Virginia Count Major", kind: "virginia" },
+  idpa: { label: "IDPA", kind: "idpa" },
+};
+
+// Очки за зону; штраф за промах/no-shoot/процедурную — 10
+const ZONE_POINTS = {
+  minor: { A: 5, C: 3, D: 1 },
+  major: { A: 5, C: 4, D: 2 },
+};
+const PENALTY_POINTS = 10;
+
+// IDPA: секунды за очко вниз и за нарушения
+const IDPA_POINT_DOWN_MS = 1000;
+const IDPA_PE_MS = 3000; // procedural error
+const IDPA_HNT_MS = 5000; // hit on non-threat
+const IDPA_FTDR_MS = 20000; // failure to do right
+
+const SYSTEM_KEY = "dzengun.scoring";
+
+export function loadScoringSystem() {
+  const id = localStorage.getItem(SYSTEM_KEY);
+  return SCORING_SYSTEMS[id] ? id : "ipsc-minor";
+}
+
+export function saveScoringSystem(id) {
+  localStorage.setItem(SYSTEM_KEY, id);
+}
+
+export const emptyScore = (system = "ipsc-minor") => ({
+  system,
+  A: 0,
+  C: 0,
+  D: 0,
+  M: 0,
+  NS: 0,
+  procedurals: 0,
+  pointsDown: 0,
+  pe: 0,
+  hnt: 0,
+  ftdr: 0,
+});
+
+const n = (v) => Math.max(0, Math.round(Number(v) || 0));
+
+// Для сохранения: только известные поля, целые неотрицательные
+export function normalizeScore(score) {
+  const base = emptyScore(
+    SCORING_SYSTEMS[score?.system] ? score.system : "ipsc-minor"
+  );
+  for (const k of Object.keys(base)) {
+    if (k !== "system") base[k] = n(score?.[k]);
+  }
+  return base;
+}
+
+// Итог по введённым попаданиям. timeMs — время серии (totalTimeMs),
+// expectedShots — для Virginia: лишние выстрелы идут как процедурные.
+//   comstock/virginia → { points, penalties, total, hitFactor }
+//   idpa              → { pointsDown, penaltyMs, finalMs }
+export function computeScore(score, timeMs, { shotCount, expectedShots } = {}) {
+  if (!score || !SCORING_SYSTEMS[score.system]) return null;
+  const { kind } = SCORING_SYSTEMS[score.system];
+
+  if (kind === "idpa") {
+    const pointsDown = n(score.pointsDown);
+    const penaltyMs =
+      pointsDown * IDPA_POINT_DOWN_MS +
+      n(score.pe) * IDPA_PE_MS +
+      n(score.hnt) * IDPA_HNT_MS +
+      n(score.ftdr) * IDPA_FTDR_MS;
+    return {
+      kind,
+      pointsDown,
+      penaltyMs,
+      finalMs: Number.isFinite(timeMs) ? timeMs + penaltyMs : null,
+    };
+  }
+
+  const zones = score.system.endsWith("major")
+    ? ZONE_POINTS.major
+    : ZONE_POINTS.minor;
+  const points = n(score.A) * zones.A + n(score.C) * zones.C + n(score.D) * zones.D;
+
+  let procedurals = n(score.procedurals);
+  let extraShots = 0;
+  if (kind === "virginia" && expectedShots > 0 && shotCount > expectedShots) {
+    extraShots = shotCount - expectedShots;
+    procedurals += extraShots;
+  }
+  const penalties = (n(score.M) + n(score.NS) + procedurals) * PENALTY_POINTS;
+  const total = Math.max(0, points - penalties);
+
+  return {
+    kind,
+    points,
+    penalties,
+    extraShots,
+    total,
+    hitFactor: timeMs > 0 ? total / (timeMs / 1000) : null,
+  };
+}
+
+export const hitFactorFmt = (hf) =>
+  Number.isFinite(hf) ? hf.toFixed(4) : "—";
+
+// Коротко для списков: "HF 5.1234" или "IDPA 12.34 s"
+export function scoreSummary(session) {
+  const r = computeScore(session?.score, session?.totalTimeMs, {
+    shotCount: session?.shots?.length,
+    expectedShots: session?.drill?.expectedShots,
+  });
+  if (!r) return "";
+  if (r.kind === "idpa") {
+    return Number.isFinite(r.finalMs) ? `IDPA ${msFmt(r.finalMs)}` : "";
+  }
+  return `HF ${hitFactorFmt(r.hitFactor)}`;
+}
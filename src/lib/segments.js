@@ -0,0 +1,101 @@
+import { t } from "../i18n/index.js";
+import { mean, median } from "./stats.js";
+
+/* ===== сегменты серии: извлечение, перенос, перезарядка ===== */
+
+// Сегмент — отрезок, который заканчивается выстрелом: у первого засчитанного
+// от сигнала (ms), у остальных от предыдущего (split). Тип отрезка:
+//   session.segments[seq] — отмечен вручную (по seq, как правки выстрелов),
+//   иначе drill.segments[i] — шаблон серии упражнения (по номеру выстрела),
+//   иначе первый — draw, остальные — split.
+export const SEGMENT_TYPES = ["draw", "split", "transition", "reload", "movement"];
+
+export const SEGMENT_COLORS = {
+  draw: "#22c55e",
+  split: "#38bdf8",
+  transition: "#f59e0b",
+  reload: "#e879f9",
+  movement: "#f87171",
+};
+
+export const segmentLabel = (type) => t(`segments.${type}`);
+
+const isType = (x) => SEGMENT_TYPES.includes(x);
+const defaultType = (i) => (i === 0 ? "draw" : "split");
+
+// Шаблон серии упражнения: массив типов длиной shots; null — всё по умолчанию
+export function normalizeTemplate(list, shots) {
+  if (!Array.isArray(list)) return null;
+  const out = Array.from({ length: shots }, (_, i) =>
+    isType(list[i]) ? list[i] : defaultType(i)
+  );
+  return out.every((x, i) => x === defaultType(i)) ? null : out;
+}
+
+// Тип без ручной отметки: из шаблона или по умолчанию
+const implicitType = (session, i) => {
+  const tpl = session.drill?.segments;
+  return Array.isArray(tpl) && isType(tpl[i]) ? tpl[i] : defaultType(i);
+};
+
+// По засчитанным выстрелам: [{ seq, type, ms, atMs }], ms — длина отрезка
+export function segmentsOf(session) {
+  const marks = session?.segments || {};
+  return (session?.shots || []).map((s, i) => {
+    const type = isType(marks[s.seq]) ? marks[s.seq] : implicitType(session, i);
+    return { seq: s.seq, type, ms: i === 0 ? s.ms : s.split, atMs: s.ms };
+  });
+}
+
+// seq → тип, для таблицы выстрелов
+export const segmentTypesBySeq = (session) =>
+  new Map(segmentsOf(session).map((g) => [g.seq, g.type]));
+
+// Новая версия записи с типом отрезка перед выстрелом seq.
+// Совпадает с шаблоном/умолчанием — ручную отметку убираем.
+export function tagSegment(session, seq, type) {
+  const segments = { ...(session.segments || {}) };
+  const i = session.shots.findIndex((s) => s.seq === seq);
+  if (i < 0 || !isType(type)) return session;
+  if (type === implicitType(session, i)) delete segments[seq];
+  else segments[seq] = type;
+  return { ...session, segments };
+}
+
+// Сводка по типам: [{ type, count, totalMs, mean, median, best }]
+// в порядке SEGMENT_TYPES; sessions — одна или несколько серий
+export function segmentSummary(sessions) {
+  const byType = new Map();
+  for (const s of sessions) {
+    for (const g of segmentsOf(s)) {
+      if (!Number.isFinite(g.ms)) continue;
+      const list = byType.get(g.type) || [];
+      list.push(g.ms);
+      byType.set(g.type, list);
+    }
+  }
+  return SEGMENT_TYPES.filter((type) => byType.has(type)).map((type) => {
+    const xs = byType.get(type);
+    return {
+      type,
+      count: xs.length,
+      totalMs: xs.reduce((a, b) => a + b, 0),
+      mean: mean(xs),
+      median: median(xs),
+      best: Math.min(...xs),
+    };
+  });
+}
+
+// Тренд: точка на серию, среднее каждого типа в ней —
+// { createdAt, draw?, split?, transition?, reload?, movement? }
+export function segmentTrend(sessions) {
+  return [...sessions]
+    .filter((s) => s.shots?.length)
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map((s) => {
+      const point = { createdAt: s.createdAt };
+      for (const row of segmentSummary([s])) point[row.type] = row.mean;
+      return point;
+    });
+}
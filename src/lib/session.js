@@ -0,0 +1,218 @@
+import { t } from "../i18n/index.js";
+
+/* ===== серия выстрелов: старт таймера и опрос ===== */
+
+// Без React: всё, что нужно App, приходит параметрами, поэтому цикл
+// можно гонять в Node против виртуального таймера.
+
+export const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export function stateLabel(deviceState) {
+  return [0, 1, 2].includes(deviceState)
+    ? t(`deviceState.${deviceState}`)
+    : "—";
+}
+
+// Добавляет выстрел с сплитом от предыдущего; дубль по seq игнорируется
+export function appendShot(prev, seq, ms) {
+  if (prev.some((p) => p.seq === seq)) return prev;
+
+  const prevShot = prev[prev.length - 1];
+  const split =
+    prevShot && Number.isFinite(prevShot.ms) ? ms - prevShot.ms : null;
+
+  return [...prev, { seq, ms, split }];
+}
+
+// Настройка задержки старта и запуск: S_TMIN → S_TMAX → E_STARTT.
+// Возвращает ответ E_STARTT либо #ERR настройки — тогда старт не шлём.
+// Таймаут настройки не фатален: прошивка могла принять, а ответ потеряться.
+export async function armDevice({ sendAndWait, tMin, tMax, log }) {
+  for (const cmd of [`S_TMIN=${tMin}`, `S_TMAX=${tMax}`]) {
+    const res = await sendAndWait(cmd);
+    if (res.error) {
+      log(`Start error: ${cmd} rejected (#ERR=${res.error.code})`);
+      return res;
+    }
+  }
+
+  const startRes = await sendAndWait("E_STARTT", "E_STARTT");
+  if (startRes.error) {
+    log(`Start error: E_STARTT rejected (#ERR=${startRes.error.code})`);
+  } else if (!startRes.ok) {
+    log("Start error: no E_STARTT ack");
+  } else {
+    log("BEEP sent (#E_STARTT)");
+  }
+  return startRes;
+}
+
+// G_SNUM → G_STIME=n для каждого ещё не запрошенного выстрела.
+// complete — устройство ответило и все его выстрелы уже у нас.
+export async function fetchNewShots({
+  sendAndWait,
+  nextShotId,
+  onShot,
+  isRunning = () => true,
+}) {
+  // 1) узнаём количество выстрелов
+  const sn = await sendAndWait("G_SNUM", "G_SNUM");
+  const devSnum = sn.ok ? sn.value : null;
+  if (!Number.isInteger(devSnum)) return { complete: false };
+
+  // 2) для новых выстрелов запрашиваем STIME по одному
+  while (isRunning() && nextShotId.current < devSnum) {
+    const devId = nextShotId.current; // 0..N-1
+
+    const stimeRes = await sendAndWait(`G_STIME=${devId}`, "G_STIME");
+    const stime = stimeRes.ok ? stimeRes.value : null;
+    if (!stime || !Number.isFinite(stime.ms)) {
+      // ошибка — лог не ломаем, просто выходим из цикла
+      break;
+    }
+    // пока ждали ответа, этот выстрел уже пришёл событием #EV_SHOT
+    if (nextShotId.current !== devId) continue;
+
+    onShot(devId + 1, stime.ms);
+    nextShotId.current += 1;
+  }
+  return { complete: nextShotId.current >= devSnum, devSnum };
+}
+
+// Push: "#S_PUSH=1" включает события прошивки "#EV_SHOT=n,ms" и
+// "#EV_STATE=s" (см. lineProtocol.js). Ответила #ERR — прошивка старая,
+// остаёмся на опросе; #ERR здесь ожидаем, поэтому это проба (probe).
+async function setPush(sendAndWait, on) {
+  const res = await sendAndWait(`S_PUSH=${on ? 1 : 0}`, "S_PUSH", {
+    probe: true,
+  });
+  return res.ok ? "on" : res.error ? "unsupported" : "unknown";
+}
+
+// G_STATE → G_SNUM → G_STIME=n для каждого нового выстрела.
+// nextShotId — объект { current }, сколько выстрелов уже запрошено.
+// Если связь пропала (isLinkUp() === false), цикл ждёт waitForLink(),
+// а после возврата один раз дочитывает выстрелы независимо от G_STATE:
+// серия могла закончиться, пока связи не было.
+//
+// С onEvent (подписка lineClient) сначала пробуем push: выстрелы и смена
+// состояния приходят событиями сразу, а опрос остаётся сторожем раз в
+// pushIntervalMs — на случай потерянного события. Пропуск в номерах
+// выстрелов дочитывается через G_SNUM/G_STIME немедленно.
+// Пробуем один раз за серию и ещё раз после переподключения: прошивка,
+// которая молча игнорирует S_PUSH, иначе стоила бы таймаута каждый круг.
+export async function pollLoop({
+  sendAndWait,
+  isRunning,
+  nextShotId,
+  onState,
+  onShot,
+  log,
+  isLinkUp = () => true,
+  waitForLink = async () => true,
+  onEvent = null,
+  intervalMs = 150,
+  pushIntervalMs = 1000,
+}) {
+  log("Poll: started");
+  let catchUp = false;
+  let push = onEvent ? "unknown" : "unsupported"; // on | unsupported | unknown
+  let wake = null;
+
+  // Пауза, которую прерывает событие (пропуск выстрела, смена состояния);
+  // isRunning() проверяем не реже intervalMs, чтобы Stop не ждал сторожа
+  const nap = (ms) =>
+    new Promise((resolve) => {
+      const until = Date.now() + ms;
+      let id = null;
+      const done = () => {
+        clearTimeout(id);
+        wake = null;
+        resolve();
+      };
+      const tick = () => {
+        const left = until - Date.now();
+        if (left <= 0 || !isRunning()) return done();
+        id = setTimeout(tick, Math.min(left, intervalMs));
+      };
+      wake = done;
+      tick();
+    });
+
+  const unsubscribe = onEvent?.(({ key, value }) => {
+    if (!isRunning()) return;
+    if (key === "EV_STATE" && Number.isInteger(value)) {
+      onState(value);
+      wake?.();
+    }
+    if (key === "EV_SHOT" && value && Number.isFinite(value.ms)) {
+      if (value.index === nextShotId.current) {
+        onShot(value.index + 1, value.ms);
+        nextShotId.current += 1;
+      } else if (value.index > nextShotId.current) {
+        catchUp = true;
+        wake?.();
+      }
+    }
+  });
+
+  // Нет ответа — считаем, что push нет, до следующей серии или переподключения
+  const tryPush = async () => {
+    const res = await setPush(sendAndWait, true);
+    push = res === "on" ? "on" : "unsupported";
+    log(
+      push === "on"
+        ? "Poll: push events on"
+        : `Poll: no push (${res === "unknown" ? "no reply" : res}), ` +
+            `polling every ${intervalMs} ms`
+    );
+  };
+
+  while (isRunning()) {
+    try {
+      if (!isLinkUp()) {
+        log("Poll: paused, waiting for link");
+        if (!(await waitForLink())) break;
+        log(`Poll: resumed from shot #${nextShotId.current + 1}`);
+        catchUp = true;
+        // после переподключения прошивка могла забыть подписку
+        // (или S_PUSH не дошёл из-за обрыва) — пробуем ещё раз
+        if (onEvent) push = "unknown";
+        continue;
+      }
+
+      if (push === "unknown") await tryPush();
+      const pause = push === "on" ? pushIntervalMs : intervalMs;
+
+      // 1) узнаём состояние
+      const st = await sendAndWait("G_STATE", "G_STATE");
+      if (!isRunning()) break;
+
+      const devState = st.ok && Number.isInteger(st.value) ? st.value : null;
+      if (devState != null) onState(devState);
+
+      // Пока не STARTED — просто ждём
+      if (!catchUp && devState !== 2) {
+        await nap(pause);
+        continue;
+      }
+
+      // 2) новые выстрелы: G_SNUM → G_STIME=n
+      const { complete } = await fetchNewShots({
+        sendAndWait,
+        isRunning,
+        nextShotId,
+        onShot,
+      });
+      if (complete) catchUp = false;
+
+      await nap(pause);
+    } catch (e) {
+      log("Poll error: " + (e?.message || e));
+      await sleep(300);
+    }
+  }
+  unsubscribe?.();
+  if (push === "on" && isLinkUp()) await setPush(sendAndWait, false);
+  log("Poll: stopped");
+}
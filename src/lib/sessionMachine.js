@@ -0,0 +1,81 @@
+import { t } from "../i18n/index.js";
+
+/* ===== жизненный цикл серии ===== */
+
+// idle → arming → countdown → shooting → finished | error
+//   arming    — S_TMIN/S_TMAX/E_STARTT ушли на устройство
+//   countdown — старт принят, ждём beep (G_STATE=1)
+//   shooting  — beep был (G_STATE=2 или пришёл выстрел)
+//   finished  — устройство вернулось в G_STATE=0, истёк таймаут тишины
+//               после последнего выстрела или нажали Stop
+//   error     — устройство отвергло старт или связь потеряна совсем
+
+const OPTIONS_KEY = "dzengun.sessionOptions";
+
+export const SESSION_OPTIONS_DEFAULTS = {
+  inactivityMs: 5000, // 0 — не завершать серию по тишине
+  autoRearm: false, // после финиша сам запускать следующую серию
+  rearmDelayMs: 3000,
+  minSplitMs: 0, // сплит короче — эхо/соседняя галерея; 0 — фильтр выключен
+};
+
+export const initialSession = { phase: "idle", reason: null, error: null };
+
+export const isActivePhase = (phase) =>
+  phase === "arming" || phase === "countdown" || phase === "shooting";
+
+const finish = (reason) => ({ phase: "finished", reason, error: null });
+
+export function sessionReducer(state, ev) {
+  switch (ev.type) {
+    case "start":
+      return isActivePhase(state.phase)
+        ? state
+        : { phase: "arming", reason: null, error: null };
+    case "armed":
+      return state.phase === "arming" ? { ...state, phase: "countdown" } : state;
+    case "fail":
+      return isActivePhase(state.phase)
+        ? { phase: "error", reason: "error", error: ev.error }
+        : state;
+    case "deviceState":
+      if (state.phase === "countdown" && ev.value === 2) {
+        return { ...state, phase: "shooting" };
+      }
+      if (state.phase === "shooting" && ev.value === 0) {
+        return finish("device");
+      }
+      return state;
+    case "shot":
+      return state.phase === "countdown"
+        ? { ...state, phase: "shooting" }
+        : state;
+    case "inactive":
+      return state.phase === "shooting" ? finish("inactivity") : state;
+    case "stop":
+      return isActivePhase(state.phase) ? finish("user") : state;
+    case "reset":
+      return initialSession;
+    default:
+      return state;
+  }
+}
+
+const PHASES = ["idle", "arming", "countdown", "shooting", "finished", "error"];
+
+export const phaseLabel = (phase) =>
+  PHASES.includes(phase) ? t(`phase.${phase}`) : "—";
+
+export function loadSessionOptions() {
+  try {
+    return {
+      ...SESSION_OPTIONS_DEFAULTS,
+      ...JSON.parse(localStorage.getItem(OPTIONS_KEY) || "{}"),
+    };
+  } catch {
+    return { ...SESSION_OPTIONS_DEFAULTS };
+  }
+}
+
+export const saveSessionOptions = (opts) =>
+  localStorage.setItem(OPTIONS_KEY, JSON.stringify(opts));
@@ -0,0 +1,140 @@
+import { recomputeSession } from "./shotEdits.js";
+import { t } from "../i18n/index.js";
+
+/* ===== локальное хранилище сессий (IndexedDB) ===== */
+
+const DB_NAME = "dzengun-ste";
+const DB_VERSION = 1;
+const STORE = "sessions";
+
+let dbPromise = null;
+
+const reqToPromise = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+export function openDb() {
+  if (dbPromise) return dbPromise;
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("IndexedDB not supported"));
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        const store = db.createObjectStore(STORE, {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+        store.createIndex("createdAt", "createdAt");
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      dbPromise = null;
+      reject(req.error);
+    };
+  });
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  const tx = db.transaction(STORE, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const [result] = await Promise.all([
+    reqToPromise(fn(tx.objectStore(STORE))),
+    done,
+  ]);
+  return result;
+}
+
+// Собираем запись законченной серии из того, что знает App.
+// rawShots — как пришло с устройства, shots — засчитанные после фильтра.
+export function buildSession({
+  mode,
+  tMin,
+  tMax,
+  parTimes = [],
+  drill = null,
+  shooter = null,
+  bay = null,
+  deviceName,
+  shots,
+  minSplitMs = 0,
+  createdAt = Date.now(),
+}) {
+  return recomputeSession(
+    {
+      createdAt,
+      mode,
+      tMin,
+      tMax,
+      parTimes,
+      drill,
+      shooter,
+      bay,
+      deviceName: deviceName || "",
+      rawShots: (shots || []).map(({ seq, ms }) => ({ seq, ms })),
+    },
+    { edits: {}, minSplitMs }
+  );
+}
+
+// Возвращает id новой записи
+export function saveSession(session) {
+  const { id, ...rest } = session;
+  const record = id != null ? { id, ...rest } : rest;
+  return withStore("readwrite", (s) => s.put(record));
+}
+
+export function getSession(id) {
+  return withStore("readonly", (s) => s.get(id));
+}
+
+// Новые сверху
+export async function listSessions() {
+  const all = await withStore("readonly", (s) =>
+    s.index("createdAt").getAll()
+  );
+  return all.reverse();
+}
+
+export function deleteSession(id) {
+  return withStore("readwrite", (s) => s.delete(id));
+}
+
+// Импорт: уже существующие серии (та же дата, число выстрелов и время)
+// пропускаем, чтобы повторный импорт файла не плодил дубли
+export async function importSessions(list, isSame) {
+  const existing = await listSessions();
+  let added = 0;
+  let skipped = 0;
+  for (const s of list) {
+    if (existing.some((e) => isSame(e, s))) {
+      skipped += 1;
+      continue;
+    }
+    await saveSession(s);
+    existing.push(s);
+    added += 1;
+  }
+  return { added, skipped };
+}
+
+// Дописать поля в уже сохранённую сессию (счёт, правки)
+export async function updateSession(id, patch) {
+  const cur = await getSession(id);
+  if (!cur) throw new Error(t("export.notFound", { id }));
+  const next = { ...cur, ...patch, id };
+  await saveSession(next);
+  return next;
+}
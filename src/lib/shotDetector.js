@@ -0,0 +1,94 @@
+/* ===== детектор выстрелов по звуку ===== */
+
+// Без Web Audio: на вход — PCM-отсчёты (Float32, -1..1) кусками любой
+// длины, на выход — время выстрелов в мс от первого отсчёта. Один и тот же
+// код работает с микрофоном и с WAV-файлом.
+//
+// Выстрел — резкий фронт: пик окна выше порога и выше фонового уровня
+// в riseRatio раз. После выстрела lockoutMs ничего не засчитываем —
+// так глушится эхо от стен и навесов.
+
+export const DETECTOR_DEFAULTS = {
+  sensitivity: 60, // 0..100 → порог от -1 до -30 dBFS
+  lockoutMs: 80,
+  riseRatio: 4, // ≈ 12 dB над фоном
+  windowMs: 1,
+  backgroundMs: 200, // постоянная времени фонового уровня
+};
+
+export const thresholdFromSensitivity = (s) =>
+  10 ** ((-1 - (Math.min(100, Math.max(0, s)) / 100) * 29) / 20);
+
+export function createShotDetector(sampleRate, options = {}) {
+  const opts = { ...DETECTOR_DEFAULTS, ...options };
+  const windowLen = Math.max(1, Math.round((sampleRate * opts.windowMs) / 1000));
+  const bgAlpha = Math.min(1, opts.windowMs / opts.backgroundMs);
+  let lockoutLen = 0;
+  let threshold = 0;
+  const apply = ({ sensitivity, lockoutMs }) => {
+    if (sensitivity != null) threshold = thresholdFromSensitivity(sensitivity);
+    if (lockoutMs != null) {
+      lockoutLen = Math.round((sampleRate * lockoutMs) / 1000);
+    }
+  };
+  apply(opts);
+
+  let pos = 0; // номер следующего отсчёта от начала потока
+  let winPeak = 0;
+  let winFirstLoud = -1; // первый отсчёт окна выше порога
+  let winFill = 0;
+  let bg = 0;
+  let lockedUntil = -1;
+  let ignoreUntil = -1;
+
+  const toMs = (sample) => (sample * 1000) / sampleRate;
+
+  const closeWindow = (out) => {
+    const loud =
+      winFirstLoud >= 0 &&
+      winFirstLoud >= lockedUntil &&
+      winFirstLoud >= ignoreUntil &&
+      winPeak >= bg * opts.riseRatio;
+    if (loud) {
+      out.push(toMs(winFirstLoud));
+      lockedUntil = winFirstLoud + lockoutLen;
+    } else if (pos >= lockedUntil) {
+      bg += (winPeak - bg) * bgAlpha;
+    }
+    winPeak = 0;
+    winFirstLoud = -1;
+    winFill = 0;
+  };
+
+  return {
+    // Обработать кусок; возвращает времена найденных выстрелов, мс
+    process(samples) {
+      const out = [];
+      for (let i = 0; i < samples.length; i++) {
+        const a = Math.abs(samples[i]);
+        if (a > winPeak) winPeak = a;
+        if (winFirstLoud < 0 && a >= threshold) winFirstLoud = pos;
+        pos += 1;
+        winFill += 1;
+        if (winFill >= windowLen) closeWindow(out);
+      }
+      return out;
+    },
+    // Не засчитывать звук до момента ms (например, собственный beep)
+    ignoreUntil(ms) {
+      ignoreUntil = Math.round((ms * sampleRate) / 1000);
+    },
+    // Чувствительность и lockout можно менять на ходу
+    configure(patch) {
+      apply(patch);
+    },
+    get positionMs() {
+      return toMs(pos);
+    },
+  };
+}
+
+// Весь сигнал разом — для WAV-файлов
+export function detectShots(samples, sampleRate, options) {
+  return createShotDetector(sampleRate, options).process(samples);
+}
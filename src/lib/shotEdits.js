@@ -0,0 +1,77 @@
+/* ===== правка выстрелов: удаление, брак, фильтр эха ===== */
+
+// Сырые данные устройства не меняем: правки лежат отдельно,
+// а выстрелы для расчётов каждый раз собираются заново.
+//   edits[seq] = "deleted" — убран вручную
+//              = "invalid" — помечен как недействительный
+//              = "valid"   — оставлен, хотя фильтр счёл его эхом
+// status итогового выстрела: ok | deleted | invalid | echo
+export const EDIT_STATUSES = ["deleted", "invalid", "valid"];
+
+// Все выстрелы со статусами; split считается от предыдущего ok-выстрела
+export function applyShotEdits(rawShots, { edits = {}, minSplitMs = 0 } = {}) {
+  let prevMs = null;
+  return (rawShots || []).map(({ seq, ms }) => {
+    const edit = edits[seq];
+    let status = "ok";
+    if (edit === "deleted" || edit === "invalid") {
+      status = edit;
+    } else if (
+      edit !== "valid" &&
+      minSplitMs > 0 &&
+      prevMs != null &&
+      ms - prevMs < minSplitMs
+    ) {
+      status = "echo";
+    }
+
+    if (status !== "ok") return { seq, ms, split: null, status };
+    const split = prevMs != null ? ms - prevMs : null;
+    prevMs = ms;
+    return { seq, ms, split, status };
+  });
+}
+
+// Только засчитанные выстрелы — для пара, графика, счёта и экспорта
+export const countedShots = (list) =>
+  list
+    .filter((s) => s.status === "ok")
+    .map(({ seq, ms, split }) => ({ seq, ms, split }));
+
+export function shotTotals(shots) {
+  return {
+    firstShotMs: shots.length ? shots[0].ms : null,
+    totalTimeMs: shots.length ? shots[shots.length - 1].ms : null,
+  };
+}
+
+// Сырые выстрелы записи; у старых сессий их нет — берём shots
+export const rawShotsOf = (session) =>
+  session.rawShots || (session.shots || []).map(({ seq, ms }) => ({ seq, ms }));
+
+// Новая версия записи с правкой для одного выстрела.
+// action: "delete" | "invalid" | "restore" | "keep"
+export function editShot(session, seq, action) {
+  const edits = { ...(session.edits || {}) };
+  if (action === "delete") edits[seq] = "deleted";
+  else if (action === "invalid") edits[seq] = "invalid";
+  else if (action === "keep") edits[seq] = "valid";
+  else delete edits[seq];
+  return recomputeSession(session, { edits });
+}
+
+// Пересчёт shots/firstShotMs/totalTimeMs после правок или смены фильтра
+export function recomputeSession(session, patch = {}) {
+  const rawShots = rawShotsOf(session);
+  const edits = patch.edits ?? session.edits ?? {};
+  const minSplitMs = patch.minSplitMs ?? session.minSplitMs ?? 0;
+  const shots = countedShots(applyShotEdits(rawShots, { edits, minSplitMs }));
+  return {
+    ...session,
+    rawShots,
+    edits,
+    minSplitMs,
+    shots,
+    ...shotTotals(shots),
+  };
+}
@@ -0,0 +1,305 @@
+import { t } from "../i18n/index.js";
+import { DEVICE_ERR } from "./deviceErrors.js";
+
+/* ===== виртуальный таймер STE ===== */
+
+// Логика прошивки без транспорта: handle("#CMD") → массив строк-ответов.
+// Время берётся из now(), поэтому в тестах его можно подменить.
+
+const T_LIMIT_MS = 60000;
+const SIM_VERSION = "SIM-1.0";
+
+// Настройки сигнала: ключ → [min, max]; SENS у виртуального таймера нет
+const BEEP_LIMITS = { BVOL: [0, 100], BLEN: [50, 2000] };
+
+const randInt = (rng, min, max) => Math.round(min + rng() * (max - min));
+
+// Скрипт по умолчанию: 6 выстрелов, первый 1.2–1.8 s, сплиты 0.2–0.4 s
+export function randomShotScript(rng = Math.random, count = 6) {
+  const out = [];
+  let t = randInt(rng, 1200, 1800);
+  for (let i = 0; i < count; i++) {
+    out.push(t);
+    t += randInt(rng, 200, 400);
+  }
+  return out;
+}
+
+export function createSimulatedTimer({
+  now = () => Date.now(),
+  rng = Math.random,
+  shots = (r) => randomShotScript(r),
+  finishAfterMs = null, // через сколько после последнего выстрела вернуться в 0
+  indexedStime = false, // отвечать "#G_STIME=n,ms" вместо "#G_STIME=ms"
+  pushSupported = () => true, // знает ли «прошивка» S_PUSH
+} = {}) {
+  let tMin = 5000;
+  let tMax = 5000;
+  const beepCfg = { BVOL: 80, BLEN: 250 };
+  let run = null; // { beepAt, shots }
+  let script = shots;
+  let push = false;
+  let announced = { state: 0, shots: 0 }; // что уже ушло событиями
+
+  const state = () => {
+    if (!run) return 0;
+    const t = now();
+    if (t < run.beepAt) return 1;
+    if (finishAfterMs != null) {
+      const last = run.shots.length ? run.shots[run.shots.length - 1] : 0;
+      if (t - run.beepAt >= last + finishAfterMs) return 0;
+    }
+    return 2;
+  };
+
+  const fired = () => {
+    if (!run) return [];
+    const since = now() - run.beepAt;
+    return run.shots.filter((ms) => ms <= since);
+  };
+
+  const err = (code) => [`#ERR=${code}`];
+
+  const parseMs = (arg) => {
+    const v = Number(arg);
+    return Number.isInteger(v) && v >= 0 && v <= T_LIMIT_MS ? v : null;
+  };
+
+  const handle = (raw) => {
+    const line = raw.trim();
+    if (!line.startsWith("#")) return err(DEVICE_ERR.UNKNOWN_CMD);
+    const eq = line.indexOf("=");
+    const key = eq < 0 ? line.slice(1) : line.slice(1, eq);
+    const arg = eq < 0 ? null : line.slice(eq + 1);
+
+    switch (key) {
+      case "S_TMIN":
+      case "S_TMAX": {
+        const v = parseMs(arg);
+        if (v == null) return err(DEVICE_ERR.BAD_ARG);
+        if (state() !== 0) return err(DEVICE_ERR.BUSY);
+        if (key === "S_TMIN") tMin = v;
+        else tMax = v;
+        return [`#${key}=${v}`];
+      }
+      case "G_TMIN":
+        return [`#G_TMIN=${tMin}`];
+      case "G_TMAX":
+        return [`#G_TMAX=${tMax}`];
+      case "G_BVOL":
+      case "G_BLEN":
+        return [`#${key}=${beepCfg[key.slice(2)]}`];
+      case "S_BVOL":
+      case "S_BLEN": {
+        const [lo, hi] = BEEP_LIMITS[key.slice(2)];
+        const v = Number(arg);
+        if (!Number.isInteger(v) || v < lo || v > hi) {
+          return err(DEVICE_ERR.BAD_ARG);
+        }
+        beepCfg[key.slice(2)] = v;
+        return [`#${key}=${v}`];
+      }
+      case "G_VER":
+        return [`#G_VER=${SIM_VERSION}`];
+      case "S_PUSH": {
+        if (!pushSupported()) return err(DEVICE_ERR.UNKNOWN_CMD);
+        if (arg !== "0" && arg !== "1") return err(DEVICE_ERR.BAD_ARG);
+        push = arg === "1";
+        announced = { state: state(), shots: fired().length };
+        return [`#S_PUSH=${arg}`];
+      }
+      case "E_STARTT": {
+        if (state() !== 0) return err(DEVICE_ERR.BUSY);
+        const lo = Math.min(tMin, tMax);
+        const hi = Math.max(tMin, tMax);
+        const list = typeof script === "function" ? script(rng) : script;
+        run = {
+          beepAt: now() + randInt(rng, lo, hi),
+          shots: [...list].sort((a, b) => a - b),
+        };
+        announced = { state: 1, shots: 0 };
+        return ["#E_STARTT"];
+      }
+      case "G_STATE":
+        return [`#G_STATE=${state()}`];
+      case "G_SNUM":
+        return [`#G_SNUM=${fired().length}`];
+      case "G_STIME": {
+        const list = fired();
+        const n = Number(arg);
+        if (!Number.isInteger(n) || n < 0 || n >= list.length) {
+          return err(DEVICE_ERR.BAD_ARG);
+        }
+        return [
+          indexedStime ? `#G_STIME=${n},${list[n]}` : `#G_STIME=${list[n]}`,
+        ];
+      }
+      default:
+        return err(DEVICE_ERR.UNKNOWN_CMD);
+    }
+  };
+
+  // Push: что изменилось с прошлого вызова — "#EV_STATE=s", "#EV_SHOT=n,ms".
+  // Транспорт зовёт это по таймеру: время у «прошивки» ленивое.
+  const events = () => {
+    if (!push) return [];
+    const st = state();
+    const list = fired();
+    const shotLines = list
+      .slice(announced.shots)
+      .map((ms, i) => `#EV_SHOT=${announced.shots + i},${ms}`);
+    const stateLine = st !== announced.state ? [`#EV_STATE=${st}`] : [];
+    announced = { state: st, shots: list.length };
+    // «серия пошла» — до выстрелов, «закончилась» — после
+    return st === 0
+      ? [...shotLines, ...stateLine]
+      : [...stateLine, ...shotLines];
+  };
+
+  return {
+    handle,
+    state,
+    events,
+    // Новый скрипт выстрелов для следующих E_STARTT
+    setShotScript(next) {
+      script = next;
+    },
+    reset() {
+      run = null;
+      push = false;
+    },
+    get settings() {
+      return { tMin, tMax, ...beepCfg };
+    },
+  };
+}
+
+/* ===== транспорт «виртуальный таймер» ===== */
+
+export const SIM_DEFAULTS = {
+  shotCount: 6,
+  latencyMs: [15, 40], // число или [min, max]
+  dropRate: 0, // доля потерянных ответов, 0..1
+  disconnectAfterMs: null, // обрыв связи через N мс после подключения
+  push: true, // «прошивка» умеет S_PUSH; false — проверка отката на опрос
+};
+
+const PUSH_TICK_MS = 10;
+
+export function createSimulatorTransport(options = {}) {
+  const rng = options.rng || Math.random;
+  let cfg = { ...SIM_DEFAULTS, ...options };
+  let handlers = null;
+  let lastHandlers = null; // для reconnect после обрыва
+  let log = () => {};
+  let dropTimer = null;
+  let pushTimer = null;
+  const encoder = new TextEncoder();
+
+  const timer = createSimulatedTimer({
+    now: options.now,
+    rng,
+    shots: options.shots || ((r) => randomShotScript(r, cfg.shotCount)),
+    finishAfterMs: options.finishAfterMs ?? null,
+    indexedStime: !!options.indexedStime,
+    pushSupported: () => cfg.push,
+  });
+
+  // События push идут тем же путём, что ответы: с задержкой и потерями
+  const startPush = () => {
+    clearInterval(pushTimer);
+    pushTimer = setInterval(() => {
+      if (!handlers) return;
+      for (const line of timer.events()) {
+        if (rng() < cfg.dropRate) {
+          log("Sim: event dropped " + line);
+          continue;
+        }
+        emit(line);
+      }
+    }, PUSH_TICK_MS);
+  };
+
+  const latency = () =>
+    Array.isArray(cfg.latencyMs)
+      ? randInt(rng, cfg.latencyMs[0], cfg.latencyMs[1])
+      : cfg.latencyMs;
+
+  const emit = (line) => {
+    setTimeout(() => {
+      handlers?.onData(encoder.encode(line + "\r\n"));
+    }, latency());
+  };
+
+  const drop = () => {
+    clearTimeout(dropTimer);
+    clearInterval(pushTimer);
+    const h = handlers;
+    handlers = null;
+    if (h) {
+      log("Sim: link dropped");
+      h.onDisconnect();
+    }
+  };
+
+  return {
+    id: "sim",
+    get label() {
+      return t("transports.sim");
+    },
+    supported: true,
+    timer,
+
+    isReady: () => !!handlers,
+
+    get config() {
+      return cfg;
+    },
+
+    configure(patch) {
+      cfg = { ...cfg, ...patch };
+      if ("shotCount" in patch && !options.shots) {
+        timer.setShotScript((r) => randomShotScript(r, cfg.shotCount));
+      }
+    },
+
+    async connect({ onData, onDisconnect, log: logFn }) {
+      handlers = lastHandlers = { onData, onDisconnect };
+      log = logFn;
+      timer.reset();
+      startPush();
+      log("Sim: virtual timer connected");
+      if (cfg.disconnectAfterMs != null) {
+        dropTimer = setTimeout(drop, cfg.disconnectAfterMs);
+      }
+      return { name: "STE Simulator" };
+    },
+
+    // Связь вернулась, а «прошивка» всё это время продолжала работать
+    async reconnect() {
+      if (!lastHandlers) throw new Error("no device to reconnect");
+      handlers = lastHandlers;
+      startPush();
+      log("Sim: virtual timer reconnected");
+    },
+
+    async write(text) {
+      for (const raw of text.split("\r")) {
+        if (!raw.trim()) continue;
+        if (rng() < cfg.dropRate) {
+          log("Sim: reply dropped for " + raw.trim());
+          continue;
+        }
+        timer.handle(raw).forEach(emit);
+      }
+    },
+
+    drop,
+
+    async disconnect() {
+      clearTimeout(dropTimer);
+      clearInterval(pushTimer);
+      handlers = lastHandlers = null;
+    },
+  };
+}
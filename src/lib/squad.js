@@ -0,0 +1,123 @@
+import { computeScore } from "./scoring.js";
+import { mean } from "./stats.js";
+
+/* ===== отделение: список стрелков, ротация, таблица лидеров ===== */
+
+// Состав: [{ id, name }] в порядке выхода на рубеж.
+// Прохождение: { runId, index, round, autoRotate } — кто стреляет сейчас,
+// какой круг и передавать ли очередь следующему после каждой серии.
+// Серия, начатая в прохождении, сохраняется с меткой
+// shooter: { id, name, squadRunId }; таблица лидеров строится по истории.
+
+const ROSTER_KEY = "dzengun.squad";
+const RUN_KEY = "dzengun.squadRun";
+
+export const MAX_SHOOTERS = 30;
+
+export const normalizeRoster = (list) =>
+  (Array.isArray(list) ? list : [])
+    .map((s) => ({
+      id: String(s?.id || ""),
+      name: String(s?.name || "").trim(),
+    }))
+    .filter((s) => s.id && s.name)
+    .slice(0, MAX_SHOOTERS);
+
+export function loadRoster() {
+  try {
+    return normalizeRoster(JSON.parse(localStorage.getItem(ROSTER_KEY) || "[]"));
+  } catch {
+    return [];
+  }
+}
+
+export const saveRoster = (list) =>
+  localStorage.setItem(ROSTER_KEY, JSON.stringify(list));
+
+// Прохождение переживает перезагрузку страницы: тренировка идёт часами
+export function loadSquadRun() {
+  try {
+    const r = JSON.parse(localStorage.getItem(RUN_KEY) || "null");
+    return r && r.runId && Number.isInteger(r.index) ? r : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveSquadRun(run) {
+  if (run) localStorage.setItem(RUN_KEY, JSON.stringify(run));
+  else localStorage.removeItem(RUN_KEY);
+}
+
+// Следующий по кругу; после последнего — снова первый, круг +1
+export function rotate(run, count, step = 1) {
+  if (!run || !count) return run;
+  const raw = run.index + step;
+  const index = ((raw % count) + count) % count;
+  const round = Math.max(1, run.round + Math.floor(raw / count));
+  return { ...run, index, round };
+}
+
+export const shooterTag = (shooter, run) =>
+  shooter && run ? { id: shooter.id, name: shooter.name, squadRunId: run.runId } : null;
+
+/* ===== таблица лидеров ===== */
+
+// sessions — записи истории (любые, лишние отсекаются по runId).
+// Строка на стрелка из состава; кто ещё не стрелял — в конце.
+//   { shooter, strings, bestTotalMs, bestFirstMs, avgSplitMs, bestHitFactor, rank }
+// Если хоть у кого-то есть счёт IPSC/Virginia — ранжируем по лучшему
+// hit factor, иначе по лучшему времени серии.
+export function squadLeaderboard(sessions, roster, runId) {
+  const own = sessions.filter(
+    (s) => s.shooter?.squadRunId === runId && s.shots?.length
+  );
+
+  const rows = roster.map((shooter) => {
+    const mine = own.filter((s) => s.shooter.id === shooter.id);
+    const totals = mine.map((s) => s.totalTimeMs).filter(Number.isFinite);
+    const firsts = mine.map((s) => s.firstShotMs).filter(Number.isFinite);
+    const splits = mine.flatMap((s) =>
+      s.shots.map((x) => x.split).filter(Number.isFinite)
+    );
+    const factors = mine
+      .map(
+        (s) =>
+          computeScore(s.score, s.totalTimeMs, {
+            shotCount: s.shots.length,
+            expectedShots: s.drill?.expectedShots,
+          })?.hitFactor
+      )
+      .filter(Number.isFinite);
+
+    return {
+      shooter,
+      strings: mine.length,
+      bestTotalMs: totals.length ? Math.min(...totals) : null,
+      bestFirstMs: firsts.length ? Math.min(...firsts) : null,
+      avgSplitMs: mean(splits),
+      bestHitFactor: factors.length ? Math.max(...factors) : null,
+    };
+  });
+
+  const byFactor = rows.some((r) => r.bestHitFactor != null);
+  const key = (r) =>
+    byFactor
+      ? r.bestHitFactor != null
+        ? -r.bestHitFactor
+        : Infinity
+      : (r.bestTotalMs ?? Infinity);
+
+  const sorted = [...rows].sort(
+    (a, b) => key(a) - key(b) || b.strings - a.strings
+  );
+  let rank = 0;
+  return {
+    byFactor,
+    rows: sorted.map((r, i) => {
+      if (!r.strings) return { ...r, rank: null };
+      if (i === 0 || key(r) !== key(sorted[i - 1])) rank = i + 1;
+      return { ...r, rank };
+    }),
+  };
+}
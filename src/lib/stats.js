@@ -0,0 +1,147 @@
+import { computeScore } from "./scoring.js";
+
+/* ===== статистика по сохранённым сессиям ===== */
+
+export const mean = (xs) =>
+  xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null;
+
+// p — 0..1, линейная интерполяция между соседними значениями
+export function percentile(xs, p) {
+  if (!xs.length) return null;
+  const sorted = [...xs].sort((a, b) => a - b);
+  const pos = (sorted.length - 1) * p;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+export const median = (xs) => percentile(xs, 0.5);
+
+export function stddev(xs) {
+  if (xs.length < 2) return null;
+  const m = mean(xs);
+  return Math.sqrt(
+    xs.reduce((a, x) => a + (x - m) ** 2, 0) / (xs.length - 1)
+  );
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// filter: { from, to } — "YYYY-MM-DD" (включительно), drill — имя
+// упражнения ("" — все, "-" — без упражнения), mode — fixed | random,
+// tag — метка сессии
+export function filterSessions(sessions, filter = {}) {
+  const from = filter.from ? Date.parse(filter.from + "T00:00") : null;
+  const to = filter.to ? Date.parse(filter.to + "T00:00") + DAY_MS : null;
+  return sessions.filter((s) => {
+    if (from != null && s.createdAt < from) return false;
+    if (to != null && s.createdAt >= to) return false;
+    if (filter.drill === "-" && s.drill) return false;
+    if (filter.drill && filter.drill !== "-" && s.drill?.name !== filter.drill)
+      return false;
+    if (filter.mode && s.mode !== filter.mode) return false;
+    if (filter.tag && !(s.tags || []).includes(filter.tag)) return false;
+    return true;
+  });
+}
+
+// Значения для выпадающих фильтров
+export function filterOptions(sessions) {
+  const drills = new Set();
+  const tags = new Set();
+  for (const s of sessions) {
+    if (s.drill?.name) drills.add(s.drill.name);
+    (s.tags || []).forEach((t) => tags.add(t));
+  }
+  return { drills: [...drills].sort(), tags: [...tags].sort() };
+}
+
+// Гистограмма сплитов с шагом binMs
+export function splitHistogram(splits, binMs = 50) {
+  if (!splits.length) return [];
+  const first = Math.floor(Math.min(...splits) / binMs);
+  const last = Math.floor(Math.max(...splits) / binMs);
+  const bins = [];
+  for (let i = first; i <= last; i++) {
+    bins.push({ fromMs: i * binMs, toMs: (i + 1) * binMs, count: 0 });
+  }
+  for (const x of splits) bins[Math.floor(x / binMs) - first].count += 1;
+  return bins;
+}
+
+const hitFactorOf = (s) =>
+  computeScore(s.score, s.totalTimeMs, {
+    shotCount: s.shots.length,
+    expectedShots: s.drill?.expectedShots,
+  })?.hitFactor ?? null;
+
+// Лучший по key среди сессий: { value, session } или null
+export function bestBy(sessions, key, better) {
+  let best = null;
+  for (const s of sessions) {
+    const v = key(s);
+    if (!Number.isFinite(v)) continue;
+    if (!best || better(v, best.value)) best = { value: v, session: s };
+  }
+  return best;
+}
+
+// Сводка по отфильтрованным сессиям (shots — уже засчитанные выстрелы)
+export function sessionStats(sessions) {
+  const withShots = sessions.filter((s) => s.shots.length);
+  const chrono = [...withShots].sort((a, b) => a.createdAt - b.createdAt);
+  const splits = withShots.flatMap((s) =>
+    s.shots.map((x) => x.split).filter(Number.isFinite)
+  );
+  const firstShots = withShots.map((s) => s.firstShotMs);
+
+  const lower = (a, b) => a < b;
+  const higher = (a, b) => a > b;
+
+  // Лучшее общее время — по каждому упражнению отдельно
+  const byDrill = new Map();
+  for (const s of withShots) {
+    if (!s.drill?.name) continue;
+    const list = byDrill.get(s.drill.name) || [];
+    list.push(s);
+    byDrill.set(s.drill.name, list);
+  }
+
+  return {
+    sessionCount: withShots.length,
+    shotCount: withShots.reduce((a, s) => a + s.shots.length, 0),
+    firstShot: {
+      mean: mean(firstShots),
+      median: median(firstShots),
+      stddev: stddev(firstShots),
+    },
+    split: {
+      mean: mean(splits),
+      median: median(splits),
+      p90: percentile(splits, 0.9),
+      stddev: stddev(splits),
+    },
+    trend: chrono.map((s) => ({
+      createdAt: s.createdAt,
+      firstShotMs: s.firstShotMs,
+      avgSplitMs: mean(s.shots.map((x) => x.split).filter(Number.isFinite)),
+    })),
+    histogram: splitHistogram(splits),
+    bests: {
+      firstShot: bestBy(withShots, (s) => s.firstShotMs, lower),
+      split: bestBy(
+        withShots,
+        (s) => {
+          const xs = s.shots.map((x) => x.split).filter(Number.isFinite);
+          return xs.length ? Math.min(...xs) : null;
+        },
+        lower
+      ),
+      hitFactor: bestBy(withShots, hitFactorOf, higher),
+      drills: [...byDrill.entries()].map(([name, list]) => ({
+        name,
+        ...bestBy(list, (s) => s.totalTimeMs, lower),
+      })),
+    },
+  };
+}
@@ -0,0 +1,258 @@
+import { t } from "../../i18n/index.js";
+
+/* ===== транспорт: BLE через нативный мост Android-обёртки ===== */
+
+// В WebView нет navigator.bluetooth, поэтому BLE делает Kotlin-сторона,
+// а сюда отдаёт байты. Контракт моста:
+//
+// JS → native: объект window.DzenGunBle (addJavascriptInterface),
+// аргументы и результаты — только строки/числа/boolean. Таймеров может
+// быть несколько сразу, поэтому всё, кроме сканирования, — по адресу:
+//   startScan(serviceUuid)            — искать устройства с сервисом FFE0
+//   stopScan()
+//   connect(address)                  — GATT → FFE0/FFE1, включить уведомления
+//   write(address, base64) → boolean  — записать байты в FFE1
+//   disconnect(address)
+//   readRssi(address)                 — необязательный, ответ событием "rssi"
+//
+// native → JS: evaluateJavascript("window.__dzengunBleEvent(<json>)"):
+//   { type: "device", address, name, rssi }  — найдено при сканировании
+//   { type: "connected", address, name }
+//   { type: "data", address, data: base64 }  — уведомление FFE1
+//   { type: "disconnected", address }
+//   { type: "rssi", address, rssi }
+//   { type: "error", address?, message }     — отказ connect (с адресом) / scan
+
+export const BRIDGE_NAME = "DzenGunBle";
+export const BRIDGE_EVENT = "__dzengunBleEvent";
+
+const FFE0_SERVICE = "0000ffe0-0000-1000-8000-00805f9b34fb";
+const LAST_DEVICE_KEY = "dzengun.androidBle";
+const SCAN_MS = 4000;
+const CONNECT_TIMEOUT_MS = 10000;
+const RSSI_WAIT_MS = 2000;
+
+export const hasAndroidBridge = (host = globalThis) =>
+  !!host?.[BRIDGE_NAME] && typeof host[BRIDGE_NAME].connect === "function";
+
+export const bytesToBase64 = (bytes) => {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return btoa(bin);
+};
+
+export const base64ToBytes = (b64) => {
+  const bin = atob(b64);
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+};
+
+// Одна функция событий на host раздаёт их всем экземплярам транспорта;
+// занятые адреса не предлагаем при сканировании другим экземплярам
+const hubs = new WeakMap(); // host → { listeners: Set, taken: Set }
+
+function hubOf(host) {
+  let hub = hubs.get(host);
+  if (!hub) {
+    hub = { listeners: new Set(), taken: new Set() };
+    hubs.set(host, hub);
+    host[BRIDGE_EVENT] = (payload) => {
+      let ev = payload;
+      try {
+        if (typeof payload === "string") ev = JSON.parse(payload);
+      } catch {
+        return;
+      }
+      if (ev?.type) hub.listeners.forEach((fn) => fn(ev));
+    };
+  }
+  return hub;
+}
+
+const loadLastDevice = () => {
+  try {
+    return localStorage.getItem(LAST_DEVICE_KEY) || null;
+  } catch {
+    return null;
+  }
+};
+
+const saveLastDevice = (address) => {
+  try {
+    localStorage.setItem(LAST_DEVICE_KEY, address);
+  } catch {
+    // без хранилища просто выберем заново
+  }
+};
+
+// host — где живут мост и функция событий (window; в Node — свой объект)
+export function createAndroidBleTransport({
+  host = globalThis,
+  scanMs = SCAN_MS,
+  connectTimeoutMs = CONNECT_TIMEOUT_MS,
+} = {}) {
+  const bridge = () => host[BRIDGE_NAME];
+  const hub = hubOf(host);
+  let handlers = null;
+  let address = null; // подключаемое / подключённое / последнее устройство
+  let linked = false;
+  let closing = false; // disconnected после нашего disconnect() — не обрыв
+  const waiters = new Set(); // (event) => true, если событие «съедено»
+
+  // Ждём события, которое pick() признает; reject по таймауту
+  const waitFor = (pick, timeoutMs, what) =>
+    new Promise((resolve, reject) => {
+      const w = (ev) => {
+        const r = pick(ev);
+        if (r === undefined) return false;
+        clearTimeout(timer);
+        waiters.delete(w);
+        if (r instanceof Error) reject(r);
+        else resolve(r);
+        return true;
+      };
+      const timer = setTimeout(() => {
+        waiters.delete(w);
+        reject(new Error(`${what}: timeout`));
+      }, timeoutMs);
+      waiters.add(w);
+    });
+
+  const onEvent = (ev) => {
+    // Чужие события (другой таймер) пропускаем; найденные — всем
+    if (ev.type !== "device" && ev.address && ev.address !== address) return;
+
+    for (const w of [...waiters]) w(ev);
+
+    switch (ev.type) {
+      case "data":
+        if (linked && ev.data) handlers?.onData(base64ToBytes(ev.data));
+        break;
+      case "disconnected": {
+        const wasLinked = linked;
+        linked = false;
+        hub.taken.delete(address);
+        if (closing) break;
+        handlers?.log("Android BLE: disconnected");
+        if (wasLinked) handlers?.onDisconnect();
+        break;
+      }
+      case "error":
+        handlers?.log("Android BLE error: " + (ev.message || "unknown"));
+        break;
+      default:
+        break;
+    }
+  };
+  hub.listeners.add(onEvent);
+
+  // Сканируем scanMs; знакомое устройство берём сразу, иначе — самое громкое
+  const scan = async () => {
+    const known = loadLastDevice();
+    const found = new Map();
+    const done = waitFor(
+      (ev) => {
+        if (ev.type === "error") return new Error(ev.message || "scan failed");
+        if (ev.type !== "device" || !ev.address) return undefined;
+        if (hub.taken.has(ev.address)) return undefined;
+        found.set(ev.address, ev);
+        return ev.address === known ? ev : undefined;
+      },
+      scanMs,
+      "scan"
+    ).catch((e) => {
+      if (!/timeout$/.test(e.message)) throw e;
+      return null;
+    });
+
+    bridge().startScan(FFE0_SERVICE);
+    try {
+      const hit = await done;
+      if (hit) return hit;
+    } finally {
+      bridge().stopScan();
+    }
+    const best = [...found.values()].sort(
+      (a, b) => (b.rssi ?? -999) - (a.rssi ?? -999)
+    )[0];
+    if (!best) throw new Error(t("transports.androidNoDevices"));
+    return best;
+  };
+
+  const attach = async (addr) => {
+    const connected = waitFor(
+      (ev) =>
+        ev.type === "connected"
+          ? ev
+          : ev.type === "error" || ev.type === "disconnected"
+            ? new Error(ev.message || "connect failed")
+            : undefined,
+      connectTimeoutMs,
+      "connect"
+    );
+    closing = false;
+    address = addr;
+    bridge().connect(addr);
+    const ev = await connected;
+    linked = true;
+    hub.taken.add(addr);
+    saveLastDevice(addr);
+    handlers.log(`Android BLE: connected ${addr}`);
+    return ev;
+  };
+
+  return {
+    id: "android-ble",
+    get label() {
+      return t("transports.androidBle");
+    },
+    get supported() {
+      return hasAndroidBridge(host);
+    },
+
+    isReady: () => linked,
+
+    async connect({ onData, onDisconnect, log }) {
+      handlers = { onData, onDisconnect, log };
+      log("Android BLE: scanning");
+      const dev = await scan();
+      log(`Android BLE: found ${dev.name || dev.address} (${dev.rssi ?? "?"} dBm)`);
+      const ev = await attach(dev.address);
+      return { name: ev.name || dev.name || dev.address };
+    },
+
+    async reconnect() {
+      if (!address || !handlers) throw new Error("no device to reconnect");
+      await attach(address);
+    },
+
+    async write(text) {
+      const ok = bridge().write(
+        address,
+        bytesToBase64(new TextEncoder().encode(text))
+      );
+      if (ok === false) throw new Error("bridge write failed");
+    },
+
+    async readRssi() {
+      if (!linked || typeof bridge().readRssi !== "function") return null;
+      const got = waitFor(
+        (ev) => (ev.type === "rssi" ? ev.rssi : undefined),
+        RSSI_WAIT_MS,
+        "rssi"
+      ).catch(() => null);
+      bridge().readRssi(address);
+      const rssi = await got;
+      return Number.isFinite(rssi) ? rssi : null;
+    },
+
+    async disconnect() {
+      closing = true;
+      linked = false;
+      handlers = null;
+      hub.taken.delete(address);
+      if (address && hasAndroidBridge(host)) bridge().disconnect(address);
+    },
+  };
+}
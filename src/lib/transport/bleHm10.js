@@ -0,0 +1,106 @@
+import { t } from "../../i18n/index.js";
+
+/* ===== транспорт: BLE HM-10 UART (FFE0/FFE1) ===== */
+
+const FFE0_SERVICE = "0000ffe0-0000-1000-8000-00805f9b34fb";
+const FFE1_CHAR = "0000ffe1-0000-1000-8000-00805f9b34fb";
+const RSSI_WAIT_MS = 2000;
+
+export function createBleHm10Transport() {
+  let device = null;
+  let txrx = null;
+  let handlers = null;
+
+  const onValue = (e) => handlers?.onData(e.target.value);
+  const onGattDisconnected = () => {
+    txrx?.removeEventListener?.("characteristicvaluechanged", onValue);
+    txrx = null;
+    handlers?.onDisconnect();
+  };
+
+  // GATT → FFE0 → FFE1 с уведомлениями; общий путь для connect/reconnect
+  const attach = async () => {
+    const { log } = handlers;
+    const server = await device.gatt.connect();
+    log("GATT: connected");
+
+    const svc = await server.getPrimaryService(FFE0_SERVICE);
+    const ch = await svc.getCharacteristic(FFE1_CHAR);
+
+    if (ch.properties.notify) {
+      await ch.startNotifications();
+      ch.addEventListener("characteristicvaluechanged", onValue);
+      log("FFE1: notifications started");
+    } else {
+      log("FFE1: notify not supported");
+    }
+
+    txrx = ch;
+    log("HM-10 UART ready (FFE1)");
+  };
+
+  return {
+    id: "ble",
+    get label() {
+      return t("transports.ble");
+    },
+    supported: typeof navigator !== "undefined" && !!navigator.bluetooth,
+
+    isReady: () => !!txrx,
+
+    async connect({ onData, onDisconnect, log }) {
+      handlers = { onData, onDisconnect, log };
+
+      device = await navigator.bluetooth.requestDevice({
+        acceptAllDevices: true,
+        optionalServices: [FFE0_SERVICE, "generic_access", "generic_attribute"],
+      });
+      log("Chooser: device selected");
+      device.addEventListener("gattserverdisconnected", onGattDisconnected);
+
+      await attach();
+      return { name: device.name || device.id || "BLE device" };
+    },
+
+    // Тот же device без окна выбора
+    async reconnect() {
+      if (!device || !handlers) throw new Error("no device to reconnect");
+      await attach();
+    },
+
+    async write(text) {
+      await txrx.writeValue(new TextEncoder().encode(text));
+    },
+
+    // Web Bluetooth не отдаёт RSSI подключённого устройства; ловим его из
+    // рекламных пакетов (watchAdvertisements, за флагом в Chrome).
+    // HM-10 при активном соединении обычно молчит — тогда null.
+    async readRssi() {
+      const dev = device;
+      if (!dev?.watchAdvertisements) return null;
+      return new Promise((resolve) => {
+        const abort = new AbortController();
+        const done = (v) => {
+          clearTimeout(timer);
+          dev.removeEventListener("advertisementreceived", onAdv);
+          abort.abort();
+          resolve(v);
+        };
+        const onAdv = (e) => done(Number.isFinite(e.rssi) ? e.rssi : null);
+        const timer = setTimeout(() => done(null), RSSI_WAIT_MS);
+        dev.addEventListener("advertisementreceived", onAdv);
+        dev.watchAdvertisements({ signal: abort.signal }).catch(() => done(null));
+      });
+    },
+
+    async disconnect() {
+      const dev = device;
+      handlers = null;
+      txrx?.removeEventListener?.("characteristicvaluechanged", onValue);
+      txrx = null;
+      device = null;
+      dev?.removeEventListener?.("gattserverdisconnected", onGattDisconnected);
+      dev?.gatt?.connected && dev.gatt.disconnect();
+    },
+  };
+}
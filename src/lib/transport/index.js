@@ -0,0 +1,36 @@
+import { createBleHm10Transport } from "./bleHm10.js";
+import { createAndroidBleTransport, hasAndroidBridge } from "./androidBle.js";
+import { createWebSerialTransport } from "./webSerial.js";
+import { createMockTransport } from "./mock.js";
+import { createMicTimerTransport } from "./micTimer.js";
+import { createSimulatorTransport } from "../simulator.js";
+
+export {
+  createBleHm10Transport,
+  createAndroidBleTransport,
+  hasAndroidBridge,
+  createWebSerialTransport,
+  createMockTransport,
+  createMicTimerTransport,
+  createSimulatorTransport,
+};
+
+// Набор транспортов, из которых пользователь выбирает в UI.
+// В Android-обёртке Web Bluetooth нет — BLE идёт через нативный мост.
+export function createTransports() {
+  return [
+    hasAndroidBridge() ? createAndroidBleTransport() : createBleHm10Transport(),
+    createWebSerialTransport(),
+    createMicTimerTransport(),
+    createSimulatorTransport(),
+    createMockTransport(),
+  ];
+}
+
+// Симулятор и заглушка «поддерживаются» всегда — по умолчанию их не берём
+const VIRTUAL = ["sim", "mock"];
+
+export function defaultTransportId(transports) {
+  return (transports.find((t) => t.supported && !VIRTUAL.includes(t.id)) ||
+    transports[0]).id;
+}
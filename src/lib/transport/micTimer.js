@@ -0,0 +1,287 @@
+import { t } from "../../i18n/index.js";
+import { DEVICE_ERR } from "../deviceErrors.js";
+import { audioContext, beep, onBeep } from "../beeper.js";
+import { DETECTOR_DEFAULTS, createShotDetector } from "../shotDetector.js";
+
+/* ===== транспорт «микрофон»: таймер без STE ===== */
+
+// Телефон сам играет стартовый сигнал после задержки S_TMIN..S_TMAX
+// и ловит выстрелы микрофоном. Наружу — тот же строковый протокол,
+// что у прошивки, поэтому сессия, опрос и история работают как с STE.
+
+const MIC_KEY = "dzengun.mic";
+const BEEP_MS = 250;
+const BEEP_GUARD_MS = 100; // хвост сигнала и реверберация после него
+const BUFFER_SIZE = 2048;
+
+const randInt = (rng, min, max) => Math.round(min + rng() * (max - min));
+
+export const MIC_DEFAULTS = {
+  sensitivity: DETECTOR_DEFAULTS.sensitivity,
+  lockoutMs: DETECTOR_DEFAULTS.lockoutMs,
+};
+
+export function loadMicSettings() {
+  try {
+    return {
+      ...MIC_DEFAULTS,
+      ...JSON.parse(localStorage.getItem(MIC_KEY) || "{}"),
+    };
+  } catch {
+    return { ...MIC_DEFAULTS };
+  }
+}
+
+// Логика «прошивки» без звука: старт по E_STARTT, выстрелы — addShot().
+// now() и schedule() подменяются в Node.
+export function createMicTimer({
+  now,
+  rng = Math.random,
+  schedule = (fn, ms) => setTimeout(fn, ms),
+  cancel = (id) => clearTimeout(id),
+  onStartSignal = () => now(),
+  onEvent = () => {}, // строка "#EV_..." при включённом S_PUSH
+}) {
+  let tMin = 5000;
+  let tMax = 5000;
+  let run = null; // { beepAt | null, shots: [ms от beep] }
+  let beepTimer = null;
+  let push = false;
+
+  const state = () => (!run ? 0 : run.beepAt == null ? 1 : 2);
+  const err = (code) => [`#ERR=${code}`];
+
+  const parseMs = (arg) => {
+    const v = Number(arg);
+    return Number.isInteger(v) && v >= 0 && v <= 60000 ? v : null;
+  };
+
+  const handle = (raw) => {
+    const line = raw.trim();
+    if (!line.startsWith("#")) return err(DEVICE_ERR.UNKNOWN_CMD);
+    const eq = line.indexOf("=");
+    const key = eq < 0 ? line.slice(1) : line.slice(1, eq);
+    const arg = eq < 0 ? null : line.slice(eq + 1);
+
+    switch (key) {
+      case "S_TMIN":
+      case "S_TMAX": {
+        const v = parseMs(arg);
+        if (v == null) return err(DEVICE_ERR.BAD_ARG);
+        if (state() === 1) return err(DEVICE_ERR.BUSY);
+        if (key === "S_TMIN") tMin = v;
+        else tMax = v;
+        return [`#${key}=${v}`];
+      }
+      case "G_TMIN":
+        return [`#G_TMIN=${tMin}`];
+      case "G_TMAX":
+        return [`#G_TMAX=${tMax}`];
+      case "G_VER":
+        return ["#G_VER=MIC"];
+      case "S_PUSH":
+        if (arg !== "0" && arg !== "1") return err(DEVICE_ERR.BAD_ARG);
+        push = arg === "1";
+        return [`#S_PUSH=${arg}`];
+      case "E_STARTT": {
+        // В отличие от STE, новая серия может начаться в любой момент:
+        // конца серии микрофон не знает, его решает автофиниш по тишине
+        if (state() === 1) return err(DEVICE_ERR.BUSY);
+        const delay = randInt(
+          rng,
+          Math.min(tMin, tMax),
+          Math.max(tMin, tMax)
+        );
+        const current = { beepAt: null, shots: [] };
+        run = current;
+        beepTimer = schedule(() => {
+          beepTimer = null;
+          if (run !== current) return;
+          current.beepAt = onStartSignal();
+          if (push) onEvent("#EV_STATE=2");
+        }, delay);
+        return ["#E_STARTT"];
+      }
+      case "G_STATE":
+        return [`#G_STATE=${state()}`];
+      case "G_SNUM":
+        return [`#G_SNUM=${run ? run.shots.length : 0}`];
+      case "G_STIME": {
+        const n = Number(arg);
+        if (!run || !Number.isInteger(n) || n < 0 || n >= run.shots.length) {
+          return err(DEVICE_ERR.BAD_ARG);
+        }
+        return [`#G_STIME=${run.shots[n]}`];
+      }
+      default:
+        return err(DEVICE_ERR.UNKNOWN_CMD);
+    }
+  };
+
+  return {
+    handle,
+    state,
+    // Выстрел в момент atMs (по тем же часам, что now); до beep не считаем
+    addShot(atMs) {
+      if (state() !== 2 || atMs < run.beepAt) return false;
+      const ms = Math.round(atMs - run.beepAt);
+      run.shots.push(ms);
+      if (push) onEvent(`#EV_SHOT=${run.shots.length - 1},${ms}`);
+      return true;
+    },
+    reset() {
+      if (beepTimer != null) cancel(beepTimer);
+      beepTimer = null;
+      run = null;
+      push = false;
+    },
+  };
+}
+
+export function createMicTimerTransport() {
+  const supported =
+    typeof navigator !== "undefined" &&
+    !!navigator.mediaDevices?.getUserMedia &&
+    !!(globalThis.AudioContext || globalThis.webkitAudioContext);
+
+  let cfg = loadMicSettings();
+  let handlers = null;
+  let lastHandlers = null;
+  let log = () => {};
+  let audio = null; // { stream, source, proc, detector, originMs, offBeep }
+  let level = 0; // пик последнего буфера, 0..1
+  const encoder = new TextEncoder();
+
+  const nowMs = () => (audioContext()?.currentTime ?? 0) * 1000;
+
+  const timer = createMicTimer({
+    now: nowMs,
+    onStartSignal: () => {
+      beep({ durationMs: BEEP_MS });
+      return nowMs();
+    },
+    onEvent: (line) => emit(line),
+  });
+
+  const emit = (line) => {
+    // ответ асинхронно, как от настоящего устройства
+    setTimeout(() => handlers?.onData(encoder.encode(line + "\r\n")), 0);
+  };
+
+  const closeAudio = () => {
+    if (!audio) return;
+    audio.offBeep();
+    audio.proc.onaudioprocess = null;
+    audio.source.disconnect();
+    audio.proc.disconnect();
+    audio.stream.getTracks().forEach((t) => t.stop());
+    audio = null;
+    level = 0;
+  };
+
+  const openAudio = async () => {
+    const ac = audioContext();
+    const stream = await navigator.mediaDevices.getUserMedia({
+      // обработка для голоса съедает фронт выстрела
+      audio: {
+        echoCancellation: false,
+        noiseSuppression: false,
+        autoGainControl: false,
+      },
+    });
+    const source = ac.createMediaStreamSource(stream);
+    const proc = ac.createScriptProcessor(BUFFER_SIZE, 1, 1);
+    const detector = createShotDetector(ac.sampleRate, cfg);
+    const a = { stream, source, proc, detector, originMs: null };
+
+    // собственные сигналы (старт, пар) выстрелами не считаем
+    a.offBeep = onBeep((_, endMs) => {
+      if (a.originMs != null) {
+        detector.ignoreUntil(endMs + BEEP_GUARD_MS - a.originMs);
+      }
+    });
+
+    proc.onaudioprocess = (e) => {
+      const samples = e.inputBuffer.getChannelData(0);
+      if (a.originMs == null) {
+        a.originMs = nowMs() - (samples.length * 1000) / ac.sampleRate;
+      }
+      let peak = 0;
+      for (let i = 0; i < samples.length; i++) {
+        const v = Math.abs(samples[i]);
+        if (v > peak) peak = v;
+      }
+      level = peak;
+      for (const ms of detector.process(samples)) {
+        if (timer.addShot(a.originMs + ms)) log("Mic: shot detected");
+      }
+    };
+    source.connect(proc);
+    proc.connect(ac.destination); // без выхода Chrome не вызывает обработчик
+
+    // микрофон отобрали (другое приложение, системный запрет)
+    stream.getAudioTracks()[0]?.addEventListener("ended", () => {
+      if (audio !== a) return;
+      closeAudio();
+      const h = handlers;
+      handlers = null;
+      log("Mic: input ended");
+      h?.onDisconnect();
+    });
+    audio = a;
+  };
+
+  return {
+    id: "mic",
+    get label() {
+      return t("transports.mic");
+    },
+    supported,
+    timer,
+
+    isReady: () => !!handlers && !!audio,
+
+    get config() {
+      return cfg;
+    },
+
+    configure(patch) {
+      cfg = { ...cfg, ...patch };
+      localStorage.setItem(MIC_KEY, JSON.stringify(cfg));
+      audio?.detector.configure(patch);
+    },
+
+    // Текущий уровень входа — для индикатора в настройках
+    getLevel: () => level,
+
+    async connect({ onData, onDisconnect, log: logFn }) {
+      log = logFn;
+      timer.reset();
+      await openAudio();
+      handlers = lastHandlers = { onData, onDisconnect };
+      log("Mic: listening");
+      return { name: t("transports.micDevice") };
+    },
+
+    async reconnect() {
+      if (!lastHandlers) throw new Error("no device to reconnect");
+      closeAudio();
+      await openAudio();
+      handlers = lastHandlers;
+      log("Mic: listening again");
+    },
+
+    async write(text) {
+      for (const raw of text.split("\r")) {
+        if (!raw.trim()) continue;
+        timer.handle(raw).forEach(emit);
+      }
+    },
+
+    async disconnect() {
+      timer.reset();
+      closeAudio();
+      handlers = lastHandlers = null;
+    },
+  };
+}
@@ -0,0 +1,144 @@
+import { t } from "../../i18n/index.js";
+import { BRIDGE_EVENT, base64ToBytes, bytesToBase64 } from "./androidBle.js";
+
+/* ===== транспорт: in-memory заглушка ===== */
+
+// По умолчанию просто подтверждает команды: "#KEY=val" → "#KEY=val",
+// "#KEY" → "#KEY=0". Свой ответчик передаётся в respond(line) и может
+// вернуть строку, массив строк или null (нет ответа).
+const echoRespond = (line) => (line.includes("=") ? line : line + "=0");
+
+export function createMockTransport({
+  respond = echoRespond,
+  latencyMs = 20,
+  name = "Mock device",
+} = {}) {
+  let handlers = null;
+  let lastHandlers = null;
+  const encoder = new TextEncoder();
+
+  const emit = (line) => {
+    setTimeout(() => {
+      handlers?.onData(encoder.encode(line + "\r\n"));
+    }, latencyMs);
+  };
+
+  return {
+    id: "mock",
+    get label() {
+      return t("transports.mock");
+    },
+    supported: true,
+
+    isReady: () => !!handlers,
+
+    async connect({ onData, onDisconnect, log }) {
+      handlers = lastHandlers = { onData, onDisconnect };
+      log("Mock: connected");
+      return { name };
+    },
+
+    async reconnect() {
+      if (!lastHandlers) throw new Error("no device to reconnect");
+      handlers = lastHandlers;
+    },
+
+    async write(text) {
+      for (const raw of text.split("\r")) {
+        const line = raw.trim();
+        if (!line) continue;
+        const reply = respond(line);
+        if (reply == null) continue;
+        (Array.isArray(reply) ? reply : [reply]).forEach(emit);
+      }
+    },
+
+    // Незапрошенная строка «от устройства»
+    push: emit,
+
+    // Имитация обрыва связи
+    drop() {
+      const h = handlers;
+      handlers = null;
+      h?.onDisconnect();
+    },
+
+    async disconnect() {
+      handlers = lastHandlers = null;
+    },
+  };
+}
+
+/* ===== заглушка нативного моста Android ===== */
+
+// Ведёт себя как Kotlin-сторона для androidBle.js: кладётся в host под
+// BRIDGE_NAME, события шлёт строкой JSON в host[BRIDGE_EVENT]. Держит
+// несколько соединений сразу; respond(line, address) — ответчик как у
+// createMockTransport. Годится для проверки транспорта в Node без WebView.
+export function createMockAndroidBridge({
+  host = globalThis,
+  devices = [{ address: "00:11:22:33:44:55", name: "DZENGUN", rssi: -60 }],
+  respond = echoRespond,
+  latencyMs = 20,
+} = {}) {
+  let scanning = false;
+  const connected = new Map(); // address → device
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+
+  const send = (ev) => {
+    setTimeout(() => host[BRIDGE_EVENT]?.(JSON.stringify(ev)), latencyMs);
+  };
+
+  return {
+    startScan() {
+      scanning = true;
+      devices.forEach((d) => scanning && send({ type: "device", ...d }));
+    },
+
+    stopScan() {
+      scanning = false;
+    },
+
+    connect(address) {
+      const dev = devices.find((d) => d.address === address);
+      if (!dev) {
+        send({ type: "error", address, message: `no device ${address}` });
+        return;
+      }
+      connected.set(address, dev);
+      send({ type: "connected", address, name: dev.name });
+    },
+
+    write(address, b64) {
+      if (!connected.has(address)) return false;
+      const text = decoder.decode(base64ToBytes(b64));
+      for (const raw of text.split("\r")) {
+        const line = raw.trim();
+        if (!line) continue;
+        const reply = respond(line, address);
+        if (reply == null) continue;
+        for (const r of Array.isArray(reply) ? reply : [reply]) {
+          const data = bytesToBase64(encoder.encode(r + "\r\n"));
+          send({ type: "data", address, data });
+        }
+      }
+      return true;
+    },
+
+    readRssi(address) {
+      const dev = connected.get(address);
+      if (dev) send({ type: "rssi", address, rssi: dev.rssi });
+    },
+
+    disconnect(address) {
+      if (!connected.delete(address)) return;
+      send({ type: "disconnected", address });
+    },
+
+    // Имитация обрыва связи со стороны устройства
+    drop(address = [...connected.keys()][0]) {
+      this.disconnect(address);
+    },
+  };
+}
@@ -0,0 +1,101 @@
+import { t } from "../../i18n/index.js";
+
+/* ===== транспорт: Web Serial (USB-UART кабель) ===== */
+
+const BAUD_RATE = 9600; // по умолчанию у HM-10 / UART таймера
+
+export function createWebSerialTransport({ baudRate = BAUD_RATE } = {}) {
+  let port = null; // выбранный порт, живёт до disconnect()
+  let handlers = null;
+  let io = null; // { reader, writer, loop } открытого порта
+
+  const closeIo = async ({ fromLoop = false } = {}) => {
+    const cur = io;
+    io = null;
+    if (!cur) return;
+    try {
+      await cur.reader.cancel();
+    } catch {
+      // reader уже закрыт
+    }
+    // из самого цикла чтения его же не ждём
+    if (!fromLoop) await cur.loop.catch(() => {});
+    try {
+      cur.writer.releaseLock();
+      await port?.close();
+    } catch {
+      // порт уже закрыт или выдернут
+    }
+  };
+
+  const open = async () => {
+    const { onData, log } = handlers;
+    await port.open({ baudRate });
+    log(`Serial: opened @${baudRate}`);
+
+    const cur = {
+      writer: port.writable.getWriter(),
+      reader: port.readable.getReader(),
+      loop: null,
+    };
+    io = cur;
+
+    cur.loop = (async () => {
+      try {
+        for (;;) {
+          const { value, done } = await cur.reader.read();
+          if (done) break;
+          if (value) onData(value);
+        }
+      } catch (e) {
+        log("Serial RX error: " + (e?.message || e));
+      } finally {
+        cur.reader.releaseLock();
+      }
+      // порт закрылся не по нашей команде — сообщаем наверх
+      if (io === cur) {
+        await closeIo({ fromLoop: true });
+        handlers?.onDisconnect();
+      }
+    })();
+  };
+
+  return {
+    id: "serial",
+    get label() {
+      return t("transports.serial");
+    },
+    supported: typeof navigator !== "undefined" && !!navigator.serial,
+
+    isReady: () => !!io,
+
+    async connect({ onData, onDisconnect, log }) {
+      handlers = { onData, onDisconnect, log };
+      port = await navigator.serial.requestPort();
+      log("Serial: port selected");
+      await open();
+
+      const info = port.getInfo?.() || {};
+      const name = info.usbVendorId
+        ? `USB ${info.usbVendorId.toString(16)}:${(info.usbProductId || 0).toString(16)}`
+        : "Serial port";
+      return { name };
+    },
+
+    // Тот же порт (кабель переподключён) без окна выбора
+    async reconnect() {
+      if (!port || !handlers) throw new Error("no port to reconnect");
+      await open();
+    },
+
+    async write(text) {
+      await io.writer.write(new TextEncoder().encode(text));
+    },
+
+    async disconnect() {
+      handlers = null;
+      await closeIo();
+      port = null;
+    },
+  };
+}
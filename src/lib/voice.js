@@ -0,0 +1,105 @@
+import { evaluatePar } from "./presets.js";
+import { beep } from "./beeper.js";
+import { LANGUAGES, getLang, translate } from "../i18n/index.js";
+
+/* ===== голосовые сводки и звуковые сигналы ===== */
+
+const VOICE_KEY = "dzengun.voice";
+
+// verbosity: off — молчим, brief — только итог, normal — выстрелы,
+// первый, итог, лучший сплит, full — плюс средний сплит и пар
+export const VERBOSITY_LEVELS = ["off", "brief", "normal", "full"];
+
+export const VOICE_DEFAULTS = {
+  verbosity: "off",
+  lang: null, // по умолчанию — язык интерфейса
+  cues: true, // сигналы при обрыве связи и #ERR
+};
+
+export function loadVoiceSettings() {
+  try {
+    const s = JSON.parse(localStorage.getItem(VOICE_KEY) || "{}");
+    return {
+      ...VOICE_DEFAULTS,
+      ...s,
+      verbosity: VERBOSITY_LEVELS.includes(s.verbosity)
+        ? s.verbosity
+        : VOICE_DEFAULTS.verbosity,
+      lang: LANGUAGES.some((l) => l.id === s.lang) ? s.lang : getLang(),
+    };
+  } catch {
+    return { ...VOICE_DEFAULTS, lang: getLang() };
+  }
+}
+
+export function saveVoiceSettings(s) {
+  localStorage.setItem(VOICE_KEY, JSON.stringify(s));
+}
+
+const localeOf = (lang) => LANGUAGES.find((l) => l.id === lang)?.locale;
+
+// Секунды числом по правилам языка озвучки: "1,42" / "1.42"
+const sec = (ms, lang) =>
+  (ms / 1000).toLocaleString(localeOf(lang), {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+    useGrouping: false,
+  });
+
+// Сводка по сохранённой серии; "" — говорить нечего.
+// Язык озвучки свой, не обязательно язык интерфейса.
+export function stringReadout(record, { verbosity, lang }) {
+  if (!record || verbosity === "off") return "";
+  const p = (key, ms) => translate(lang, `voice.${key}`, { t: sec(ms, lang) });
+  const shots = record.shots || [];
+  if (!shots.length) return translate(lang, "voice.noShots");
+
+  const total = p("total", record.totalTimeMs);
+  if (verbosity === "brief") return total;
+
+  const splits = shots.map((s) => s.split).filter(Number.isFinite);
+  const parts = [
+    translate(lang, "voice.shots", { n: shots.length }),
+    p("first", record.firstShotMs),
+    total,
+  ];
+  if (splits.length) parts.push(p("best", Math.min(...splits)));
+
+  if (verbosity === "full") {
+    if (splits.length) {
+      parts.push(p("avg", splits.reduce((a, b) => a + b, 0) / splits.length));
+    }
+    const par = evaluatePar(shots, record.parTimes);
+    if (par?.deltaMs != null) {
+      parts.push(
+        par.beat ? p("parBeat", par.deltaMs) : p("parMiss", -par.deltaMs)
+      );
+    }
+  }
+  return parts.join(", ");
+}
+
+export const cueText = (kind, lang) => translate(lang, `voice.${kind}`);
+
+export const speechSupported = () =>
+  typeof globalThis.speechSynthesis !== "undefined";
+
+export function speak(text, lang = getLang()) {
+  if (!text || !speechSupported()) return;
+  const u = new globalThis.SpeechSynthesisUtterance(text);
+  u.lang = localeOf(lang) || lang;
+  globalThis.speechSynthesis.cancel(); // новая сводка важнее недочитанной
+  globalThis.speechSynthesis.speak(u);
+}
+
+// Тональные сигналы: низкие, чтобы не путать со стартом и паром
+export function playCue(kind) {
+  if (kind === "linkLost") {
+    beep({ freq: 440, durationMs: 150 });
+    setTimeout(() => beep({ freq: 330, durationMs: 300 }), 200);
+  } else if (kind === "linkBack") {
+    beep({ freq: 660, durationMs: 120 });
+  } else if (kind === "error") {
+    beep({ freq: 250, durationMs: 500 });
+  }
+}
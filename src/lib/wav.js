@@ -0,0 +1,82 @@
+import { t } from "../i18n/index.js";
+
+/* ===== чтение WAV (RIFF) ===== */
+
+// PCM 8/16/24/32 бит и IEEE float 32 бит; каналы сводятся в моно.
+// Бросает Error с понятным текстом.
+export function parseWav(buffer) {
+  const view = new DataView(buffer);
+  const tag = (off) =>
+    String.fromCharCode(
+      view.getUint8(off),
+      view.getUint8(off + 1),
+      view.getUint8(off + 2),
+      view.getUint8(off + 3)
+    );
+
+  if (view.byteLength < 12 || tag(0) !== "RIFF" || tag(8) !== "WAVE") {
+    throw new Error(t("mic.notWav"));
+  }
+
+  let fmt = null;
+  let data = null;
+  for (let off = 12; off + 8 <= view.byteLength; ) {
+    const id = tag(off);
+    const size = view.getUint32(off + 4, true);
+    const body = off + 8;
+    if (id === "fmt ") {
+      fmt = {
+        format: view.getUint16(body, true),
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bits: view.getUint16(body + 14, true),
+      };
+      // WAVE_FORMAT_EXTENSIBLE: настоящий формат в SubFormat
+      if (fmt.format === 0xfffe && size >= 26) {
+        fmt.format = view.getUint16(body + 24, true);
+      }
+    } else if (id === "data") {
+      data = { offset: body, size: Math.min(size, view.byteLength - body) };
+    }
+    off = body + size + (size & 1);
+  }
+
+  if (!fmt || !data) throw new Error(t("mic.noChunks"));
+  const { format, channels, bits, sampleRate } = fmt;
+  const isFloat = format === 3 && bits === 32;
+  if (!(format === 1 && [8, 16, 24, 32].includes(bits)) && !isFloat) {
+    throw new Error(t("mic.unsupported", { format, bits }));
+  }
+
+  const bytes = bits / 8;
+  const frames = Math.floor(data.size / (bytes * channels));
+  const samples = new Float32Array(frames);
+
+  const read = (off) => {
+    if (isFloat) return view.getFloat32(off, true);
+    switch (bits) {
+      case 8:
+        return (view.getUint8(off) - 128) / 128;
+      case 16:
+        return view.getInt16(off, true) / 32768;
+      case 24: {
+        const v =
+          view.getUint8(off) |
+          (view.getUint8(off + 1) << 8) |
+          (view.getInt8(off + 2) << 16);
+        return v / 8388608;
+      }
+      default:
+        return view.getInt32(off, true) / 2147483648;
+    }
+  };
+
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) {
+      sum += read(data.offset + (i * channels + c) * bytes);
+    }
+    samples[i] = sum / channels;
+  }
+  return { sampleRate, channels, samples };
+}
@@ -0,0 +1,51 @@
+/* ===== регистрация service worker ===== */
+
+// sw.js собирается только в production (vite.pwa.js); в dev и при
+// открытии dist через file:// регистрировать нечего.
+// onUpdate(apply) вызывается, когда новая сборка скачана и ждёт:
+// apply() активирует её и перезагружает страницу.
+export function registerServiceWorker({ onUpdate } = {}) {
+  if (!import.meta.env.PROD) return;
+  if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) {
+    return;
+  }
+  if (!/^https?:$/.test(window.location.protocol)) return;
+
+  let reloading = false;
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+
+  const notify = (worker) => {
+    // Первая установка (страницей ещё никто не управляет) — не обновление
+    if (!navigator.serviceWorker.controller) return;
+    onUpdate?.(() => worker.postMessage({ type: "SKIP_WAITING" }));
+  };
+
+  // относительный путь — scope совпадает с base ("./"): /DzenGun-STE/
+  // на GitHub Pages и корень в android-сборке
+  navigator.serviceWorker
+    .register("./sw.js")
+    .then((reg) => {
+      if (reg.waiting) notify(reg.waiting);
+      reg.addEventListener("updatefound", () => {
+        const worker = reg.installing;
+        if (!worker) return;
+        worker.addEventListener("statechange", () => {
+          if (worker.state === "installed") notify(worker);
+        });
+      });
+
+      // Приложение держат открытым часами — проверяем обновления
+      // при возврате на вкладку
+      document.addEventListener("visibilitychange", () => {
+        if (document.visibilityState === "visible") {
+          reg.update().catch(() => {});
+        }
+      });
+    })
+    // Не зарегистрировался — работаем как обычный сайт, только без офлайна
+    .catch(() => {});
+}
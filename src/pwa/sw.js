@@ -0,0 +1,64 @@
+/* global VERSION, PRECACHE */
+/* ===== service worker: офлайн-оболочка приложения ===== */
+// Шаблон. VERSION и PRECACHE дописывает vite.pwa.js при сборке:
+// PRECACHE — все файлы бандла и public/ относительно scope.
+
+const CACHE_PREFIX = "dzengun-shell-";
+const CACHE = `${CACHE_PREFIX}${VERSION}`;
+const SHELL = "./index.html";
+
+self.addEventListener("install", (event) => {
+  // Ждём подтверждения от страницы (SKIP_WAITING), чтобы не подменять
+  // файлы под открытым приложением посреди серии
+  event.waitUntil(
+    caches.open(CACHE).then((cache) => cache.addAll(PRECACHE))
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((k) => k.startsWith(CACHE_PREFIX) && k !== CACHE)
+            .map((k) => caches.delete(k))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+/* ===== выдача из кэша ===== */
+
+// Оболочка и ассеты — сначала из кэша: на стрельбище сети может не быть
+// совсем, а ждать таймаута fetch на каждом запуске долго.
+// Навигация внутри scope всегда получает index.html.
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (req.mode === "navigate") {
+    event.respondWith(
+      caches
+        .open(CACHE)
+        .then((cache) => cache.match(SHELL))
+        .then((hit) => hit || fetch(req))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches
+      .open(CACHE)
+      .then((cache) => cache.match(req, { ignoreSearch: true }))
+      .then((hit) => hit || fetch(req))
+  );
+});
@@ -0,0 +1,171 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { translate } from "../src/i18n/index.js";
+import { createLineClient } from "../src/lib/lineProtocol.js";
+import {
+  BRIDGE_NAME,
+  createAndroidBleTransport,
+} from "../src/lib/transport/androidBle.js";
+import { createMockAndroidBridge } from "../src/lib/transport/mock.js";
+import {
+  createTransports,
+  defaultTransportId,
+} from "../src/lib/transport/index.js";
+import "./helpers.js";
+
+/* ===== транспорт Android BLE против заглушки нативного моста ===== */
+
+// Последнее устройство транспорт помнит в localStorage
+const store = new Map();
+globalThis.localStorage = {
+  getItem: (k) => (store.has(k) ? store.get(k) : null),
+  setItem: (k, v) => store.set(k, String(v)),
+  removeItem: (k) => store.delete(k),
+};
+beforeEach(() => store.clear());
+
+const tick = (ms = 30) => new Promise((r) => setTimeout(r, ms));
+
+const DEVICES = [
+  { address: "AA", name: "weak", rssi: -90 },
+  { address: "BB", name: "loud", rssi: -50 },
+];
+
+// Отдельный host на тест: мост и функция событий живут в нём, как в window
+function setup({ devices = DEVICES, respond, scanMs = 150 } = {}) {
+  const host = {};
+  host[BRIDGE_NAME] = createMockAndroidBridge({
+    host,
+    devices,
+    respond,
+    latencyMs: 2,
+  });
+  const make = () => createAndroidBleTransport({ host, scanMs });
+  return { host, bridge: host[BRIDGE_NAME], make };
+}
+
+// connect() с собранными данными и счётчиком обрывов
+async function open(transport) {
+  const got = [];
+  const link = { lost: 0, got };
+  const decoder = new TextDecoder();
+  link.info = await transport.connect({
+    onData: (bytes) => got.push(decoder.decode(bytes)),
+    onDisconnect: () => (link.lost += 1),
+    log: () => {},
+  });
+  return link;
+}
+
+test("supported — только когда мост на месте", () => {
+  const host = {};
+  const transport = createAndroidBleTransport({ host });
+  assert.equal(transport.supported, false);
+  host[BRIDGE_NAME] = createMockAndroidBridge({ host });
+  assert.equal(transport.supported, true);
+});
+
+test("сканирование выбирает самое громкое устройство и запоминает его", async () => {
+  const { make } = setup();
+  const transport = make();
+  const link = await open(transport);
+
+  assert.deepEqual(link.info, { name: "loud" });
+  assert.equal(transport.isReady(), true);
+  assert.equal(store.get("dzengun.androidBle"), "BB");
+  await transport.disconnect();
+});
+
+test("знакомое устройство берём сразу, не дожидаясь конца сканирования", async () => {
+  const { make } = setup({ scanMs: 2000 });
+  store.set("dzengun.androidBle", "AA");
+  const transport = make();
+  const t0 = Date.now();
+  const link = await open(transport);
+
+  assert.deepEqual(link.info, { name: "weak" });
+  assert.ok(Date.now() - t0 < 1000);
+  await transport.disconnect();
+});
+
+test("нет устройств — понятная ошибка", async () => {
+  const { make } = setup({ devices: [] });
+  await assert.rejects(open(make()), {
+    message: translate("ru", "transports.androidNoDevices"),
+  });
+});
+
+test("команды и ответы идут через мост в lineClient", async () => {
+  const { make } = setup({ respond: (line) => `${line}=0` });
+  const transport = make();
+  const client = createLineClient({
+    write: (text) => transport.write(text),
+    isReady: transport.isReady,
+  });
+  await transport.connect({
+    onData: client.feed,
+    onDisconnect: () => {},
+    log: () => {},
+  });
+
+  const res = await client.sendAndWait("G_STATE", "G_STATE");
+  assert.equal(res.ok, true);
+  assert.equal(res.value, 0);
+  assert.equal(await transport.readRssi(), -50);
+  await transport.disconnect();
+});
+
+test("два транспорта на одном host берут разные устройства", async () => {
+  const { make, bridge } = setup({
+    respond: (_line, address) => `#FROM=${address}`,
+  });
+  const a = make();
+  const b = make();
+  const la = await open(a);
+  const lb = await open(b);
+
+  assert.deepEqual([la.info.name, lb.info.name], ["loud", "weak"]);
+  await a.write("#Q\r");
+  await b.write("#Q\r");
+  await tick();
+  assert.deepEqual(la.got, ["#FROM=BB\r\n"]);
+  assert.deepEqual(lb.got, ["#FROM=AA\r\n"]);
+
+  // обрыв одного не трогает другой
+  bridge.drop("BB");
+  await tick();
+  assert.deepEqual([la.lost, lb.lost], [1, 0]);
+  assert.equal(b.isReady(), true);
+  await a.disconnect();
+  await b.disconnect();
+});
+
+test("обрыв со стороны устройства, reconnect и своё отключение", async () => {
+  const { make, bridge } = setup();
+  const transport = make();
+  const link = await open(transport);
+
+  bridge.drop("BB");
+  await tick();
+  assert.equal(link.lost, 1);
+  assert.equal(transport.isReady(), false);
+
+  await transport.reconnect();
+  assert.equal(transport.isReady(), true);
+
+  // disconnected после нашего disconnect() — не обрыв
+  await transport.disconnect();
+  await tick();
+  assert.equal(link.lost, 1);
+});
+
+test("в WebView с мостом по умолчанию выбирается Android BLE", () => {
+  globalThis[BRIDGE_NAME] = createMockAndroidBridge({ host: globalThis });
+  try {
+    const transports = createTransports();
+    assert.ok(transports.some((t) => t.id === "android-ble"));
+    assert.equal(defaultTransportId(transports), "android-ble");
+  } finally {
+    delete globalThis[BRIDGE_NAME];
+  }
+});
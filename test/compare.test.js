@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAX_COMPARE,
+  compareSeries,
+  compareShots,
+  deltaFmt,
+  personalBest,
+  sameKind,
+} from "../src/lib/compare.js";
+import "./helpers.js";
+
+/* ===== сравнение серий: дельты по выстрелам, личный рекорд ===== */
+
+// Засчитанные выстрелы; seq можно задать с пропусками, как после правок
+const shotsOf = (times, seqs = times.map((_, i) => i + 1)) =>
+  times.map((ms, i) => ({
+    seq: seqs[i],
+    ms,
+    split: i ? ms - times[i - 1] : null,
+  }));
+
+const run = (id, times, extra = {}) => ({
+  id,
+  createdAt: id,
+  shots: shotsOf(times),
+  totalTimeMs: times.at(-1),
+  ...extra,
+});
+
+test("дельты: серия минус база по номеру выстрела, у базы — null", () => {
+  // у второй серии выстрел seq 2 удалён — сравниваем всё равно 2-й с 2-м
+  const edited = run(2, [1100, 1450, 1700]);
+  edited.shots = shotsOf([1100, 1450, 1700], [1, 3, 4]);
+  const rows = compareShots([run(1, [1200, 1500, 1800]), edited]);
+
+  assert.deepEqual(
+    rows.map((r) => r.deltas),
+    [
+      [null, { ms: -100, split: null }],
+      [null, { ms: -50, split: 50 }],
+      [null, { ms: -100, split: -50 }],
+    ]
+  );
+  assert.deepEqual(rows[1].cells[1], { ms: 1450, split: 350 });
+});
+
+test("серии разной длины: лишние строки без дельт", () => {
+  const rows = compareShots([
+    run(1, [1000, 1300]),
+    run(2, [900, 1150, 1400, 1650]),
+    run(3, [1100]),
+  ]);
+
+  assert.deepEqual(rows.map((r) => r.n), [1, 2, 3, 4]);
+  assert.deepEqual(rows[1].deltas, [null, { ms: -150, split: -50 }, null]);
+  // у базы выстрела нет — сравнивать не с чем
+  assert.deepEqual(rows[2].cells, [null, { ms: 1400, split: 250 }, null]);
+  assert.deepEqual(rows[2].deltas, [null, null, null]);
+  assert.deepEqual(compareShots([]), []);
+});
+
+test("личный рекорд — среди серий того же упражнения и номера", () => {
+  const bill = (string) => ({ drill: { name: "Bill", string } });
+  const ref = run(1, [1500, 1800], bill(1));
+  const all = [
+    ref,
+    run(2, [1000, 1200], bill(2)), // другая серия упражнения
+    run(3, [1400, 1700], bill(1)),
+    run(4, [1300, 1650], bill(1)),
+    run(5, [900, 1100]), // без упражнения
+  ];
+
+  assert.deepEqual(sameKind(all, ref).map((s) => s.id), [3, 4]);
+  assert.equal(personalBest(all, ref).id, 4);
+  // вне упражнений — по числу выстрелов
+  assert.equal(personalBest(all, run(6, [800, 950])).id, 5);
+  assert.equal(personalBest([ref], ref), null);
+});
+
+test("не больше MAX_COMPARE серий, у каждой свой цвет", () => {
+  const many = Array.from({ length: MAX_COMPARE + 2 }, (_, i) =>
+    run(i + 1, [1000])
+  );
+  const series = compareSeries(many);
+
+  assert.equal(series.length, MAX_COMPARE);
+  assert.equal(new Set(series.map((s) => s.color)).size, MAX_COMPARE);
+  assert.equal(series[0].key, "s1");
+});
+
+test("deltaFmt: знак всегда, минус типографский", () => {
+  assert.equal(deltaFmt(120), "+0,12 с");
+  assert.equal(deltaFmt(-50), "−0,05 с");
+  assert.equal(deltaFmt(0), "±0,00 с");
+  assert.equal(deltaFmt(null), "—");
+});
@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEVICE_ERR,
+  describeDeviceError,
+  parseDeviceError,
+} from "../src/lib/deviceErrors.js";
+import "./helpers.js";
+
+/* ===== коды ошибок устройства ===== */
+
+test("известные коды: имя по таблице, код нормализуется", () => {
+  assert.deepEqual(parseDeviceError("#ERR=03"), { code: "03", name: "busy" });
+  assert.deepEqual(parseDeviceError("#ERR=1"), {
+    code: DEVICE_ERR.UNKNOWN_CMD,
+    name: "unknownCommand",
+  });
+  assert.equal(parseDeviceError("#ERR=02 ").name, "badArgument");
+});
+
+test("неизвестный код: name null, hex — в верхнем регистре", () => {
+  assert.deepEqual(parseDeviceError("#ERR=7f"), { code: "7F", name: null });
+});
+
+test("не строка ошибки — null", () => {
+  for (const line of ["#ERR", "#ERR=", "#ERR=zz", "#G_STATE=0", "", null]) {
+    assert.equal(parseDeviceError(line), null, String(line));
+  }
+});
+
+test("описание для журнала и UI, запасной текст для неизвестных", () => {
+  assert.equal(
+    describeDeviceError(parseDeviceError("#ERR=03")),
+    "устройство занято (#ERR=03)"
+  );
+  assert.equal(
+    describeDeviceError(parseDeviceError("#ERR=7f")),
+    "неизвестная ошибка (#ERR=7F)"
+  );
+  assert.equal(describeDeviceError(null), "");
+});
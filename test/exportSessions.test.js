@@ -0,0 +1,126 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  EXPORT_FORMAT,
+  parseSessionsJson,
+  sameSession,
+  sessionsToCsv,
+  sessionsToJson,
+} from "../src/lib/exportSessions.js";
+import { editShot, recomputeSession } from "../src/lib/shotEdits.js";
+import { tagSegment } from "../src/lib/segments.js";
+import "./helpers.js";
+
+/* ===== экспорт и импорт сессий ===== */
+
+const RAW = [
+  { seq: 1, ms: 1200 },
+  { seq: 2, ms: 1230 },
+  { seq: 3, ms: 1500 },
+  { seq: 4, ms: 1800 },
+];
+
+// Запись со всем, что бывает в базе: правки, фильтр, сегменты, стрелок
+const SESSION = tagSegment(
+  editShot(
+    recomputeSession(
+      {
+        id: 7,
+        createdAt: Date.UTC(2026, 9, 1, 12),
+        deviceName: "STE",
+        shooter: { name: "Анна" },
+        tags: ["dry"],
+        shots: RAW,
+      },
+      { minSplitMs: 100 }
+    ),
+    4,
+    "invalid"
+  ),
+  3,
+  "reload"
+);
+
+const fileWith = (sessions) =>
+  JSON.stringify({ format: EXPORT_FORMAT, version: 1, sessions });
+
+test("экспорт и импорт: запись возвращается та же, без id", () => {
+  const [back] = parseSessionsJson(sessionsToJson([SESSION]));
+  const { id: _id, ...expected } = SESSION;
+
+  assert.deepEqual(back, expected);
+  assert.deepEqual(back.shots.map((s) => s.seq), [1, 3]);
+  assert.ok(sameSession(back, SESSION));
+});
+
+test("итоги пересчитываются из сырых выстрелов, а не берутся из файла", () => {
+  const forged = {
+    ...SESSION,
+    shots: [{ seq: 1, ms: 100, split: null }],
+    totalTimeMs: 100,
+  };
+  const [back] = parseSessionsJson(fileWith([forged]));
+
+  assert.deepEqual(back.shots, SESSION.shots);
+  assert.equal(back.totalTimeMs, SESSION.totalTimeMs);
+});
+
+test("битые выстрелы, правки и сегменты отбрасываются", () => {
+  const [back] = parseSessionsJson(
+    fileWith([
+      {
+        createdAt: 1,
+        shots: [],
+        rawShots: [{ seq: 1, ms: 500 }, { seq: "2", ms: 800 }, null],
+        edits: { 1: "gone", x: "deleted" },
+        segments: { 1: "reload", 2: "dance" },
+        minSplitMs: -5,
+      },
+    ])
+  );
+
+  assert.deepEqual(back.rawShots, [{ seq: 1, ms: 500 }]);
+  assert.deepEqual(back.edits, {});
+  assert.deepEqual(back.segments, { 1: "reload" });
+  assert.equal(back.minSplitMs, 0);
+  assert.equal(back.totalTimeMs, 500);
+
+  // старая запись без rawShots: сырые — из shots
+  const [legacy] = parseSessionsJson(
+    fileWith([{ createdAt: 2, shots: [{ seq: 1, ms: 400 }, { seq: 2 }] }])
+  );
+  assert.deepEqual(legacy.shots, [{ seq: 1, ms: 400, split: null }]);
+});
+
+test("записи без даты или выстрелов пропускаются", () => {
+  const list = parseSessionsJson(
+    fileWith([{ shots: [] }, { createdAt: 3 }, { createdAt: 4, shots: [] }])
+  );
+  assert.deepEqual(list.map((s) => s.createdAt), [4]);
+});
+
+test("чужой файл — понятная ошибка", () => {
+  assert.throws(() => parseSessionsJson("{"), {
+    message: "Файл не является JSON",
+  });
+  assert.throws(() => parseSessionsJson('{"sessions": []}'), {
+    message: "Это не экспорт DzenGun STE",
+  });
+  assert.throws(
+    () =>
+      parseSessionsJson(
+        JSON.stringify({ format: EXPORT_FORMAT, version: 9, sessions: [] })
+      ),
+    { message: "Неизвестная версия формата: 9" }
+  );
+});
+
+test("CSV: строка на засчитанный выстрел с сегментом и стрелком", () => {
+  const lines = sessionsToCsv([SESSION]).trim().split("\r\n");
+
+  assert.equal(lines.length, 3);
+  assert.equal(
+    lines[2],
+    "7,2026-10-01T12:00:00.000Z,STE,3,1.500,0.300,reload,Анна,"
+  );
+});
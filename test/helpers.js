@@ -0,0 +1,12 @@
+import { setLang } from "../src/i18n/index.js";
+
+/* ===== общее для тестов ===== */
+
+// Подписи и сообщения сверяем с русским каталогом, какой бы ни была
+// локаль Node (с Node 21 в нём есть navigator.language)
+setLang("ru");
+
+// Детерминированный rng (LCG Park–Miller): потери ответов и шум
+// одинаковы от прогона к прогону
+export const seeded = (seed) => () =>
+  (seed = (seed * 48271) % 2147483647) / 2147483647;
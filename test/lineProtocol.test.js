@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createLineClient } from "../src/lib/lineProtocol.js";
+
+/* ===== lineClient: очередь, опоздавшие ответы, пробы ===== */
+
+// Провод вручную: что ушло — в sent, ответы подаём через client.feed
+function setup(commandOptions = {}) {
+  const sent = [];
+  const client = createLineClient({
+    write: async (text) => sent.push(text.replace(/\r$/, "")),
+    isReady: () => true,
+    commandOptions,
+  });
+  return { client, sent };
+}
+
+// Запись в провод идёт цепочкой промисов — даём ей пройти
+const tick = (ms = 0) => new Promise((r) => setTimeout(r, ms));
+
+test("два запроса сразу: второй уходит после ответа на первый", async () => {
+  const { client, sent } = setup();
+  const a = client.sendAndWait("G_STATE");
+  const b = client.sendAndWait("G_SNUM");
+  await tick();
+  assert.deepEqual(sent, ["#G_STATE"]);
+  assert.equal(client.getMetrics().queued, 1);
+
+  client.feed("#G_STATE=2\r\n");
+  await tick();
+  assert.deepEqual(sent, ["#G_STATE", "#G_SNUM"]);
+  client.feed("#G_SNUM=3\r\n");
+
+  const [ra, rb] = await Promise.all([a, b]);
+  assert.deepEqual([ra.key, ra.value], ["G_STATE", 2]);
+  assert.deepEqual([rb.key, rb.value], ["G_SNUM", 3]);
+  assert.equal(client.getMetrics().maxQueue, 1);
+});
+
+test("ответ после таймаута отбрасывается и не отвечает на следующий", async () => {
+  const { client, sent } = setup({ G_STIME: { timeoutMs: 30, retries: 0 } });
+  const first = await client.sendAndWait("G_STIME=1");
+  assert.equal(first.timeout, true);
+
+  const next = client.sendAndWait("G_STIME=2");
+  await tick();
+  assert.equal(sent.at(-1), "#G_STIME=2");
+  client.feed("#G_STIME=500\r\n"); // опоздавший ответ на G_STIME=1
+  client.feed("#G_STIME=700\r\n");
+
+  const r = await next;
+  assert.equal(r.ok, true);
+  assert.equal(r.value.ms, 700);
+  assert.equal(client.getMetrics().stale, 1);
+  assert.equal(client.getMetrics().timeouts, 1);
+});
+
+test("G_STIME с чужим индексом не засчитывается", async () => {
+  const { client } = setup();
+  const pending = client.sendAndWait("G_STIME=3");
+  await tick();
+  client.feed("#G_STIME=2,400\r\n");
+  client.feed("#G_STIME=3,650\r\n");
+
+  const r = await pending;
+  assert.deepEqual(r.value, { index: 3, ms: 650 });
+  assert.equal(client.getMetrics().stale, 1);
+  assert.equal(client.getMetrics().ok, 1);
+});
+
+test("#ERR на пробу — unsupported, на обычную команду — errors", async () => {
+  const { client } = setup();
+  const probe = client.sendAndWait("S_PUSH=1", "S_PUSH", { probe: true });
+  await tick();
+  client.feed("#ERR=01\r\n");
+
+  const r = await probe;
+  assert.equal(r.ok, false);
+  assert.deepEqual(r.error, { code: "01", name: "unknownCommand" });
+  assert.equal(client.getMetrics().unsupported, 1);
+  assert.equal(client.getMetrics().errors, 0);
+
+  const plain = client.sendAndWait("E_STARTT");
+  await tick();
+  client.feed("#ERR=03\r\n");
+  assert.equal((await plain).error.name, "busy");
+  assert.equal(client.getMetrics().errors, 1);
+  assert.equal(client.getMetrics().unsupported, 1);
+});
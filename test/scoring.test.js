@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  computeScore,
+  emptyScore,
+  normalizeScore,
+  scoreSummary,
+} from "../src/lib/scoring.js";
+import "./helpers.js";
+
+/* ===== подсчёт очков: IPSC/USPSA, Virginia Count, IDPA ===== */
+
+const hits = (system, patch) => ({ ...emptyScore(system), ...patch });
+const PAPER = { A: 8, C: 2, D: 1, M: 1 };
+
+test("IPSC Minor: очки по зонам, штраф за промах, hit factor", () => {
+  const r = computeScore(hits("ipsc-minor", PAPER), 5000);
+
+  assert.equal(r.kind, "comstock");
+  assert.equal(r.points, 47); // 8×5 + 2×3 + 1×1
+  assert.equal(r.penalties, 10);
+  assert.equal(r.total, 37);
+  assert.equal(r.hitFactor, 7.4);
+});
+
+test("IPSC Major: C и D дороже", () => {
+  const r = computeScore(hits("ipsc-major", PAPER), 5000);
+
+  assert.equal(r.points, 50); // 8×5 + 2×4 + 1×2
+  assert.equal(r.total, 40);
+  assert.equal(r.hitFactor, 8);
+});
+
+test("no-shoot и процедурные — по 10, итог не уходит ниже нуля", () => {
+  const r = computeScore(
+    hits("ipsc-minor", { A: 2, NS: 1, procedurals: 1 }),
+    2000
+  );
+
+  assert.equal(r.penalties, 20);
+  assert.equal(r.total, 0);
+  assert.equal(r.hitFactor, 0);
+  assert.equal(computeScore(hits("ipsc-minor", PAPER), 0).hitFactor, null);
+});
+
+test("Virginia Count: лишние выстрелы идут как процедурные", () => {
+  const opts = { shotCount: 12, expectedShots: 10 };
+  const r = computeScore(hits("virginia-minor", PAPER), 5000, opts);
+
+  assert.equal(r.kind, "virginia");
+  assert.equal(r.extraShots, 2);
+  assert.equal(r.penalties, 30); // промах + 2 лишних
+  assert.equal(r.total, 17);
+  assert.equal(r.hitFactor, 3.4);
+
+  // в Comstock число выстрелов не ограничено
+  const free = computeScore(hits("ipsc-minor", PAPER), 5000, opts);
+  assert.equal(free.extraShots, 0);
+  assert.equal(free.penalties, 10);
+});
+
+test("IDPA: секунды за очки вниз и нарушения", () => {
+  const score = hits("idpa", { pointsDown: 3, pe: 1, hnt: 1 });
+  const r = computeScore(score, 12400);
+
+  assert.equal(r.kind, "idpa");
+  assert.equal(r.pointsDown, 3);
+  assert.equal(r.penaltyMs, 11000); // 3×1 + 3 + 5 с
+  assert.equal(r.finalMs, 23400);
+
+  const ftdr = computeScore({ ...score, ftdr: 1 }, 12400);
+  assert.equal(ftdr.finalMs, 43400);
+  assert.equal(computeScore(score, null).finalMs, null);
+});
+
+test("normalizeScore: известные поля, целые неотрицательные", () => {
+  assert.deepEqual(
+    normalizeScore({ system: "nope", A: "7", C: -2, D: 1.6, extra: 5 }),
+    { ...emptyScore("ipsc-minor"), A: 7, D: 2 }
+  );
+  assert.equal(computeScore({ system: "nope" }, 1000), null);
+});
+
+test("scoreSummary: HF для IPSC, итоговое время для IDPA", () => {
+  const session = (score) => ({
+    score,
+    totalTimeMs: 5000,
+    shots: [{ seq: 1, ms: 5000, split: null }],
+  });
+  assert.equal(scoreSummary(session(hits("ipsc-minor", PAPER))), "HF 7.4000");
+  assert.equal(scoreSummary(session(hits("idpa", { pe: 1 }))), "IDPA 8,00 с");
+  assert.equal(scoreSummary(session(undefined)), "");
+});
@@ -0,0 +1,102 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeTemplate,
+  segmentSummary,
+  segmentTrend,
+  segmentsOf,
+  tagSegment,
+} from "../src/lib/segments.js";
+
+/* ===== сегменты серии: время отрезков, шаблоны упражнений, сводка ===== */
+
+const shotsOf = (times) =>
+  times.map((ms, i) => ({
+    seq: i + 1,
+    ms,
+    split: i ? ms - times[i - 1] : null,
+  }));
+
+// 1,2 с draw, 0,25 split, 2,1 reload, 0,4 transition
+const TIMES = [1200, 1450, 3550, 3950];
+const run = (extra = {}) => ({ createdAt: 1, shots: shotsOf(TIMES), ...extra });
+
+const kinds = (session) => segmentsOf(session).map((g) => g.type);
+
+test("отрезки: первый — от сигнала, остальные — от предыдущего", () => {
+  assert.deepEqual(segmentsOf(run()), [
+    { seq: 1, type: "draw", ms: 1200, atMs: 1200 },
+    { seq: 2, type: "split", ms: 250, atMs: 1450 },
+    { seq: 3, type: "split", ms: 2100, atMs: 3550 },
+    { seq: 4, type: "split", ms: 400, atMs: 3950 },
+  ]);
+});
+
+test("шаблон упражнения размечает по номеру выстрела", () => {
+  const drill = { segments: ["draw", "split", "reload", "transition"] };
+  assert.deepEqual(kinds(run({ drill })), drill.segments);
+
+  // короткий или битый шаблон — остальное по умолчанию
+  const partial = { segments: [null, "reload"] };
+  assert.deepEqual(kinds(run({ drill: partial })), [
+    "draw",
+    "reload",
+    "split",
+    "split",
+  ]);
+});
+
+test("ручная отметка поверх шаблона, совпадение с ним — снимается", () => {
+  const drill = { segments: ["draw", "split", "reload", "split"] };
+  const tagged = tagSegment(run({ drill }), 4, "transition");
+  assert.deepEqual(tagged.segments, { 4: "transition" });
+  assert.equal(kinds(tagged)[3], "transition");
+
+  const back = tagSegment(tagged, 4, "split");
+  assert.deepEqual(back.segments, {});
+  // отметка, совпадающая с шаблоном, не сохраняется
+  assert.deepEqual(tagSegment(back, 3, "reload").segments, {});
+
+  // чужой seq и чужой тип запись не меняют
+  assert.equal(tagSegment(tagged, 9, "reload"), tagged);
+  assert.equal(tagSegment(tagged, 2, "dance"), tagged);
+});
+
+test("normalizeTemplate: длина по числу выстрелов, умолчание — null", () => {
+  assert.deepEqual(normalizeTemplate(["draw", "reload"], 3), [
+    "draw",
+    "reload",
+    "split",
+  ]);
+  assert.equal(normalizeTemplate(["draw", "split", "bogus"], 3), null);
+  assert.equal(normalizeTemplate("draw", 3), null);
+});
+
+test("сводка и тренд по типам отрезков", () => {
+  const marks = { 3: "reload", 4: "transition" };
+  const first = run({ createdAt: 2, segments: marks });
+  const second = {
+    createdAt: 1,
+    shots: shotsOf([1000, 1200, 3000]),
+    segments: { 3: "reload" },
+  };
+
+  assert.deepEqual(
+    segmentSummary([first, second]).map(({ type, count, best, mean }) => [
+      type,
+      count,
+      best,
+      mean,
+    ]),
+    [
+      ["draw", 2, 1000, 1100],
+      ["split", 2, 200, 225],
+      ["transition", 1, 400, 400],
+      ["reload", 2, 1800, 1950],
+    ]
+  );
+  assert.deepEqual(segmentTrend([first, second]), [
+    { createdAt: 1, draw: 1000, split: 200, reload: 1800 },
+    { createdAt: 2, draw: 1200, split: 250, transition: 400, reload: 2100 },
+  ]);
+});
@@ -0,0 +1,180 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createLineClient } from "../src/lib/lineProtocol.js";
+import { createSimulatorTransport } from "../src/lib/simulator.js";
+import {
+  appendShot,
+  armDevice,
+  pollLoop,
+  sleep,
+  stateLabel,
+} from "../src/lib/session.js";
+import { seeded } from "./helpers.js";
+
+/* ===== серия против виртуального таймера: таблица, сплиты, состояния ===== */
+
+// Без React: транспорт-симулятор → lineClient → armDevice/pollLoop,
+// как это делает useShotSession, только с подписками прямо здесь.
+// Симулятор по умолчанию умеет push (S_PUSH), { push: false } — нет.
+
+const SHOTS = [300, 550, 800];
+const EXPECTED = [
+  { seq: 1, ms: 300, split: null },
+  { seq: 2, ms: 550, split: 250 },
+  { seq: 3, ms: 800, split: 250 },
+];
+
+// Серия закончилась: таймер вернулся в «Готов» после «Упражнения»
+const finished = ({ states }) => states.at(-1) === 0 && states.includes(2);
+
+// Одна серия целиком. sim — опции createSimulatorTransport; afterArm —
+// что поменять в симуляторе после старта; stopWhen — когда остановить опрос;
+// reconnectMs — через сколько «возвращается» связь после обрыва.
+async function runString({
+  sim = {},
+  afterArm = null,
+  stopWhen = finished,
+  reconnectMs = 300,
+} = {}) {
+  const transport = createSimulatorTransport({
+    shots: SHOTS,
+    latencyMs: 2,
+    finishAfterMs: 300,
+    rng: seeded(7),
+    ...sim,
+  });
+  const logs = [];
+  const trace = []; // отправленные команды и обрывы по порядку
+  const nextShotId = { current: 0 };
+  const r = { shots: [], states: [], logs, trace, droppedAt: null };
+  let linkUp = true;
+
+  const client = createLineClient({
+    write: (text) => transport.write(text),
+    isReady: transport.isReady,
+    log: (text) => logs.push(text),
+  });
+  await transport.connect({
+    onData: client.feed,
+    onDisconnect: () => {
+      linkUp = false;
+      r.droppedAt = nextShotId.current;
+      trace.push("DROP");
+      client.reset();
+    },
+    log: (text) => logs.push(text),
+  });
+
+  const sendAndWait = (cmd, ...rest) => {
+    trace.push(cmd);
+    return client.sendAndWait(cmd, ...rest);
+  };
+
+  const arm = await armDevice({
+    sendAndWait,
+    tMin: 200,
+    tMax: 200,
+    log: (text) => logs.push(text),
+  });
+  assert.equal(arm.ok, true, "E_STARTT подтверждён");
+  if (afterArm) transport.configure(afterArm);
+
+  const deadline = Date.now() + 15000;
+  await pollLoop({
+    sendAndWait,
+    isRunning: () => !stopWhen(r) && Date.now() < deadline,
+    isLinkUp: () => linkUp,
+    waitForLink: async () => {
+      await sleep(reconnectMs);
+      await transport.reconnect();
+      linkUp = true;
+      return true;
+    },
+    onEvent: client.onEvent,
+    nextShotId,
+    onState: (v) => {
+      if (r.states.at(-1) !== v) r.states.push(v);
+    },
+    onShot: (seq, ms) => {
+      r.shots = appendShot(r.shots, seq, ms);
+    },
+    log: (text) => logs.push(text),
+  });
+  await transport.disconnect();
+  return { ...r, metrics: client.getMetrics() };
+}
+
+test("серия: таблица выстрелов, сплиты и подписи состояний", async () => {
+  const r = await runString();
+
+  assert.deepEqual(r.shots, EXPECTED);
+  assert.deepEqual(r.states, [1, 2, 0]);
+  assert.deepEqual(r.states.map(stateLabel), [
+    "Отсчёт",
+    "Упражнение",
+    "Готов",
+  ]);
+  // выстрелы пришли событиями — G_STIME не понадобился
+  assert.ok(r.logs.includes("Poll: push events on"));
+  assert.ok(r.metrics.events > 0);
+  assert.equal(r.trace.filter((c) => c.startsWith("G_STIME")).length, 0);
+  // push проверяется один раз за серию, а не на каждом опросе
+  assert.equal(r.trace.filter((c) => c === "S_PUSH=1").length, 1);
+});
+
+test("без push: откат на опрос", async () => {
+  const r = await runString({ sim: { push: false } });
+
+  assert.deepEqual(r.shots, EXPECTED);
+  assert.deepEqual(r.states, [1, 2, 0]);
+  assert.ok(r.logs.some((l) => l.startsWith("Poll: no push")));
+  assert.equal(r.metrics.events, 0);
+  // #ERR на пробе S_PUSH — «не поддерживается», а не ошибка устройства
+  assert.equal(r.metrics.unsupported, 1);
+  assert.equal(r.metrics.errors, 0);
+});
+
+test("потерянные ответы: опрос всё равно собирает всю серию", async () => {
+  const r = await runString({
+    sim: { finishAfterMs: null },
+    afterArm: { dropRate: 0.2 },
+    stopWhen: ({ shots }) => shots.length === SHOTS.length,
+  });
+
+  assert.deepEqual(r.shots, EXPECTED);
+  assert.ok(r.logs.some((l) => l.startsWith("Sim: reply dropped")));
+});
+
+test("потерянные ответы без push", async () => {
+  const r = await runString({
+    sim: { finishAfterMs: null, push: false },
+    afterArm: { dropRate: 0.2 },
+    stopWhen: ({ shots }) => shots.length === SHOTS.length,
+  });
+
+  assert.deepEqual(r.shots, EXPECTED);
+});
+
+test("обрыв связи посреди серии: продолжение с nextShotId", async () => {
+  // beep через 200 мс: первый выстрел ~500, обрыв 800, остальные без связи
+  const r = await runString({
+    sim: { shots: [300, 900, 1200], disconnectAfterMs: 800 },
+    reconnectMs: 400,
+  });
+
+  assert.deepEqual(r.shots, [
+    { seq: 1, ms: 300, split: null },
+    { seq: 2, ms: 900, split: 600 },
+    { seq: 3, ms: 1200, split: 300 },
+  ]);
+  assert.ok(r.droppedAt >= 1, "первый выстрел получен до обрыва");
+  assert.ok(r.logs.includes(`Poll: resumed from shot #${r.droppedAt + 1}`));
+
+  // после обрыва уже полученные выстрелы не запрашиваются заново
+  const after = r.trace.slice(r.trace.indexOf("DROP") + 1);
+  for (const cmd of after.filter((c) => c.startsWith("G_STIME="))) {
+    assert.ok(Number(cmd.split("=")[1]) >= r.droppedAt, cmd);
+  }
+  // push включаем заново: прошивка могла забыть подписку
+  assert.equal(after.filter((c) => c === "S_PUSH=1").length, 1);
+});
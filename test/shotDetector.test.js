@@ -0,0 +1,124 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseWav } from "../src/lib/wav.js";
+import { createShotDetector, detectShots } from "../src/lib/shotDetector.js";
+import { seeded } from "./helpers.js";
+
+/* ===== детектор выстрелов на WAV без Web Audio ===== */
+
+const RATE = 44100;
+const SHOTS = [1000, 1400, 1700];
+const ECHO_MS = 50;
+
+// Моно-сигнал: фоновый шум ~-40 dBFS, выстрел — затухающий всплеск,
+// эхо — тот же всплеск тише через ECHO_MS
+function synthShots({ durationMs = 2500, shots = SHOTS } = {}) {
+  const rng = seeded(11);
+  const out = new Float32Array(Math.round((RATE * durationMs) / 1000));
+  for (let i = 0; i < out.length; i++) out[i] = (rng() - 0.5) * 0.02;
+  const burst = (ms, amp) => {
+    const start = Math.round((RATE * ms) / 1000);
+    for (let i = 0; i < RATE * 0.03 && start + i < out.length; i++) {
+      const decay = Math.exp(-i / (RATE * 0.005));
+      out[start + i] += amp * decay * (rng() * 2 - 1);
+    }
+  };
+  for (const ms of shots) {
+    burst(ms, 0.9);
+    burst(ms + ECHO_MS, 0.4);
+  }
+  return out;
+}
+
+// RIFF/WAVE: chunk "fmt " + chunk "data"; каналы — копии с разной громкостью
+function makeWav(mono, { channels = 2, bits = 16, format = 1 } = {}) {
+  const bytes = bits / 8;
+  const dataSize = mono.length * channels * bytes;
+  const buf = new ArrayBuffer(44 + dataSize);
+  const v = new DataView(buf);
+  const tag = (off, s) =>
+    [...s].forEach((c, i) => v.setUint8(off + i, c.charCodeAt(0)));
+
+  tag(0, "RIFF");
+  v.setUint32(4, 36 + dataSize, true);
+  tag(8, "WAVE");
+  tag(12, "fmt ");
+  v.setUint32(16, 16, true);
+  v.setUint16(20, format, true);
+  v.setUint16(22, channels, true);
+  v.setUint32(24, RATE, true);
+  v.setUint32(28, RATE * channels * bytes, true);
+  v.setUint16(32, channels * bytes, true);
+  v.setUint16(34, bits, true);
+  tag(36, "data");
+  v.setUint32(40, dataSize, true);
+
+  for (let i = 0; i < mono.length; i++) {
+    for (let c = 0; c < channels; c++) {
+      const x = Math.max(-1, Math.min(1, mono[i] * (c === 0 ? 1 : 0.5)));
+      v.setInt16(44 + (i * channels + c) * bytes, Math.round(x * 32767), true);
+    }
+  }
+  return buf;
+}
+
+const near = (actual, expected, tolMs = 2) => {
+  assert.equal(actual.length, expected.length, `${actual} vs ${expected}`);
+  actual.forEach((ms, i) =>
+    assert.ok(Math.abs(ms - expected[i]) <= tolMs, `${actual} vs ${expected}`)
+  );
+};
+
+test("16 бит стерео: время выстрелов, эхо глушится lockout", () => {
+  const { sampleRate, channels, samples } = parseWav(makeWav(synthShots()));
+
+  assert.equal(sampleRate, RATE);
+  assert.equal(channels, 2);
+  near(detectShots(samples, sampleRate), SHOTS);
+});
+
+test("короткий lockout пропускает эхо", () => {
+  const { sampleRate, samples } = parseWav(makeWav(synthShots()));
+  const withEcho = SHOTS.flatMap((ms) => [ms, ms + ECHO_MS]);
+
+  near(detectShots(samples, sampleRate, { lockoutMs: 20 }), withEcho);
+});
+
+test("поток кусками даёт те же времена, что файл целиком", () => {
+  const { sampleRate, samples } = parseWav(makeWav(synthShots()));
+  const detector = createShotDetector(sampleRate);
+  const out = [];
+  for (let i = 0; i < samples.length; i += 2048) {
+    out.push(...detector.process(samples.subarray(i, i + 2048)));
+  }
+
+  assert.deepEqual(out, detectShots(samples, sampleRate));
+});
+
+test("ignoreUntil не засчитывает звук до заданного момента", () => {
+  const { sampleRate, samples } = parseWav(makeWav(synthShots()));
+  const detector = createShotDetector(sampleRate);
+  detector.ignoreUntil(1200);
+
+  near(detector.process(samples), SHOTS.slice(1));
+});
+
+test("неподдерживаемые и битые файлы отклоняются с понятной ошибкой", () => {
+  const mono = synthShots({ durationMs: 100, shots: [] });
+
+  // ADPCM (format 2) не читаем
+  assert.throws(() => parseWav(makeWav(mono, { format: 2 })), {
+    message: "Неподдерживаемый WAV: формат 2, 16 бит",
+  });
+
+  const notWav = new TextEncoder().encode("ID3 not a wave file").buffer;
+  assert.throws(() => parseWav(notWav), {
+    message: "Это не WAV-файл",
+  });
+
+  // заголовок RIFF/WAVE есть, chunk'ов fmt/data нет
+  const empty = makeWav(mono).slice(0, 12);
+  assert.throws(() => parseWav(empty), {
+    message: "В WAV нет fmt или data",
+  });
+});
@@ -0,0 +1,102 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  applyShotEdits,
+  editShot,
+  recomputeSession,
+} from "../src/lib/shotEdits.js";
+
+/* ===== правка выстрелов: статусы, сплиты, фильтр эха, откат ===== */
+
+const RAW = [
+  { seq: 1, ms: 1000 },
+  { seq: 2, ms: 1040 }, // эхо первого при фильтре 100 мс
+  { seq: 3, ms: 1300 },
+  { seq: 4, ms: 1550 },
+];
+
+// Запись, какой её сохраняет серия: shots совпадают с сырыми данными
+const SESSION = recomputeSession({ id: 1, shots: RAW });
+
+const statuses = (list) => list.map((s) => s.status);
+
+test("без правок засчитываются все выстрелы", () => {
+  assert.deepEqual(SESSION.rawShots, RAW);
+  assert.deepEqual(SESSION.shots.map((s) => s.split), [null, 40, 260, 250]);
+  assert.equal(SESSION.firstShotMs, 1000);
+  assert.equal(SESSION.totalTimeMs, 1550);
+});
+
+test("удалённый и недействительный выпадают, сплит — от засчитанного", () => {
+  const deleted = editShot(SESSION, 3, "delete");
+  assert.deepEqual(
+    deleted.shots.map(({ seq, split }) => [seq, split]),
+    [
+      [1, null],
+      [2, 40],
+      [4, 510],
+    ]
+  );
+  assert.deepEqual(deleted.edits, { 3: "deleted" });
+
+  const invalid = editShot(deleted, 4, "invalid");
+  assert.deepEqual(statuses(applyShotEdits(RAW, invalid)), [
+    "ok",
+    "ok",
+    "deleted",
+    "invalid",
+  ]);
+  assert.equal(invalid.totalTimeMs, 1040);
+  // сырые данные правки не трогают
+  assert.deepEqual(invalid.rawShots, RAW);
+});
+
+test("restore снимает правку с выстрела", () => {
+  const restored = editShot(editShot(SESSION, 3, "delete"), 3, "restore");
+  assert.deepEqual(restored.edits, {});
+  assert.deepEqual(restored.shots, SESSION.shots);
+});
+
+test("фильтр коротких сплитов меряет от последнего засчитанного", () => {
+  const filtered = recomputeSession(SESSION, { minSplitMs: 100 });
+  assert.deepEqual(statuses(applyShotEdits(RAW, filtered)), [
+    "ok",
+    "echo",
+    "ok",
+    "ok",
+  ]);
+  // 1300 − 1000: сплит считается мимо отброшенного эха
+  assert.deepEqual(filtered.shots.map((s) => s.split), [null, 300, 250]);
+
+  // первый выстрел удалён — эхо меряем от ничего и оставляем
+  const noFirst = editShot(filtered, 1, "delete");
+  assert.deepEqual(statuses(applyShotEdits(RAW, noFirst)), [
+    "deleted",
+    "ok",
+    "ok",
+    "ok",
+  ]);
+  assert.equal(noFirst.firstShotMs, 1040);
+
+  // «оставить» пропускает выстрел мимо фильтра
+  const kept = editShot(filtered, 2, "keep");
+  assert.deepEqual(kept.shots, SESSION.shots);
+});
+
+test("сброс правок и фильтра возвращает сырые данные", () => {
+  const edited = editShot(
+    editShot(recomputeSession(SESSION, { minSplitMs: 100 }), 3, "invalid"),
+    4,
+    "delete"
+  );
+  assert.equal(edited.shots.length, 1);
+
+  const undone = recomputeSession(edited, { edits: {}, minSplitMs: 0 });
+  assert.deepEqual(undone.shots, SESSION.shots);
+  assert.equal(undone.totalTimeMs, 1550);
+});
+
+test("старая запись без rawShots: сырые данные берутся из shots", () => {
+  const legacy = { id: 2, shots: [{ seq: 1, ms: 900, split: null }] };
+  assert.deepEqual(recomputeSession(legacy).rawShots, [{ seq: 1, ms: 900 }]);
+});
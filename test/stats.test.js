@@ -0,0 +1,121 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  filterOptions,
+  filterSessions,
+  percentile,
+  sessionStats,
+  splitHistogram,
+  stddev,
+} from "../src/lib/stats.js";
+import { emptyScore } from "../src/lib/scoring.js";
+
+/* ===== статистика: фильтры, тренды, сплиты, лучшие результаты ===== */
+
+// Местное время: фильтр по датам считает дни по часам телефона
+const at = (day, hour = 12) => new Date(2026, 9, day, hour).getTime();
+
+// Запись как в базе: засчитанные выстрелы со сплитами и итоги
+function session(id, day, times, extra = {}) {
+  const shots = times.map((ms, i) => ({
+    seq: i + 1,
+    ms,
+    split: i ? ms - times[i - 1] : null,
+  }));
+  return {
+    id,
+    createdAt: at(day),
+    shots,
+    firstShotMs: times[0] ?? null,
+    totalTimeMs: times.at(-1) ?? null,
+    ...extra,
+  };
+}
+
+const BILL = { name: "Bill drill", expectedShots: 3 };
+const SESSIONS = [
+  session(1, 3, [1500, 1800, 2100], { drill: BILL, mode: "fixed" }),
+  session(2, 1, [1200, 1450, 1750], {
+    drill: BILL,
+    mode: "random",
+    tags: ["dry"],
+    score: { ...emptyScore("ipsc-minor"), A: 3 },
+  }),
+  session(3, 2, [1100, 1300], {
+    tags: ["live", "dry"],
+    score: { ...emptyScore("ipsc-minor"), A: 2 },
+  }),
+  session(4, 4, []), // пустая серия в сводку не входит
+];
+
+test("percentile и stddev на коротких рядах", () => {
+  assert.equal(percentile([], 0.5), null);
+  assert.equal(percentile([300, 100, 200], 0.5), 200);
+  assert.equal(percentile([100, 200], 0.9), 190);
+  assert.equal(stddev([100]), null);
+  assert.equal(stddev([100, 200, 300]), 100);
+});
+
+test("тренд идёт по дате, а не по порядку записей", () => {
+  const { trend, sessionCount, shotCount } = sessionStats(SESSIONS);
+
+  assert.equal(sessionCount, 3);
+  assert.equal(shotCount, 8);
+  assert.deepEqual(trend, [
+    { createdAt: at(1), firstShotMs: 1200, avgSplitMs: 275 },
+    { createdAt: at(2), firstShotMs: 1100, avgSplitMs: 200 },
+    { createdAt: at(3), firstShotMs: 1500, avgSplitMs: 300 },
+  ]);
+});
+
+test("распределение сплитов: сводка и гистограмма", () => {
+  const { split, histogram } = sessionStats(SESSIONS);
+
+  // сплиты: 300 300 | 250 300 | 200
+  assert.equal(split.mean, 270);
+  assert.equal(split.median, 300);
+  assert.equal(split.p90, 300);
+  assert.deepEqual(
+    histogram.map((b) => [b.fromMs, b.count]),
+    [
+      [200, 1],
+      [250, 1],
+      [300, 3],
+    ]
+  );
+  assert.deepEqual(
+    splitHistogram([120, 130, 260], 100).map((b) => b.count),
+    [2, 1]
+  );
+  assert.deepEqual(splitHistogram([]), []);
+});
+
+test("лучшие результаты: первый выстрел, сплит, HF, упражнения", () => {
+  const { bests } = sessionStats(SESSIONS);
+
+  assert.equal(bests.firstShot.value, 1100);
+  assert.equal(bests.firstShot.session.id, 3);
+  assert.equal(bests.split.value, 200);
+  // HF: 15 очков за 1,75 с (8,57) против 10 за 1,3 с (7,69)
+  assert.equal(bests.hitFactor.session.id, 2);
+  assert.deepEqual(
+    bests.drills.map((d) => [d.name, d.value, d.session.id]),
+    [["Bill drill", 1750, 2]]
+  );
+});
+
+test("фильтры: даты включительно, упражнение, режим, метка", () => {
+  const ids = (filter) => filterSessions(SESSIONS, filter).map((s) => s.id);
+
+  assert.deepEqual(ids({ from: "2026-10-02", to: "2026-10-03" }), [1, 3]);
+  assert.deepEqual(ids({ drill: "Bill drill" }), [1, 2]);
+  assert.deepEqual(ids({ drill: "-" }), [3, 4]);
+  assert.deepEqual(ids({ mode: "random" }), [2]);
+  assert.deepEqual(ids({ tag: "dry", drill: "-" }), [3]);
+  assert.deepEqual(ids({}), [1, 2, 3, 4]);
+
+  assert.deepEqual(filterOptions(SESSIONS), {
+    drills: ["Bill drill"],
+    tags: ["dry", "live"],
+  });
+});
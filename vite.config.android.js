@@ -1,8 +1,9 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import pwaServiceWorker from "./vite.pwa.js";
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), pwaServiceWorker()],
   base: "./",
   build: {
     outDir: "dist-android",
@@ -0,0 +1,75 @@
+import { readFileSync, readdirSync, statSync } from "node:fs";
+import { createHash } from "node:crypto";
+import { join, relative, resolve, sep } from "node:path";
+
+/* ===== сборка service worker для офлайн-режима ===== */
+// Берёт шаблон src/pwa/sw.js и дописывает в начало список предкэша
+// (всё из бандла и public/) и версию — хэш этих файлов. Новая сборка
+// даёт новый sw.js, браузер ставит его и страница предлагает обновиться.
+// Общий для web (dist) и android (dist-android) конфигов.
+
+const TEMPLATE = resolve("src/pwa/sw.js");
+
+const listFiles = (dir) =>
+  readdirSync(dir).flatMap((name) => {
+    const full = join(dir, name);
+    return statSync(full).isDirectory() ? listFiles(full) : [full];
+  });
+
+export default function pwaServiceWorker({ fileName = "sw.js" } = {}) {
+  let publicDir = null;
+
+  return {
+    name: "dzengun-pwa-sw",
+    apply: "build",
+    // после vite:build-html, чтобы index.html уже был в бандле
+    enforce: "post",
+
+    configResolved(config) {
+      publicDir = config.publicDir || null;
+    },
+
+    generateBundle(_options, bundle) {
+      const hash = createHash("sha256");
+      const files = [];
+
+      for (const [name, item] of Object.entries(bundle)) {
+        // .woff — запасной формат @fontsource, браузеры с service worker
+        // берут .woff2, кэшировать его незачем
+        if (name.endsWith(".map") || name.endsWith(".woff")) continue;
+        files.push(name);
+        hash.update(name);
+        hash.update(item.type === "chunk" ? item.code : item.source);
+      }
+
+      if (publicDir) {
+        let found = [];
+        try {
+          found = listFiles(publicDir);
+        } catch {
+          // нет public/ — нечего кэшировать
+        }
+        for (const full of found) {
+          const name = relative(publicDir, full).split(sep).join("/");
+          if (name === fileName || bundle[name]) continue;
+          files.push(name);
+          hash.update(name);
+          hash.update(readFileSync(full));
+        }
+      }
+
+      files.sort();
+      const version = hash.digest("hex").slice(0, 12);
+      const precache = files.map((f) => `./${f}`);
+
+      this.emitFile({
+        type: "asset",
+        fileName,
+        source:
+          `const VERSION = ${JSON.stringify(version)};\n` +
+          `const PRECACHE = ${JSON.stringify(precache, null, 2)};\n\n` +
+          readFileSync(TEMPLATE, "utf8").replace(/^\/\* global [^*]*\*\/\n/, ""),
+      });
+    },
+  };
+}